@@ -13,5 +13,7 @@ module.exports = {
   },
   rules: {
     // You can add custom rule tweaks here
+    // `const { secret, ...rest } = obj` is how fields are stripped from a copy
+    'no-unused-vars': ['error', { ignoreRestSiblings: true }],
   },
 };
@@ -1,45 +1,55 @@
 const { validationResult } = require('express-validator');
-const bcrypt = require('bcryptjs');
-const User = require('../models/User');
-const Complaint = require('../models/Complaint');
-const mongoose = require('mongoose');
-
-// Helper function to calculate resolution time in days
-const calculateResolutionTime = (submissionDate, resolutionDate) => {
-  return Math.ceil((resolutionDate - submissionDate) / (1000 * 60 * 60 * 24));
+const { users, complaints, geography } = require('../repositories');
+const { OPEN_STATUSES } = require('../utils/complaintLifecycle');
+const { createAccount, toPublicUser } = require('../utils/accounts');
+const { ROLES } = require('../utils/roles');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { parseListQuery, paginateComplaints } = require('../utils/complaintQuery');
+const { performanceReport } = require('../utils/performance');
+const { resolveDistrict } = require('../utils/locations');
+const { findUnknownCodes } = require('../utils/categories');
+
+// Jurisdiction fields for an institution; no location means national
+const jurisdictionOf = async ({ provinceId, districtId }) => {
+  if (!provinceId && !districtId) {
+    return { jurisdiction: { provinceId: null, province: null, districtId: null, district: null } };
+  }
+  const { location, error } = await resolveDistrict({ provinceId, districtId });
+  if (error) return { error };
+  return { jurisdiction: location };
 };
 
 // Get all institutions with statistics
 exports.getInstitutions = async (req, res) => {
   try {
-    const institutions = await User.find({ role: 'institution' }).select('-password');
-    
-    // Get complaint statistics for each institution
-    const institutionsWithStats = await Promise.all(
-      institutions.map(async (institution) => {
-        const complaints = await Complaint.find({ assignedTo: institution._id });
-        const totalComplaints = complaints.length;
-        const resolvedComplaints = complaints.filter(c => c.status === 'RESOLVED').length;
-        const performance = totalComplaints > 0 ? (resolvedComplaints / totalComplaints) * 100 : 0;
-        
-        // Calculate average resolution time
-        const resolvedComplaintsWithTime = complaints.filter(c => c.status === 'RESOLVED' && c.resolvedAt);
-        const avgResolutionTime = resolvedComplaintsWithTime.length > 0
-          ? resolvedComplaintsWithTime.reduce((acc, curr) => {
-              const resolutionTime = curr.resolvedAt - curr.createdAt;
-              return acc + (resolutionTime / (1000 * 60 * 60 * 24)); // Convert to days
-            }, 0) / resolvedComplaintsWithTime.length
-          : 0;
-
-        return {
-          ...institution.toObject(),
-          totalComplaints,
-          resolvedComplaints,
-          performance: Math.round(performance),
-          avgResolutionTime: Math.round(avgResolutionTime)
-        };
-      })
-    );
+    const institutions = await users.list({ role: ROLES.INSTITUTION });
+
+    // Get complaint statistics for every institution in one pass
+    const stats = new Map((await complaints.statsByInstitution({}))
+      .map(stat => [stat.institutionId.toString(), stat]));
+
+    const institutionsWithStats = institutions.map(institution => {
+      const {
+        totalComplaints = 0,
+        resolvedComplaints = 0,
+        averageResolutionTime,
+        reopenedComplaints = 0,
+        ratedComplaints = 0,
+        averageRating
+      } = stats.get(institution._id.toString()) || {};
+      const performance = totalComplaints > 0 ? (resolvedComplaints / totalComplaints) * 100 : 0;
+
+      return {
+        ...toPublicUser(institution),
+        totalComplaints,
+        resolvedComplaints,
+        performance: Math.round(performance),
+        avgResolutionTime: Math.round(averageResolutionTime || 0),
+        reopenedComplaints,
+        ratedComplaints,
+        averageRating: typeof averageRating === 'number' ? Math.round(averageRating * 100) / 100 : null
+      };
+    });
 
     res.json(institutionsWithStats);
   } catch (error) {
@@ -55,34 +65,85 @@ exports.createInstitution = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { institutionName, email, phone, password, province, district } = req.body;
+  const { name, email, phone, password, provinceId, districtId, categories, subcategories } = req.body;
 
   try {
-    // Check if institution exists
-    let institution = await User.findOne({ email });
-    if (institution) {
-      return res.status(400).json({ message: 'Institution already exists' });
+    const { jurisdiction, error } = await jurisdictionOf({ provinceId, districtId });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const unknown = await findUnknownCodes({ categories, subcategories });
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown categories or subcategories: ${unknown.join(', ')}` });
     }
 
-    // Create new institution
-    institution = new User({
-      role: 'institution',
-      institutionName,
+    const { user: institution, conflict } = await createAccount({
+      role: ROLES.INSTITUTION,
+      name,
       email,
       phone,
-      province,
-      district
+      password,
+      ...jurisdiction,
+      categories,
+      subcategories
     });
+    if (conflict) {
+      return res.status(409).json({ message: conflict });
+    }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    institution.password = await bcrypt.hash(password, salt);
-
-    await institution.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.INSTITUTION_CREATED,
+      entity: 'User',
+      entityId: institution._id,
+      after: institution
+    });
 
     // Return institution without password
-    const { password: _, ...institutionData } = institution.toObject();
-    res.json(institutionData);
+    res.status(201).json(toPublicUser(institution));
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+// Create a district department or admin account
+exports.createUser = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { role, name, email, phone, password, departmentId } = req.body;
+
+  try {
+    if (role === ROLES.DISTRICT) {
+      const department = await geography.findDepartmentById(departmentId);
+      if (!department) {
+        return res.status(404).json({ message: 'District department not found' });
+      }
+    }
+
+    const { user, conflict } = await createAccount({
+      role,
+      name,
+      email,
+      phone,
+      password,
+      departmentId: role === ROLES.DISTRICT ? departmentId : undefined
+    });
+    if (conflict) {
+      return res.status(409).json({ message: conflict });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_CREATED,
+      entity: 'User',
+      entityId: user._id,
+      after: user
+    });
+
+    res.status(201).json(toPublicUser(user));
   } catch (error) {
     console.error(error.message);
     res.status(500).send('Server Error');
@@ -97,24 +158,46 @@ exports.updateInstitution = async (req, res) => {
   }
 
   try {
-    const institution = await User.findById(req.params.id);
-    if (!institution) {
+    const existing = await users.findById(req.params.id);
+    if (!existing || existing.role !== ROLES.INSTITUTION) {
       return res.status(404).json({ message: 'Institution not found' });
     }
 
     // Update fields
-    const updateFields = ['institutionName', 'email', 'phone', 'province', 'district'];
+    const updateFields = ['name', 'email', 'phone', 'categories', 'subcategories'];
+    const patch = {};
     updateFields.forEach(field => {
       if (req.body[field] !== undefined) {
-        institution[field] = req.body[field];
+        patch[field] = req.body[field];
       }
     });
 
-    await institution.save();
+    const unknown = await findUnknownCodes(patch);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown categories or subcategories: ${unknown.join(', ')}` });
+    }
+
+    // Sending either id replaces the whole jurisdiction; nulls make it national
+    if (req.body.provinceId !== undefined || req.body.districtId !== undefined) {
+      const { jurisdiction, error } = await jurisdictionOf(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      Object.assign(patch, jurisdiction);
+    }
+
+    const institution = await users.update(existing._id, patch);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.INSTITUTION_UPDATED,
+      entity: 'User',
+      entityId: institution._id,
+      before: existing,
+      after: institution
+    });
 
     // Return updated institution without password
-    const { password: _, ...institutionData } = institution.toObject();
-    res.json(institutionData);
+    res.json(toPublicUser(institution));
   } catch (error) {
     console.error(error.message);
     res.status(500).send('Server Error');
@@ -123,25 +206,37 @@ exports.updateInstitution = async (req, res) => {
 
 // Delete an institution
 exports.deleteInstitution = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const institution = await User.findById(req.params.id);
-    if (!institution) {
+    const institution = await users.findById(req.params.id);
+    if (!institution || institution.role !== ROLES.INSTITUTION) {
       return res.status(404).json({ message: 'Institution not found' });
     }
 
     // Check if institution has any active complaints
-    const activeComplaints = await Complaint.find({
-      assignedTo: institution._id,
-      status: { $in: ['PENDING', 'IN_PROGRESS'] }
+    const hasActiveComplaints = await complaints.exists({
+      institutionId: institution._id,
+      status: OPEN_STATUSES
     });
 
-    if (activeComplaints.length > 0) {
+    if (hasActiveComplaints) {
       return res.status(400).json({
         message: 'Cannot delete institution with active complaints. Please reassign or resolve all complaints first.'
       });
     }
 
-    await institution.remove();
+    await users.delete(institution._id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.INSTITUTION_DELETED,
+      entity: 'User',
+      entityId: institution._id,
+      before: institution
+    });
     res.json({ message: 'Institution removed' });
   } catch (error) {
     console.error(error.message);
@@ -152,48 +247,21 @@ exports.deleteInstitution = async (req, res) => {
 // List all complaints with filters
 exports.getComplaints = async (req, res) => {
   try {
-    const {
-      status,
-      category,
-      district,
-      province,
-      fromDate,
-      toDate,
-      resolvedOnTime
-    } = req.query;
-
-    let query = {};
-
-    // Apply filters
-    if (status) query.status = status;
-    if (category) query.category = category;
-    if (district) query.district = district;
-    if (province) query.province = province;
-
-    // Date range filter
-    if (fromDate || toDate) {
-      query.submissionDate = {};
-      if (fromDate) query.submissionDate.$gte = new Date(fromDate);
-      if (toDate) query.submissionDate.$lte = new Date(toDate);
-    }
-
-    // Resolution time filter
-    if (resolvedOnTime === 'true') {
-      query.resolutionDate = { $lte: '$resolutionDeadline' };
-    } else if (resolvedOnTime === 'false') {
-      query.resolutionDate = { $gt: '$resolutionDeadline' };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const complaints = await Complaint.find(query)
-      .populate('citizenId', 'fullName email')
-      .populate('institutionId', 'institutionName')
-      .populate('assignedDepartment', 'name')
-      .sort({ submissionDate: -1 });
+    const { filter, sort, limit, after } = parseListQuery(req.query);
 
-    res.json({
-      count: complaints.length,
-      complaints
+    const page = await paginateComplaints(filter, {
+      include: { citizen: ['name', 'email'], institution: ['name'], department: ['name'] },
+      sort,
+      limit,
+      after
     });
+
+    res.json(page);
   } catch (error) {
     console.error('Error fetching complaints:', error);
     res.status(500).json({
@@ -205,140 +273,15 @@ exports.getComplaints = async (req, res) => {
 
 // Get institution performance rankings
 exports.getPerformance = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const { timeframe } = req.query; // 'week', 'month', 'year'
-    
-    let dateFilter = {};
-    const now = new Date();
-    
-    switch (timeframe) {
-      case 'week':
-        dateFilter = {
-          $gte: new Date(now.setDate(now.getDate() - 7))
-        };
-        break;
-      case 'month':
-        dateFilter = {
-          $gte: new Date(now.setMonth(now.getMonth() - 1))
-        };
-        break;
-      case 'year':
-        dateFilter = {
-          $gte: new Date(now.setFullYear(now.getFullYear() - 1))
-        };
-        break;
-      default:
-        dateFilter = {}; // All time
-    }
 
-    // Aggregate performance metrics
-    const performance = await Complaint.aggregate([
-      {
-        $match: {
-          submissionDate: dateFilter
-        }
-      },
-      {
-        $group: {
-          _id: '$institutionId',
-          totalComplaints: { $sum: 1 },
-          resolvedComplaints: {
-            $sum: {
-              $cond: [{ $eq: ['$status', 'RESOLVED'] }, 1, 0]
-            }
-          },
-          resolvedOnTime: {
-            $sum: {
-              $cond: [
-                {
-                  $and: [
-                    { $eq: ['$status', 'RESOLVED'] },
-                    { $lte: ['$resolutionDate', '$resolutionDeadline'] }
-                  ]
-                },
-                1,
-                0
-              ]
-            }
-          },
-          averageResolutionTime: {
-            $avg: {
-              $cond: [
-                { $eq: ['$status', 'RESOLVED'] },
-                {
-                  $divide: [
-                    { $subtract: ['$resolutionDate', '$submissionDate'] },
-                    1000 * 60 * 60 * 24 // Convert to days
-                  ]
-                },
-                null
-              ]
-            }
-          }
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'institution'
-        }
-      },
-      {
-        $unwind: '$institution'
-      },
-      {
-        $project: {
-          institutionName: '$institution.institutionName',
-          district: '$institution.district',
-          province: '$institution.province',
-          totalComplaints: 1,
-          resolvedComplaints: 1,
-          resolvedOnTime: 1,
-          averageResolutionTime: { $round: ['$averageResolutionTime', 1] },
-          resolutionRate: {
-            $multiply: [
-              { $divide: ['$resolvedComplaints', '$totalComplaints'] },
-              100
-            ]
-          },
-          onTimeResolutionRate: {
-            $multiply: [
-              {
-                $divide: [
-                  '$resolvedOnTime',
-                  { $max: ['$resolvedComplaints', 1] }
-                ]
-              },
-              100
-            ]
-          }
-        }
-      },
-      {
-        $sort: { onTimeResolutionRate: -1 }
-      }
-    ]);
-
-    // Calculate system-wide statistics
-    const totalComplaints = performance.reduce((sum, p) => sum + p.totalComplaints, 0);
-    const totalResolved = performance.reduce((sum, p) => sum + p.resolvedComplaints, 0);
-    const totalResolvedOnTime = performance.reduce((sum, p) => sum + p.resolvedOnTime, 0);
-
-    const systemStats = {
-      totalComplaints,
-      totalResolved,
-      totalResolvedOnTime,
-      systemResolutionRate: totalComplaints ? (totalResolved / totalComplaints) * 100 : 0,
-      systemOnTimeRate: totalResolved ? (totalResolvedOnTime / totalResolved) * 100 : 0
-    };
-
-    res.json({
-      timeframe: timeframe || 'all-time',
-      systemStats,
-      institutionPerformance: performance
-    });
+    res.json(await performanceReport({ timeframe }));
   } catch (error) {
     console.error('Error fetching performance data:', error);
     res.status(500).json({
@@ -346,4 +289,4 @@ exports.getPerformance = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+};
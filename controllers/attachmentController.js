@@ -0,0 +1,179 @@
+const { validationResult } = require('express-validator');
+const { complaints } = require('../repositories');
+const UploadedFile = require('../models/UploadedFile');
+const {
+  REJECTED_TYPE_MESSAGE,
+  COMPLAINT_PURPOSES,
+  MAX_ATTACHMENTS_PER_COMPLAINT,
+  countAttachments,
+  reserveAttachmentSlots,
+  releaseAttachmentSlots,
+  inspectFiles,
+  storeAttachments,
+  streamAttachment
+} = require('../utils/attachments');
+const { canViewComplaint } = require('../utils/complaintAccess');
+const { RESOLVED_STATUSES } = require('../utils/complaintLifecycle');
+
+const TOO_MANY_ATTACHMENTS = `A complaint can have at most ${MAX_ATTACHMENTS_PER_COMPLAINT} attachments`;
+
+/**
+ * Runs before the upload is read into memory: only a party to the complaint
+ * who may still add files gets that far. Leaves the complaint in
+ * req.complaint and the attachment purpose in req.attachmentPurpose.
+ */
+exports.authorizeUpload = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaint = await complaints.findById(req.params.complaintId);
+    if (!complaint || !canViewComplaint(req.user, complaint)) {
+      return res.status(404).json({
+        message: 'Complaint not found or you do not have permission to view it'
+      });
+    }
+
+    const purpose = req.user.role === 'INSTITUTION' ? 'RESOLUTION_PROOF' : 'EVIDENCE';
+
+    // Citizens can only add evidence while the complaint is still open
+    if (purpose === 'EVIDENCE' && RESOLVED_STATUSES.includes(complaint.status)) {
+      return res.status(409).json({
+        message: `Cannot add evidence to a complaint with status ${complaint.status}`
+      });
+    }
+
+    // Cheap early refusal; the limit itself is enforced when the slots are reserved
+    if (await countAttachments(complaint._id) >= MAX_ATTACHMENTS_PER_COMPLAINT) {
+      return res.status(400).json({ message: TOO_MANY_ATTACHMENTS });
+    }
+
+    req.complaint = complaint;
+    req.attachmentPurpose = purpose;
+    next();
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    res.status(500).json({
+      message: 'Error uploading attachments',
+      error: error.message
+    });
+  }
+};
+
+// Upload evidence (citizen) or resolution proof (institution) to a complaint;
+// runs after authorizeUpload and uploadFiles
+exports.uploadAttachments = async (req, res) => {
+  try {
+    const { complaint, attachmentPurpose: purpose } = req;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+
+    // Check every file's content before storing any of them
+    const { accepted, rejected } = inspectFiles(files);
+    if (rejected.length > 0) {
+      return res.status(415).json({
+        message: REJECTED_TYPE_MESSAGE,
+        rejected
+      });
+    }
+
+    if (!(await reserveAttachmentSlots(complaint._id, files.length))) {
+      return res.status(400).json({ message: TOO_MANY_ATTACHMENTS });
+    }
+
+    let attachments;
+    try {
+      attachments = await storeAttachments(complaint._id, accepted, {
+        uploadedBy: req.user._id,
+        purpose
+      });
+    } catch (error) {
+      await releaseAttachmentSlots(complaint._id, files.length);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Files uploaded successfully',
+      attachments
+    });
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    res.status(500).json({
+      message: 'Error uploading attachments',
+      error: error.message
+    });
+  }
+};
+
+// List a complaint's attachments
+exports.getAttachments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaint = await complaints.findById(req.params.complaintId);
+    if (!complaint || !canViewComplaint(req.user, complaint)) {
+      return res.status(404).json({
+        message: 'Complaint not found or you do not have permission to view it'
+      });
+    }
+
+    const attachments = await UploadedFile.find({
+      complaintId: complaint._id,
+      purpose: { $in: COMPLAINT_PURPOSES }
+    })
+      .select('-storageKey -storageDriver')
+      .sort({ uploadedAt: 1 });
+
+    res.json(attachments);
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({
+      message: 'Error fetching attachments',
+      error: error.message
+    });
+  }
+};
+
+// Stream an attachment back to a party of the complaint
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { complaintId, attachmentId } = req.params;
+
+    const complaint = await complaints.findById(complaintId);
+    if (!complaint || !canViewComplaint(req.user, complaint)) {
+      return res.status(404).json({
+        message: 'Complaint not found or you do not have permission to view it'
+      });
+    }
+
+    const attachment = await UploadedFile.findOne({
+      _id: attachmentId,
+      complaintId,
+      purpose: { $in: COMPLAINT_PURPOSES }
+    });
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    await streamAttachment(res, attachment);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      message: 'Error downloading attachment',
+      error: error.message
+    });
+  }
+};
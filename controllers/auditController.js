@@ -0,0 +1,32 @@
+const { validationResult } = require('express-validator');
+const { audit } = require('../repositories');
+
+// Search the audit log by actor, entity, action and date range (newest first)
+exports.getAuditLogs = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { actorId, entity, entityId, action, from, to, page = 1, limit = 50 } = req.query;
+
+    const { total, entries } = await audit.search(
+      { actorId, entity, entityId, action, from, to },
+      { page, limit }
+    );
+
+    res.json({
+      total,
+      page,
+      limit,
+      entries
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      message: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+};
@@ -1,7 +1,43 @@
 const Joi = require('joi');
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const mongoose = require('mongoose');
+const { users } = require('../repositories');
 const { hashPassword, comparePassword } = require('../utils/hash');
+const { createAccount, toPublicUser } = require('../utils/accounts');
+const { ROLES } = require('../utils/roles');
+const { issueCode, verifyCode, CODE_TTL_MINUTES } = require('../utils/otp');
+const { sendNotification } = require('../utils/notificationService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const Session = require('../models/Session');
+const {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+
+// How each verification channel maps onto the user document
+const VERIFICATION_CHANNELS = {
+  email: { channel: 'EMAIL', contactField: 'email', flag: 'isEmailVerified' },
+  phone: { channel: 'PHONE', contactField: 'phone', flag: 'isPhoneVerified' }
+};
+
+// Issue a verification code and deliver it over the matching channel only
+const sendVerificationCode = async (user, channelName) => {
+  const { channel, contactField } = VERIFICATION_CHANNELS[channelName];
+
+  const issued = await issueCode({ userId: user._id, channel, purpose: 'VERIFY' });
+  if (issued.throttled) {
+    return issued;
+  }
+
+  await sendNotification('VERIFICATION_CODE', { [contactField]: user[contactField] }, {
+    code: issued.code,
+    expiresInMinutes: CODE_TTL_MINUTES
+  });
+
+  return issued;
+};
 
 const registerSchema = Joi.object({
   name: Joi.string().required(),
@@ -20,30 +56,32 @@ exports.register = async (req, res, next) => {
 
     const { name, email, password, NIN, phone } = value;
 
-    const existingUser = await User.findOne({ $or: [{ email }, { phone }, { NIN }] });
-    if (existingUser) {
-      return res.status(409).json({ message: 'Email, phone or NIN already in use' });
-    }
-
-    const passwordHash = await hashPassword(password);
-
-    const newUser = new User({
+    const { user: newUser, conflict } = await createAccount({
+      role: ROLES.CITIZEN,
       name,
       email,
-      passwordHash,
-      role: 'CITIZEN',
+      password,
       NIN,
       phone
     });
+    if (conflict) {
+      return res.status(409).json({ message: conflict });
+    }
 
-    await newUser.save();
-
-    // TODO: Send verification email/SMS
+    // Send verification codes; the user can request new ones if delivery fails
+    for (const channelName of Object.keys(VERIFICATION_CHANNELS)) {
+      try {
+        await sendVerificationCode(newUser, channelName);
+      } catch (error) {
+        console.error(`Error sending ${channelName} verification code:`, error.message);
+      }
+    }
 
-    const token = jwt.sign({ id: newUser._id, role: newUser.role }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const { accessToken: token, refreshToken } = await createSession(newUser, req);
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         _id: newUser._id,
         name: newUser.name,
@@ -70,7 +108,7 @@ exports.login = async (req, res, next) => {
 
     const { emailOrPhone, password } = value;
 
-    const user = await User.findOne({ $or: [{ email: emailOrPhone }, { phone: emailOrPhone }] });
+    const user = await users.findByEmailOrPhone(emailOrPhone);
     if (!user) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
@@ -80,10 +118,19 @@ exports.login = async (req, res, next) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const { accessToken: token, refreshToken, session } = await createSession(user, req);
+
+    await recordAudit(req, {
+      actor: user,
+      action: AUDIT_ACTIONS.LOGIN,
+      entity: 'User',
+      entityId: user._id,
+      details: { sessionId: session._id.toString() }
+    });
 
     res.json({
       token,
+      refreshToken,
       user: {
         _id: user._id,
         name: user.name,
@@ -98,9 +145,296 @@ exports.login = async (req, res, next) => {
 
 exports.getProfile = async (req, res, next) => {
   try {
-    const { passwordHash, ...user } = req.user.toObject();
-    res.json(user);
+    res.json(toPublicUser(req.user));
+  } catch (err) {
+    next(err);
+  }
+};
+
+const verificationRequestSchema = Joi.object({
+  channel: Joi.string().valid('email', 'phone').required(),
+});
+
+exports.requestVerification = async (req, res, next) => {
+  try {
+    const { error, value } = verificationRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { contactField, flag } = VERIFICATION_CHANNELS[value.channel];
+    if (req.user[flag]) {
+      return res.status(400).json({ message: `Your ${value.channel} is already verified` });
+    }
+    if (!req.user[contactField]) {
+      return res.status(400).json({ message: `No ${value.channel} on your account` });
+    }
+
+    let issued;
+    try {
+      issued = await sendVerificationCode(req.user, value.channel);
+    } catch (sendError) {
+      return res.status(502).json({ message: 'Could not deliver the verification code', error: sendError.message });
+    }
+
+    if (issued.throttled) {
+      res.set('Retry-After', String(issued.retryAfter));
+      return res.status(429).json({
+        message: 'Please wait before requesting another code',
+        retryAfter: issued.retryAfter
+      });
+    }
+
+    res.json({ message: `Verification code sent to your ${value.channel}`, expiresAt: issued.expiresAt });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const verificationConfirmSchema = Joi.object({
+  channel: Joi.string().valid('email', 'phone').required(),
+  code: Joi.string().pattern(/^[0-9]{6}$/).required(),
+});
+
+exports.confirmVerification = async (req, res, next) => {
+  try {
+    const { error, value } = verificationConfirmSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { channel, flag } = VERIFICATION_CHANNELS[value.channel];
+    const result = await verifyCode({
+      userId: req.user._id,
+      channel,
+      purpose: 'VERIFY',
+      code: value.code
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({ message: result.reason });
+    }
+
+    const user = await users.update(req.user._id, { [flag]: true });
+
+    res.json({
+      message: `Your ${value.channel} has been verified`,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Matches login: the identifier may be an email or a phone number
+const findByEmailOrPhone = (emailOrPhone) => users.findByEmailOrPhone(emailOrPhone);
+
+const resetChannelFor = (user, emailOrPhone) =>
+  user.email === emailOrPhone ? { channel: 'EMAIL', contactField: 'email' } : { channel: 'PHONE', contactField: 'phone' };
+
+const forgotPasswordSchema = Joi.object({
+  emailOrPhone: Joi.string().required(),
+});
+
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // Same response whether or not the account exists
+    const response = { message: 'If an account matches, a reset code has been sent' };
+
+    const user = await findByEmailOrPhone(value.emailOrPhone);
+    if (!user) {
+      return res.json(response);
+    }
+
+    const { channel, contactField } = resetChannelFor(user, value.emailOrPhone);
+    const issued = await issueCode({ userId: user._id, channel, purpose: 'PASSWORD_RESET' });
+    if (issued.throttled) {
+      return res.json(response);
+    }
+
+    try {
+      await sendNotification('PASSWORD_RESET_CODE', { [contactField]: user[contactField] }, {
+        code: issued.code,
+        expiresInMinutes: CODE_TTL_MINUTES
+      });
+    } catch (sendError) {
+      console.error('Error sending password reset code:', sendError.message);
+    }
+
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+};
+
+const resetPasswordSchema = Joi.object({
+  emailOrPhone: Joi.string().required(),
+  code: Joi.string().pattern(/^[0-9]{6}$/).required(),
+  newPassword: Joi.string().min(8).required(),
+});
+
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { emailOrPhone, code, newPassword } = value;
+
+    // One message for every failure, so the response doesn't reveal whether
+    // the account exists
+    const invalid = { message: 'Invalid or expired code' };
+
+    const user = await findByEmailOrPhone(emailOrPhone);
+    if (!user) {
+      return res.status(400).json(invalid);
+    }
+
+    const { channel } = resetChannelFor(user, emailOrPhone);
+    const result = await verifyCode({ userId: user._id, channel, purpose: 'PASSWORD_RESET', code });
+    if (!result.valid) {
+      return res.status(400).json(invalid);
+    }
+
+    await users.update(user._id, {
+      passwordHash: await hashPassword(newPassword),
+      passwordChangedAt: new Date()
+    });
+    await revokeAllSessions(user._id, 'Password reset');
+
+    await recordAudit(req, {
+      actor: user,
+      action: AUDIT_ACTIONS.PASSWORD_RESET,
+      entity: 'User',
+      entityId: user._id,
+      details: { channel }
+    });
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(8).invalid(Joi.ref('currentPassword')).required()
+    .messages({ 'any.invalid': 'New password must be different from the current password' }),
+});
+
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const isPasswordValid = await comparePassword(value.currentPassword, req.user.passwordHash);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    await users.update(req.user._id, {
+      passwordHash: await hashPassword(value.newPassword),
+      passwordChangedAt: new Date()
+    });
+
+    // Earlier tokens are now rejected; give this client a fresh session
+    await revokeAllSessions(req.user._id, 'Password changed');
+    const { accessToken: token, refreshToken } = await createSession(req.user, req);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.PASSWORD_CHANGED,
+      entity: 'User',
+      entityId: req.user._id
+    });
+
+    res.json({ message: 'Password changed successfully', token, refreshToken });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+exports.refresh = async (req, res, next) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const result = await rotateRefreshToken(value.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    const user = await users.findById(result.userId);
+    if (!user) {
+      await revokeSession(result.session._id, 'User no longer exists');
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    res.json({
+      token: signAccessToken(user, result.session._id),
+      refreshToken: result.refreshToken
+    });
   } catch (err) {
     next(err);
   }
-}; 
\ No newline at end of file
+};
+
+exports.logout = async (req, res, next) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, 'Logged out');
+    }
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === String(req.sessionId)
+    })));
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.revokeOwnSession = async (req, res, next) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, userId: req.user._id })
+      : null;
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'Revoked by user');
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    next(err);
+  }
+};
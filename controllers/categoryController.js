@@ -0,0 +1,354 @@
+const { validationResult } = require('express-validator');
+const { categories, users } = require('../repositories');
+const { ROLES } = require('../utils/roles');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { normalizeFieldDefinitions } = require('../utils/formFields');
+
+// The same ids as the current list, each exactly once
+const isPermutation = (ids, records) =>
+  ids.length === records.length &&
+  new Set(ids).size === ids.length &&
+  records.every(record => ids.includes(record._id.toString()));
+
+/**
+ * Make exactly these institutions responsible for a category or subcategory
+ * code (`field` is 'categories' or 'subcategories'), adding it to their lists
+ * and removing it from everyone else's. Returns the institutions now linked,
+ * or null when an id isn't an institution.
+ */
+const linkInstitutions = async (req, field, code, institutionIds) => {
+  const institutions = await users.findByIds(institutionIds);
+  if (institutions.length !== new Set(institutionIds).size ||
+      institutions.some(institution => institution.role !== ROLES.INSTITUTION)) {
+    return null;
+  }
+
+  const current = await users.list({
+    role: ROLES.INSTITUTION,
+    [field === 'categories' ? 'category' : 'subcategory']: code
+  });
+  const wanted = new Set(institutionIds);
+
+  const changes = [
+    ...current
+      .filter(institution => !wanted.has(institution._id.toString()))
+      .map(institution => [institution, (institution[field] || []).filter(c => c !== code)]),
+    ...institutions
+      .filter(institution => !(institution[field] || []).includes(code))
+      .map(institution => [institution, [...(institution[field] || []), code]])
+  ];
+
+  for (const [before, codes] of changes) {
+    const after = await users.update(before._id, { [field]: codes });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.INSTITUTION_UPDATED,
+      entity: 'User',
+      entityId: after._id,
+      before,
+      after
+    });
+  }
+
+  return institutions.map(({ _id, name }) => ({ _id, name }));
+};
+
+// Body fields an admin may change on a category or subcategory; the code never changes
+const patchFrom = (body) => {
+  const patch = {};
+  ['name', 'description', 'active'].forEach(field => {
+    if (body[field] !== undefined) {
+      patch[field] = body[field];
+    }
+  });
+  if (body.fields !== undefined) {
+    patch.fields = normalizeFieldDefinitions(body.fields);
+  }
+  return patch;
+};
+
+// Active categories and subcategories with their form fields, for building
+// the submission form
+exports.getCatalogue = async (req, res) => {
+  try {
+    res.json(await categories.list({ activeOnly: true }));
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      message: 'Error fetching categories',
+      error: error.message
+    });
+  }
+};
+
+// Every category and subcategory, including inactive ones
+exports.getCategories = async (req, res) => {
+  try {
+    res.json(await categories.list());
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      message: 'Error fetching categories',
+      error: error.message
+    });
+  }
+};
+
+// Create a category, placed after the existing ones
+exports.createCategory = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { code, name, description, fields = [] } = req.body;
+
+    if (await categories.findByCode(code)) {
+      return res.status(409).json({ message: 'A category with this code already exists' });
+    }
+
+    const category = await categories.create({
+      code,
+      name,
+      description,
+      fields: normalizeFieldDefinitions(fields)
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CATEGORY_CREATED,
+      entity: 'Category',
+      entityId: category._id,
+      after: category
+    });
+
+    res.status(201).json(category);
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      message: 'Error creating category',
+      error: error.message
+    });
+  }
+};
+
+// Rename, describe, deactivate or reactivate a category, or replace its form fields
+exports.updateCategory = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const existing = await categories.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const category = await categories.update(existing._id, patchFrom(req.body));
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CATEGORY_UPDATED,
+      entity: 'Category',
+      entityId: category._id,
+      before: existing,
+      after: category
+    });
+
+    res.json(category);
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      message: 'Error updating category',
+      error: error.message
+    });
+  }
+};
+
+// Set the display order of all categories
+exports.reorderCategories = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { ids } = req.body;
+
+    if (!isPermutation(ids, await categories.list())) {
+      return res.status(400).json({ message: 'ids must list every category exactly once' });
+    }
+
+    await categories.reorder(ids);
+
+    res.json(await categories.list());
+  } catch (error) {
+    console.error('Error reordering categories:', error);
+    res.status(500).json({
+      message: 'Error reordering categories',
+      error: error.message
+    });
+  }
+};
+
+// Create a subcategory, placed after the category's existing ones
+exports.createSubcategory = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { code, name, description, fields = [] } = req.body;
+
+    const category = await categories.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (await categories.findSubcategoryByCode(code)) {
+      return res.status(409).json({ message: 'A subcategory with this code already exists' });
+    }
+
+    const subcategory = await categories.createSubcategory({
+      categoryId: category._id,
+      code,
+      name,
+      description,
+      fields: normalizeFieldDefinitions(fields)
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CATEGORY_CREATED,
+      entity: 'Subcategory',
+      entityId: subcategory._id,
+      after: subcategory
+    });
+
+    res.status(201).json(subcategory);
+  } catch (error) {
+    console.error('Error creating subcategory:', error);
+    res.status(500).json({
+      message: 'Error creating subcategory',
+      error: error.message
+    });
+  }
+};
+
+// Rename, describe, deactivate or reactivate a subcategory, or replace its form fields
+exports.updateSubcategory = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const existing = await categories.findSubcategoryById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Subcategory not found' });
+    }
+
+    const subcategory = await categories.updateSubcategory(existing._id, patchFrom(req.body));
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CATEGORY_UPDATED,
+      entity: 'Subcategory',
+      entityId: subcategory._id,
+      before: existing,
+      after: subcategory
+    });
+
+    res.json(subcategory);
+  } catch (error) {
+    console.error('Error updating subcategory:', error);
+    res.status(500).json({
+      message: 'Error updating subcategory',
+      error: error.message
+    });
+  }
+};
+
+// Set the display order of all of a category's subcategories
+exports.reorderSubcategories = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { ids } = req.body;
+
+    const catalogue = await categories.list();
+    const category = catalogue.find(c => c._id.toString() === req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (!isPermutation(ids, category.subcategories)) {
+      return res.status(400).json({ message: 'ids must list every subcategory of the category exactly once' });
+    }
+
+    await categories.reorderSubcategories(category._id, ids);
+
+    res.json((await categories.list()).find(c => c._id.toString() === req.params.id));
+  } catch (error) {
+    console.error('Error reordering subcategories:', error);
+    res.status(500).json({
+      message: 'Error reordering subcategories',
+      error: error.message
+    });
+  }
+};
+
+// Replace the institutions responsible for a category
+exports.setCategoryInstitutions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const category = await categories.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const institutions = await linkInstitutions(req, 'categories', category.code, req.body.institutionIds);
+    if (!institutions) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    res.json({ category: category.code, institutions });
+  } catch (error) {
+    console.error('Error linking category institutions:', error);
+    res.status(500).json({
+      message: 'Error linking category institutions',
+      error: error.message
+    });
+  }
+};
+
+// Replace the institutions responsible for a subcategory
+exports.setSubcategoryInstitutions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const subcategory = await categories.findSubcategoryById(req.params.id);
+    if (!subcategory) {
+      return res.status(404).json({ message: 'Subcategory not found' });
+    }
+
+    const institutions = await linkInstitutions(req, 'subcategories', subcategory.code, req.body.institutionIds);
+    if (!institutions) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    res.json({ subcategory: subcategory.code, institutions });
+  } catch (error) {
+    console.error('Error linking subcategory institutions:', error);
+    res.status(500).json({
+      message: 'Error linking subcategory institutions',
+      error: error.message
+    });
+  }
+};
@@ -1,62 +1,40 @@
-const Complaint = require('../models/Complaint');
-const User = require('../models/User');
-const DistrictDepartment = require('../models/DistrictDepartment');
-const ForwardingRecord = require('../models/ForwardingRecord');
+const {
+  users,
+  complaints,
+  forwarding,
+  geography,
+  messages,
+  districtComplaints
+} = require('../repositories');
 const { validationResult } = require('express-validator');
-const { sendNotification } = require('../utils/notificationService');
-
-// Helper function to find appropriate institution
-const findAppropriateInstitution = async (category, province, district) => {
-  try {
-    // Find institution in the same district and province that handles this category
-    const institution = await User.findOne({
-      role: 'institution',
-      province,
-      district,
-      // You might want to add a categories field to the User model for institutions
-      // and check if they handle this category
-    });
-
-    if (institution) {
-      return institution;
-    }
-
-    // If no institution found in district, find one in the province
-    const provinceInstitution = await User.findOne({
-      role: 'institution',
-      province,
-    });
-
-    return provinceInstitution;
-  } catch (error) {
-    console.error('Error finding institution:', error);
-    return null;
-  }
-};
-
-// Calculate resolution deadline based on category
-const calculateResolutionDeadline = (category) => {
-  const date = new Date();
-  switch (category) {
-    case 'WATER':
-    case 'ELECTRICITY':
-      // 3 days for urgent services
-      date.setDate(date.getDate() + 3);
-      break;
-    case 'PUBLIC_SAFETY':
-      // 2 days for safety issues
-      date.setDate(date.getDate() + 2);
-      break;
-    case 'ROADS':
-    case 'SANITATION':
-      // 7 days for infrastructure
-      date.setDate(date.getDate() + 7);
-      break;
-    default:
-      // 14 days for other categories
-      date.setDate(date.getDate() + 14);
-  }
-  return date;
+const { sendNotification, recipientOf } = require('../utils/notificationService');
+const { findAppropriateInstitution } = require('../utils/institutionRouting');
+const { calculateResolutionDeadline } = require('../utils/slaPolicy');
+const {
+  OPEN_STATUSES,
+  RESOLVED_STATUSES,
+  FEEDBACK_WINDOW_DAYS,
+  allowedTransitions,
+  canTransition,
+  buildStatusChange,
+  feedbackWindowOpen
+} = require('../utils/complaintLifecycle');
+const { canViewComplaint, sameId } = require('../utils/complaintAccess');
+const { DISTRICT_OPEN_STATUSES } = require('../utils/districtLifecycle');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { COMPLAINT_EVENTS, publishComplaintEvent } = require('../utils/complaintEvents');
+const { generateTrackingNumber } = require('../utils/trackingNumber');
+const { parseListQuery, paginateComplaints } = require('../utils/complaintQuery');
+const { recordResolution, recordRating, recordReopen } = require('../utils/performance');
+const { resolveLocation, sameDistrict } = require('../utils/locations');
+const { resolveCategory } = require('../utils/categories');
+const { formFieldsFor, validateAnswers } = require('../utils/formFields');
+
+// Map the legacy sortBy query values onto the shared sort grammar
+const INSTITUTION_SORTS = {
+  deadline: 'resolutionDeadline', // Soonest first
+  oldest: 'submissionDate',
+  newest: '-submissionDate'
 };
 
 // Submit new complaint
@@ -71,52 +49,94 @@ exports.submitComplaint = async (req, res) => {
       title,
       description,
       category,
-      province,
-      district
+      subcategory,
+      priority = 'MEDIUM',
+      provinceId,
+      districtId,
+      sectorId,
+      details
     } = req.body;
 
     // Ensure the user is a citizen
-    if (req.user.role !== 'citizen') {
+    if (req.user.role !== 'CITIZEN') {
       return res.status(403).json({
         message: 'Only citizens can submit complaints'
       });
     }
 
-    // Find appropriate institution
-    const institution = await findAppropriateInstitution(category, province, district);
-    
-    if (!institution) {
+    const catalogue = await resolveCategory({ category, subcategory });
+    if (catalogue.error) {
+      return res.status(400).json({ message: catalogue.error });
+    }
+
+    const answers = validateAnswers(formFieldsFor(catalogue.category, catalogue.subcategory), details);
+    if (answers.errors) {
+      return res.status(400).json({ errors: answers.errors });
+    }
+
+    const { location, error } = await resolveLocation({ provinceId, districtId, sectorId });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const { province, district } = location;
+
+    // Find the institution responsible for this category in the complaint's area
+    const route = await findAppropriateInstitution({ category, subcategory, province, district });
+
+    if (!route) {
       return res.status(404).json({
         message: 'No appropriate institution found to handle this complaint'
       });
     }
 
-    // Calculate resolution deadline
-    const resolutionDeadline = calculateResolutionDeadline(category);
+    const { institution, routing } = route;
+
+    // Calculate resolution deadline from the applicable SLA policy
+    const { deadline: resolutionDeadline, sla } = await calculateResolutionDeadline({
+      category,
+      subcategory,
+      priority
+    });
 
     // Create new complaint
-    const complaint = new Complaint({
+    const complaint = await complaints.create({
+      trackingNumber: await generateTrackingNumber(),
       title,
       description,
       category,
-      province,
-      district,
+      subcategory,
+      priority,
+      ...location,
+      details: answers.values,
       citizenId: req.user._id,
       institutionId: institution._id,
+      routing,
       resolutionDeadline,
-      assignedDepartment: institution._id // Initially same as institutionId
+      sla,
+      statusHistory: [{
+        from: null,
+        to: 'SUBMITTED',
+        changedBy: req.user._id,
+        role: req.user.role,
+        changedAt: new Date()
+      }]
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COMPLAINT_SUBMITTED,
+      entity: 'Complaint',
+      entityId: complaint._id,
+      after: complaint
+    });
+
+    publishComplaintEvent(COMPLAINT_EVENTS.ASSIGNED, complaint, {
+      data: { resolutionDeadline: complaint.resolutionDeadline }
     });
 
-    await complaint.save();
-    await complaint.populate('institutionId', 'institutionName');
-    
     // Send notification to citizen
     let notificationError = null;
     try {
-      await sendNotification('SUBMITTED', {
-        email: req.user.email,
-        phone: req.user.phone
-      }, {
+      await sendNotification('SUBMITTED', recipientOf(req.user), {
         complaintId: complaint._id,
         trackingNumber: complaint.trackingNumber
       });
@@ -128,9 +148,8 @@ exports.submitComplaint = async (req, res) => {
     res.status(201).json({
       message: 'Complaint submitted successfully',
       complaint: {
-        ...complaint.toObject(),
-        trackingNumber: complaint.trackingNumber,
-        assignedTo: complaint.institutionId.institutionName
+        ...complaint,
+        assignedTo: institution.name
       },
       notificationSent: !notificationError,
       notificationError: notificationError?.message
@@ -145,15 +164,20 @@ exports.submitComplaint = async (req, res) => {
   }
 };
 
-// Get complaint by tracking number
+// Public status view by tracking number: no citizen details, complaint text,
+// notes or internal routing — parties use getComplaint for the full record
 exports.getComplaintByTracking = async (req, res) => {
   try {
-    const { trackingNumber } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const complaint = await Complaint.findOne({ trackingNumber })
-      .populate('citizenId', 'fullName')
-      .populate('institutionId', 'institutionName')
-      .populate('assignedDepartment', 'institutionName');
+    const trackingNumber = req.params.trackingNumber.toUpperCase();
+
+    const complaint = await complaints.findOne({ trackingNumber }, {
+      include: { institution: ['name'] }
+    });
 
     if (!complaint) {
       return res.status(404).json({
@@ -161,6 +185,42 @@ exports.getComplaintByTracking = async (req, res) => {
       });
     }
 
+    res.json({
+      trackingNumber: complaint.trackingNumber,
+      status: complaint.status,
+      institution: complaint.institutionId ? complaint.institutionId.name : null,
+      submissionDate: complaint.submissionDate,
+      resolutionDeadline: complaint.resolutionDeadline,
+      resolutionDate: complaint.resolutionDate,
+      timeline: complaint.statusHistory.map(({ to, changedAt }) => ({ status: to, changedAt }))
+    });
+  } catch (error) {
+    console.error('Error fetching complaint:', error);
+    res.status(500).json({
+      message: 'Error fetching complaint',
+      error: error.message
+    });
+  }
+};
+
+// Full complaint record, for its parties only
+exports.getComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaint = await complaints.findById(req.params.complaintId, {
+      include: { citizen: ['name'], institution: ['name'], department: ['name'] }
+    });
+
+    if (!complaint || !canViewComplaint(req.user, complaint)) {
+      return res.status(404).json({
+        message: 'Complaint not found or you do not have permission to view it'
+      });
+    }
+
     res.json(complaint);
   } catch (error) {
     console.error('Error fetching complaint:', error);
@@ -174,25 +234,31 @@ exports.getComplaintByTracking = async (req, res) => {
 // Get complaints for logged-in user (citizen or institution)
 exports.getMyComplaints = async (req, res) => {
   try {
-    let query = {};
-    
-    if (req.user.role === 'citizen') {
-      query.citizenId = req.user._id;
-    } else if (req.user.role === 'institution') {
-      query.institutionId = req.user._id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { filter, sort, limit, after } = parseListQuery(req.query);
+
+    if (req.user.role === 'CITIZEN') {
+      filter.citizenId = req.user._id;
+    } else if (req.user.role === 'INSTITUTION') {
+      filter.institutionId = req.user._id;
     } else {
       return res.status(403).json({
         message: 'Unauthorized access'
       });
     }
 
-    const complaints = await Complaint.find(query)
-      .populate('citizenId', 'fullName')
-      .populate('institutionId', 'institutionName')
-      .populate('assignedDepartment', 'institutionName')
-      .sort({ submissionDate: -1 });
+    const page = await paginateComplaints(filter, {
+      include: { citizen: ['name'], institution: ['name'], department: ['name'] },
+      sort,
+      limit,
+      after
+    });
 
-    res.json(complaints);
+    res.json(page);
   } catch (error) {
     console.error('Error fetching complaints:', error);
     res.status(500).json({
@@ -205,78 +271,62 @@ exports.getMyComplaints = async (req, res) => {
 // Get institution complaints with filters and sorting
 exports.getInstitutionComplaints = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     // Ensure user is an institution
-    if (req.user.role !== 'institution') {
+    if (req.user.role !== 'INSTITUTION') {
       return res.status(403).json({
         message: 'Access denied. Only institutions can view these complaints'
       });
     }
 
     const {
-      status,
       deadlineApproaching,
       sortBy = 'deadline' // default sort by deadline
     } = req.query;
 
-    // Base query: get complaints assigned to this institution
-    let query = {
-      institutionId: req.user._id
-    };
+    const { filter, sort, limit, after } = parseListQuery(req.query, {
+      defaultSort: INSTITUTION_SORTS[sortBy]
+    });
 
-    // Add status filter if provided
-    if (status === 'unresolved') {
-      query.status = { $ne: 'RESOLVED' };
-    }
+    // Only complaints assigned to this institution
+    filter.institutionId = req.user._id;
 
     // Add deadline approaching filter (within next 2 days)
     if (deadlineApproaching === 'true') {
       const twoDaysFromNow = new Date();
       twoDaysFromNow.setDate(twoDaysFromNow.getDate() + 2);
       
-      query.resolutionDeadline = {
-        $lte: twoDaysFromNow,
-        $gte: new Date()
-      };
-      query.status = { $ne: 'RESOLVED' };
-    }
-
-    // Create the base query
-    let complaintsQuery = Complaint.find(query)
-      .populate('citizenId', 'fullName phone email')
-      .populate('institutionId', 'institutionName');
-
-    // Apply sorting
-    switch (sortBy) {
-      case 'deadline':
-        complaintsQuery = complaintsQuery.sort({ resolutionDeadline: 1 }); // Ascending (soonest first)
-        break;
-      case 'oldest':
-        complaintsQuery = complaintsQuery.sort({ submissionDate: 1 }); // Ascending (oldest first)
-        break;
-      case 'newest':
-        complaintsQuery = complaintsQuery.sort({ submissionDate: -1 }); // Descending (newest first)
-        break;
-      default:
-        complaintsQuery = complaintsQuery.sort({ resolutionDeadline: 1 });
-    }
-
-    const complaints = await complaintsQuery.exec();
+      filter.deadlineFrom = new Date();
+      filter.deadlineTo = twoDaysFromNow;
+      filter.status = OPEN_STATUSES;
+    }
+
+    const page = await paginateComplaints(filter, {
+      include: { citizen: ['name', 'phone', 'email'], institution: ['name'] },
+      sort,
+      limit,
+      after
+    });
 
     // Add urgency flag for complaints approaching deadline
-    const complaintsWithUrgency = complaints.map(complaint => {
-      const complaintObj = complaint.toObject();
+    const complaintsWithUrgency = page.complaints.map(complaint => {
+      const complaintObj = { ...complaint };
       if (complaint.resolutionDeadline) {
         const daysUntilDeadline = Math.ceil(
           (complaint.resolutionDeadline - new Date()) / (1000 * 60 * 60 * 24)
         );
-        complaintObj.isUrgent = daysUntilDeadline <= 2 && complaint.status !== 'RESOLVED';
+        complaintObj.isUrgent = daysUntilDeadline <= 2 && OPEN_STATUSES.includes(complaint.status);
         complaintObj.daysUntilDeadline = daysUntilDeadline;
       }
       return complaintObj;
     });
 
     res.json({
-      count: complaints.length,
+      ...page,
       complaints: complaintsWithUrgency
     });
 
@@ -292,6 +342,11 @@ exports.getInstitutionComplaints = async (req, res) => {
 // Update complaint deadline
 exports.updateComplaintDeadline = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
     const { newDeadline } = req.body;
 
@@ -303,19 +358,32 @@ exports.updateComplaintDeadline = async (req, res) => {
     }
 
     // Find complaint and ensure it belongs to this institution
-    const complaint = await Complaint.findOne({
-      _id: id,
+    const existing = await complaints.findOne({
+      id,
       institutionId: req.user._id
     });
 
-    if (!complaint) {
+    if (!existing) {
       return res.status(404).json({
         message: 'Complaint not found or you do not have permission to update it'
       });
     }
 
-    complaint.resolutionDeadline = new Date(newDeadline);
-    await complaint.save();
+    const complaint = await complaints.update(id, {
+      resolutionDeadline: new Date(newDeadline)
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COMPLAINT_DEADLINE_CHANGED,
+      entity: 'Complaint',
+      entityId: complaint._id,
+      before: existing,
+      after: complaint
+    });
+
+    publishComplaintEvent(COMPLAINT_EVENTS.DEADLINE_CHANGED, complaint, {
+      data: { resolutionDeadline: complaint.resolutionDeadline }
+    });
 
     res.json({
       message: 'Complaint deadline updated successfully',
@@ -334,75 +402,123 @@ exports.updateComplaintDeadline = async (req, res) => {
 // Update complaint status
 exports.updateComplaintStatus = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { complaintId } = req.params;
-    const { status, resolutionDeadline } = req.body;
+    const { status, note, resolutionDeadline } = req.body;
 
-    // Ensure user is an institution
-    if (req.user.role !== 'institution') {
+    if (resolutionDeadline && req.user.role === 'CITIZEN') {
       return res.status(403).json({
-        message: 'Only institutions can update complaint status'
+        message: 'Citizens cannot change the resolution deadline'
       });
     }
 
-    const complaint = await Complaint.findById(complaintId)
-      .populate('citizenId', 'email phone');
+    const complaint = await complaints.findById(complaintId, {
+      include: { citizen: ['email', 'phone', 'notificationPreferences'] }
+    });
 
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
-    // Ensure the institution owns this complaint
-    if (complaint.institutionId.toString() !== req.user._id.toString()) {
+    // Ensure the user is a party to this complaint
+    if (!canViewComplaint(req.user, complaint)) {
       return res.status(403).json({
         message: 'Not authorized to update this complaint'
       });
     }
 
-    // Update status
-    complaint.status = status;
-    
+    // Reopening resets the deadline and notifies the institution
+    if (status === 'REOPENED') {
+      return res.status(409).json({
+        message: `Use POST /api/complaints/${complaint._id}/reopen with a reason to reopen a complaint`
+      });
+    }
+
+    // Enforce the lifecycle for this role
+    if (!canTransition(complaint.status, status, req.user.role)) {
+      return res.status(409).json({
+        message: `Cannot change status from ${complaint.status} to ${status}`,
+        currentStatus: complaint.status,
+        allowedTransitions: allowedTransitions(complaint.status, req.user.role)
+      });
+    }
+
+    const { patch, statusChange } = buildStatusChange(complaint, status, { user: req.user, note });
+
+    if (resolutionDeadline) {
+      patch.resolutionDeadline = new Date(resolutionDeadline);
+    }
+
+    // Only if nobody changed the status in the meantime, so a resolution is
+    // recorded and notified once
+    const updated = await complaints.update(complaint._id, patch, {
+      statusChange,
+      ifStatus: complaint.status
+    });
+    if (!updated) {
+      return res.status(409).json({
+        message: 'The complaint changed while it was being updated; please reload it and try again'
+      });
+    }
+
     let notificationErrors = [];
 
-    // If status is RESOLVED, set resolution date and send notification
+    // If status is RESOLVED, send notification
     if (status === 'RESOLVED') {
-      complaint.resolutionDate = new Date();
-      
       try {
-        await sendNotification('RESOLVED', {
-          email: complaint.citizenId.email,
-          phone: complaint.citizenId.phone
-        }, {
+        await sendNotification('RESOLVED', recipientOf(complaint.citizenId), {
           complaintId: complaint._id,
           trackingNumber: complaint.trackingNumber
         });
       } catch (error) {
-        notificationErrors.push({ type: 'resolved', error: error.message });
+        notificationErrors.push({ type: 'resolved', error: error.message, channels: error.failures });
       }
     }
 
     // If deadline is being updated, send notification
     if (resolutionDeadline) {
-      complaint.resolutionDeadline = resolutionDeadline;
-      
       try {
-        await sendNotification('DEADLINE_SET', {
-          email: complaint.citizenId.email,
-          phone: complaint.citizenId.phone
-        }, {
+        await sendNotification('DEADLINE_SET', recipientOf(complaint.citizenId), {
           complaintId: complaint._id,
           trackingNumber: complaint.trackingNumber,
           deadline: resolutionDeadline
         });
       } catch (error) {
-        notificationErrors.push({ type: 'deadline', error: error.message });
+        notificationErrors.push({ type: 'deadline', error: error.message, channels: error.failures });
       }
     }
 
-    await complaint.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COMPLAINT_STATUS_CHANGED,
+      entity: 'Complaint',
+      entityId: complaint._id,
+      before: complaint,
+      after: updated,
+      details: note ? { note } : undefined
+    });
+
+    if (updated.status === 'RESOLVED') {
+      await recordResolution(updated);
+    }
+
+    if (updated.status !== complaint.status) {
+      publishComplaintEvent(COMPLAINT_EVENTS.STATUS_CHANGED, updated, {
+        data: { from: complaint.status }
+      });
+    }
+    if (resolutionDeadline) {
+      publishComplaintEvent(COMPLAINT_EVENTS.DEADLINE_CHANGED, updated, {
+        data: { resolutionDeadline: updated.resolutionDeadline }
+      });
+    }
 
     res.json({
       message: 'Complaint updated successfully',
-      complaint,
+      complaint: updated,
       notificationStatus: {
         success: notificationErrors.length === 0,
         errors: notificationErrors.length > 0 ? notificationErrors : undefined
@@ -417,6 +533,207 @@ exports.updateComplaintStatus = async (req, res) => {
   }
 };
 
+// Rate the resolution of one's own complaint, within the feedback window
+exports.rateComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { score, comment } = req.body;
+
+    const complaint = await complaints.findById(req.params.complaintId);
+
+    if (!complaint || !sameId(complaint.citizenId, req.user._id)) {
+      return res.status(404).json({
+        message: 'Complaint not found or you do not have permission to rate it'
+      });
+    }
+
+    if (!RESOLVED_STATUSES.includes(complaint.status)) {
+      return res.status(409).json({
+        message: 'Only a resolved complaint can be rated',
+        currentStatus: complaint.status
+      });
+    }
+    if (!feedbackWindowOpen(complaint)) {
+      return res.status(409).json({
+        message: `Complaints can only be rated within ${FEEDBACK_WINDOW_DAYS} days of their resolution`
+      });
+    }
+
+    const updated = await complaints.update(complaint._id, {
+      ratingScore: score,
+      ratingComment: comment || null,
+      ratedAt: new Date()
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COMPLAINT_RATED,
+      entity: 'Complaint',
+      entityId: complaint._id,
+      before: complaint,
+      after: updated
+    });
+
+    await recordRating(updated);
+
+    res.json({
+      message: 'Thank you for rating the resolution',
+      complaint: updated
+    });
+  } catch (error) {
+    console.error('Error rating complaint:', error);
+    res.status(500).json({
+      message: 'Error rating complaint',
+      error: error.message
+    });
+  }
+};
+
+// Reopen a resolved complaint with a reason; the institution gets a fresh
+// deadline and the reopen counts against its performance
+exports.reopenComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+
+    const complaint = await complaints.findById(req.params.complaintId, {
+      include: { institution: ['name', 'email', 'phone', 'notificationPreferences'] }
+    });
+
+    if (!complaint || !canViewComplaint(req.user, complaint)) {
+      return res.status(404).json({
+        message: 'Complaint not found or you do not have permission to reopen it'
+      });
+    }
+
+    if (!canTransition(complaint.status, 'REOPENED', req.user.role)) {
+      return res.status(409).json({
+        message: `Cannot reopen a complaint that is ${complaint.status}`,
+        currentStatus: complaint.status
+      });
+    }
+    if (req.user.role === 'CITIZEN' && !feedbackWindowOpen(complaint)) {
+      return res.status(409).json({
+        message: `Complaints can only be reopened within ${FEEDBACK_WINDOW_DAYS} days of their resolution`
+      });
+    }
+
+    const { patch, statusChange } = buildStatusChange(complaint, 'REOPENED', { user: req.user, note: reason });
+
+    const { deadline, sla } = await calculateResolutionDeadline({
+      category: complaint.category,
+      subcategory: complaint.subcategory,
+      priority: complaint.priority
+    });
+    Object.assign(patch, { resolutionDeadline: deadline, sla, escalationLevel: 0 });
+
+    // Only if nobody changed the status in the meantime, so a complaint is
+    // reopened, counted and notified once
+    const updated = await complaints.update(complaint._id, patch, {
+      statusChange,
+      ifStatus: complaint.status
+    });
+    if (!updated) {
+      return res.status(409).json({
+        message: 'The complaint changed while it was being reopened; please reload it and try again'
+      });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COMPLAINT_REOPENED,
+      entity: 'Complaint',
+      entityId: complaint._id,
+      before: complaint,
+      after: updated,
+      details: { reason }
+    });
+
+    await recordReopen(complaint, statusChange.changedAt);
+
+    let notificationError = null;
+    try {
+      await sendNotification('COMPLAINT_REOPENED', recipientOf(complaint.institutionId), {
+        complaintId: complaint._id,
+        trackingNumber: complaint.trackingNumber,
+        title: complaint.title,
+        reason,
+        deadline
+      });
+    } catch (error) {
+      console.error('Notification error:', error);
+      notificationError = error;
+    }
+
+    publishComplaintEvent(COMPLAINT_EVENTS.STATUS_CHANGED, updated, {
+      data: { from: complaint.status }
+    });
+    publishComplaintEvent(COMPLAINT_EVENTS.DEADLINE_CHANGED, updated, {
+      data: { resolutionDeadline: updated.resolutionDeadline }
+    });
+
+    res.json({
+      message: 'Complaint reopened successfully',
+      complaint: updated,
+      notificationSent: !notificationError,
+      notificationError: notificationError?.message
+    });
+  } catch (error) {
+    console.error('Error reopening complaint:', error);
+    res.status(500).json({
+      message: 'Error reopening complaint',
+      error: error.message
+    });
+  }
+};
+
+// Get the status timeline of a complaint
+exports.getComplaintTimeline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaint = await complaints.findById(req.params.complaintId);
+
+    if (!complaint || !canViewComplaint(req.user, complaint)) {
+      return res.status(404).json({
+        message: 'Complaint not found or you do not have permission to view it'
+      });
+    }
+
+    // Resolve who made each change
+    const actorIds = [...new Set(complaint.statusHistory
+      .filter(entry => entry.changedBy)
+      .map(entry => entry.changedBy.toString()))];
+    const actors = new Map((await users.findByIds(actorIds))
+      .map(({ _id, name, role }) => [_id.toString(), { _id, name, role }]));
+
+    res.json({
+      complaintId: complaint._id,
+      trackingNumber: complaint.trackingNumber,
+      status: complaint.status,
+      timeline: complaint.statusHistory.map(entry => ({
+        ...entry,
+        changedBy: entry.changedBy ? actors.get(entry.changedBy.toString()) || null : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching complaint timeline:', error);
+    res.status(500).json({
+      message: 'Error fetching complaint timeline',
+      error: error.message
+    });
+  }
+};
+
 // Forward complaint to district department
 exports.forwardComplaint = async (req, res) => {
   try {
@@ -429,8 +746,8 @@ exports.forwardComplaint = async (req, res) => {
     const { departmentId, forwardingNote } = req.body;
 
     // Find the complaint and ensure it belongs to this institution
-    const complaint = await Complaint.findOne({
-      _id: complaintId,
+    const complaint = await complaints.findOne({
+      id: complaintId,
       institutionId: req.user._id
     });
 
@@ -441,36 +758,98 @@ exports.forwardComplaint = async (req, res) => {
     }
 
     // Find the department
-    const department = await DistrictDepartment.findById(departmentId);
+    const department = await geography.findDepartmentById(departmentId);
     if (!department) {
       return res.status(404).json({
         message: 'District department not found'
       });
     }
 
+    // Resolved or closed complaints can no longer be forwarded
+    if (complaint.status !== 'FORWARDED' && !canTransition(complaint.status, 'FORWARDED', req.user.role)) {
+      return res.status(409).json({
+        message: `Cannot forward a complaint with status ${complaint.status}`
+      });
+    }
+
     // Ensure department is in the same district as the complaint
-    if (department.district !== complaint.district) {
+    if (!sameDistrict(department, complaint)) {
       return res.status(400).json({
         message: 'Department must be in the same district as the complaint'
       });
     }
 
     // Create forwarding record
-    const forwardingRecord = new ForwardingRecord({
+    const forwardingRecord = await forwarding.create({
       complaintId: complaint._id,
       fromInstitutionId: req.user._id,
       toDepartmentId: department._id,
-      forwardingNote
+      forwardingNote,
+      forwardedAt: new Date()
+    }, {
+      include: { fromInstitution: ['name'], toDepartment: ['name', 'email'] }
     });
 
-    await forwardingRecord.save();
-
     // Update complaint's assigned department
-    complaint.assignedDepartment = department._id;
-    complaint.status = 'IN_PROGRESS';
-    await complaint.save();
+    let patch = { assignedDepartment: department._id };
+    let statusChange;
+    if (complaint.status !== 'FORWARDED') {
+      ({ patch, statusChange } = buildStatusChange(complaint, 'FORWARDED', {
+        user: req.user,
+        note: `Forwarded to ${department.name}`
+      }));
+      patch.assignedDepartment = department._id;
+    }
+    const updated = await complaints.update(complaint._id, patch, { statusChange });
+
+    // Queue it for the department; a department it was forwarded to before
+    // no longer needs to act on it
+    const previous = await districtComplaints.list({
+      complaintId: complaint._id,
+      status: DISTRICT_OPEN_STATUSES
+    });
+    for (const task of previous.filter(t => !sameId(t.departmentId, department._id))) {
+      await districtComplaints.update(task._id, { status: 'REASSIGNED' });
+    }
+    await districtComplaints.openForForward({
+      complaintId: complaint._id,
+      departmentId: department._id,
+      forwardingRecordId: forwardingRecord._id
+    });
+
+    // The note opens the institution–district message thread
+    if (forwardingNote) {
+      await messages.create({
+        complaintId: complaint._id,
+        departmentId: department._id,
+        senderId: req.user._id,
+        senderRole: req.user.role,
+        body: forwardingNote,
+        sentAt: forwardingRecord.forwardedAt
+      });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COMPLAINT_FORWARDED,
+      entity: 'Complaint',
+      entityId: complaint._id,
+      before: complaint,
+      after: updated,
+      details: {
+        forwardingRecordId: forwardingRecord._id.toString(),
+        departmentId: department._id.toString(),
+        forwardingNote
+      }
+    });
+
+    // Departments it was taken away from see it leave their queue
+    publishComplaintEvent(COMPLAINT_EVENTS.FORWARDED, updated, {
+      departmentIds: [department._id, ...previous.map(task => task.departmentId)],
+      data: { departmentId: department._id.toString(), departmentName: department.name }
+    });
 
     // Send email notification
+    let notificationError = null;
     try {
       await sendNotification('COMPLAINT_FORWARDED', {
         email: department.email,
@@ -485,17 +864,15 @@ exports.forwardComplaint = async (req, res) => {
     } catch (emailError) {
       console.error('Error sending email notification:', emailError);
       // Continue execution even if email fails
+      notificationError = emailError;
     }
 
-    // Populate response data
-    await forwardingRecord
-      .populate('fromInstitutionId', 'institutionName')
-      .populate('toDepartmentId', 'name email');
-
     res.json({
       message: 'Complaint forwarded successfully',
       forwardingRecord,
-      emailSent: true
+      emailSent: !notificationError ||
+        !(notificationError.failures || []).some(f => f.channel === 'email'),
+      notificationError: notificationError?.message
     });
 
   } catch (error) {
@@ -510,27 +887,25 @@ exports.forwardComplaint = async (req, res) => {
 // Get forwarding history for a complaint
 exports.getForwardingHistory = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { complaintId } = req.params;
 
     // Ensure the user has access to this complaint
-    const complaint = await Complaint.findOne({
-      _id: complaintId,
-      $or: [
-        { institutionId: req.user._id },
-        { citizenId: req.user._id }
-      ]
-    });
+    const complaint = await complaints.findById(complaintId);
 
-    if (!complaint) {
+    if (!complaint || !canViewComplaint(req.user, complaint)) {
       return res.status(404).json({
         message: 'Complaint not found or you do not have permission to view it'
       });
     }
 
-    const forwardingHistory = await ForwardingRecord.find({ complaintId })
-      .populate('fromInstitutionId', 'institutionName')
-      .populate('toDepartmentId', 'name')
-      .sort({ forwardedAt: -1 });
+    const forwardingHistory = await forwarding.listByComplaint(complaintId, {
+      include: { fromInstitution: ['name'], toDepartment: ['name'] }
+    });
 
     res.json(forwardingHistory);
 
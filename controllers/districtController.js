@@ -0,0 +1,447 @@
+const { validationResult } = require('express-validator');
+const { users, complaints, geography, messages, districtComplaints } = require('../repositories');
+const { sendNotification, recipientOf } = require('../utils/notificationService');
+const { toPublicUser } = require('../utils/accounts');
+const { DISTRICT_OPEN_STATUSES } = require('../utils/districtLifecycle');
+const { COMPLAINT_EVENTS, publishComplaintEvent } = require('../utils/complaintEvents');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { ROLES } = require('../utils/roles');
+
+const QUEUE_FIELDS = [
+  'title', 'trackingNumber', 'category', 'subcategory', 'priority',
+  'status', 'district', 'resolutionDeadline', 'institutionId'
+];
+
+const DETAIL_FIELDS = [...QUEUE_FIELDS, 'description', 'province', 'submissionDate'];
+
+// Map the sortBy query values onto repository sort clauses
+const QUEUE_SORTS = {
+  deadline: [{ field: 'internalDeadline', direction: 'asc' }],
+  oldest: [{ field: 'createdAt', direction: 'asc' }],
+  newest: [{ field: 'createdAt', direction: 'desc' }]
+};
+
+// Load the caller's department task for :complaintId, or send an error
+const loadTask = async (req, res, options) => {
+  if (!req.user.departmentId) {
+    res.status(403).json({ message: 'Your account is not linked to a district department' });
+    return null;
+  }
+
+  const task = await districtComplaints.findOne({
+    complaintId: req.params.complaintId,
+    departmentId: req.user.departmentId
+  }, options);
+
+  if (!task) {
+    res.status(404).json({
+      message: 'Complaint not found or it has not been forwarded to your department'
+    });
+    return null;
+  }
+  return task;
+};
+
+// Sent when a conditional update finds the task in another status than was read
+const taskChanged = (res) =>
+  res.status(409).json({
+    message: 'The complaint changed while it was being updated; please reload it and try again'
+  });
+
+// Reject changes to tasks the department is done with
+const ensureOpen = (task, res) => {
+  if (!DISTRICT_OPEN_STATUSES.includes(task.status)) {
+    res.status(409).json({
+      message: `Cannot change a complaint with department status ${task.status}`
+    });
+    return false;
+  }
+  return true;
+};
+
+// Complaints forwarded to the caller's department
+exports.getQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.departmentId) {
+      return res.status(403).json({ message: 'Your account is not linked to a district department' });
+    }
+
+    const { status, assignedToMe, sortBy = 'deadline' } = req.query;
+
+    const filter = {
+      departmentId: req.user.departmentId,
+      status: status || DISTRICT_OPEN_STATUSES
+    };
+    if (assignedToMe === 'true') {
+      filter.assignedStaffId = req.user._id;
+    }
+
+    const tasks = await districtComplaints.list(filter, {
+      include: { complaint: QUEUE_FIELDS, assignedStaff: ['name'] },
+      sort: QUEUE_SORTS[sortBy] || QUEUE_SORTS.deadline
+    });
+
+    const now = new Date();
+    res.json({
+      count: tasks.length,
+      complaints: tasks.map(task => ({
+        ...task,
+        isOverdue: Boolean(task.internalDeadline) &&
+          task.internalDeadline < now &&
+          DISTRICT_OPEN_STATUSES.includes(task.status)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching department queue:', error);
+    res.status(500).json({
+      message: 'Error fetching department queue',
+      error: error.message
+    });
+  }
+};
+
+// One forwarded complaint with the department's handling details
+exports.getDistrictComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await loadTask(req, res, {
+      include: { complaint: DETAIL_FIELDS, assignedStaff: ['name', 'email', 'phone'] }
+    });
+    if (!task) return;
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error fetching department complaint:', error);
+    res.status(500).json({
+      message: 'Error fetching department complaint',
+      error: error.message
+    });
+  }
+};
+
+// Take the complaint on, optionally setting the internal deadline at once
+exports.acknowledgeComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (task.status !== 'PENDING') {
+      return res.status(409).json({
+        message: `Cannot acknowledge a complaint with department status ${task.status}`
+      });
+    }
+
+    const { internalDeadline } = req.body;
+    if (internalDeadline && internalDeadline < new Date()) {
+      return res.status(400).json({
+        message: 'Invalid deadline. Deadline must be a future date'
+      });
+    }
+
+    const patch = {
+      status: 'ACKNOWLEDGED',
+      acknowledged: true,
+      acknowledgedAt: new Date()
+    };
+    if (internalDeadline) {
+      patch.internalDeadline = internalDeadline;
+    }
+
+    // Only if nobody acknowledged it in the meantime
+    const updated = await districtComplaints.update(task._id, patch, { ifStatus: task.status });
+    if (!updated) return taskChanged(res);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DISTRICT_TASK_ACKNOWLEDGED,
+      entity: 'DistrictComplaint',
+      entityId: task._id,
+      before: task,
+      after: updated
+    });
+
+    res.json({
+      message: 'Complaint acknowledged',
+      districtComplaint: updated
+    });
+  } catch (error) {
+    console.error('Error acknowledging complaint:', error);
+    res.status(500).json({
+      message: 'Error acknowledging complaint',
+      error: error.message
+    });
+  }
+};
+
+// Set the department's own deadline
+exports.setInternalDeadline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await loadTask(req, res);
+    if (!task || !ensureOpen(task, res)) return;
+
+    const { internalDeadline } = req.body;
+    if (internalDeadline < new Date()) {
+      return res.status(400).json({
+        message: 'Invalid deadline. Deadline must be a future date'
+      });
+    }
+
+    const updated = await districtComplaints.update(task._id, { internalDeadline });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DISTRICT_TASK_DEADLINE_CHANGED,
+      entity: 'DistrictComplaint',
+      entityId: task._id,
+      before: task,
+      after: updated
+    });
+
+    res.json({
+      message: 'Internal deadline updated',
+      districtComplaint: updated
+    });
+  } catch (error) {
+    console.error('Error updating internal deadline:', error);
+    res.status(500).json({
+      message: 'Error updating internal deadline',
+      error: error.message
+    });
+  }
+};
+
+// Hand the complaint to a member of the department and let them know
+exports.assignStaff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await loadTask(req, res);
+    if (!task || !ensureOpen(task, res)) return;
+
+    const staff = await users.findById(req.body.staffId);
+    if (
+      !staff ||
+      staff.role !== ROLES.DISTRICT ||
+      !staff.departmentId ||
+      staff.departmentId.toString() !== req.user.departmentId.toString()
+    ) {
+      return res.status(400).json({ message: 'Staff member must belong to your department' });
+    }
+
+    const updated = await districtComplaints.update(task._id, { assignedStaffId: staff._id });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DISTRICT_TASK_ASSIGNED,
+      entity: 'DistrictComplaint',
+      entityId: task._id,
+      before: task,
+      after: updated
+    });
+
+    let notificationError = null;
+    try {
+      const [complaint, department] = await Promise.all([
+        complaints.findById(task.complaintId),
+        geography.findDepartmentById(req.user.departmentId)
+      ]);
+      await sendNotification('DISTRICT_TASK_ASSIGNED', recipientOf(staff), {
+        staffName: staff.name,
+        departmentName: department ? department.name : 'your department',
+        complaintId: complaint._id,
+        trackingNumber: complaint.trackingNumber,
+        title: complaint.title,
+        internalDeadline: updated.internalDeadline
+      });
+    } catch (error) {
+      console.error('Notification error:', error);
+      notificationError = error;
+    }
+
+    res.json({
+      message: 'Staff member assigned',
+      districtComplaint: updated,
+      notificationSent: !notificationError,
+      notificationError: notificationError?.message
+    });
+  } catch (error) {
+    console.error('Error assigning staff:', error);
+    res.status(500).json({
+      message: 'Error assigning staff',
+      error: error.message
+    });
+  }
+};
+
+// Add a note visible only inside the department
+exports.addInternalNote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    const updated = await districtComplaints.update(task._id, {}, {
+      note: {
+        authorId: req.user._id,
+        note: req.body.note,
+        createdAt: new Date()
+      }
+    });
+
+    // The note itself stays inside the department
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DISTRICT_TASK_NOTE_ADDED,
+      entity: 'DistrictComplaint',
+      entityId: task._id
+    });
+
+    res.status(201).json({
+      message: 'Note added',
+      districtComplaint: updated
+    });
+  } catch (error) {
+    console.error('Error adding internal note:', error);
+    res.status(500).json({
+      message: 'Error adding internal note',
+      error: error.message
+    });
+  }
+};
+
+// Report the department's work as done; the institution is notified and the
+// report is posted to the institution–district thread
+exports.completeComplaint = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (task.status !== 'ACKNOWLEDGED') {
+      return res.status(409).json({
+        message: task.status === 'PENDING'
+          ? 'Acknowledge the complaint before reporting completion'
+          : `Cannot complete a complaint with department status ${task.status}`
+      });
+    }
+
+    const { report } = req.body;
+    const completedAt = new Date();
+
+    // Only if the task is still acknowledged, so the completion is reported once
+    const updated = await districtComplaints.update(task._id, {
+      status: 'COMPLETED',
+      completionReport: report,
+      completedAt,
+      completedBy: req.user._id
+    }, { ifStatus: task.status });
+    if (!updated) return taskChanged(res);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DISTRICT_TASK_COMPLETED,
+      entity: 'DistrictComplaint',
+      entityId: task._id,
+      before: task,
+      after: updated
+    });
+
+    const message = await messages.create({
+      complaintId: task.complaintId,
+      departmentId: task.departmentId,
+      senderId: req.user._id,
+      senderRole: req.user.role,
+      body: `Work completed: ${report}`,
+      sentAt: completedAt
+    });
+
+    const complaint = await complaints.findById(task.complaintId, {
+      include: { institution: ['email', 'phone', 'notificationPreferences'] }
+    });
+
+    publishComplaintEvent(COMPLAINT_EVENTS.MESSAGE_POSTED, complaint, {
+      citizen: false,
+      departmentIds: [task.departmentId],
+      data: {
+        messageId: message._id.toString(),
+        departmentId: task.departmentId.toString(),
+        senderRole: req.user.role
+      }
+    });
+
+    let notificationError = null;
+    try {
+      const department = await geography.findDepartmentById(task.departmentId);
+      await sendNotification('DISTRICT_WORK_COMPLETED', recipientOf(complaint.institutionId), {
+        departmentName: department ? department.name : 'The district department',
+        complaintId: complaint._id,
+        trackingNumber: complaint.trackingNumber,
+        title: complaint.title,
+        report
+      });
+    } catch (error) {
+      console.error('Notification error:', error);
+      notificationError = error;
+    }
+
+    res.json({
+      message: 'Completion reported to the institution',
+      districtComplaint: updated,
+      notificationSent: !notificationError,
+      notificationError: notificationError?.message
+    });
+  } catch (error) {
+    console.error('Error completing complaint:', error);
+    res.status(500).json({
+      message: 'Error completing complaint',
+      error: error.message
+    });
+  }
+};
+
+// Staff of the caller's department, for assignment
+exports.getStaff = async (req, res) => {
+  try {
+    if (!req.user.departmentId) {
+      return res.status(403).json({ message: 'Your account is not linked to a district department' });
+    }
+
+    const staff = await users.list({
+      role: ROLES.DISTRICT,
+      departmentId: req.user.departmentId
+    });
+
+    res.json(staff.map(toPublicUser));
+  } catch (error) {
+    console.error('Error fetching department staff:', error);
+    res.status(500).json({
+      message: 'Error fetching department staff',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,53 @@
+const { validationResult } = require('express-validator');
+const EscalationEvent = require('../models/EscalationEvent');
+const { complaints } = require('../repositories');
+const { runEscalationCycle } = require('../utils/escalation');
+
+// Trigger an escalation cycle immediately
+exports.runEscalations = async (req, res) => {
+  try {
+    const result = await runEscalationCycle();
+    res.json(result);
+  } catch (error) {
+    console.error('Error running escalations:', error);
+    res.status(500).json({
+      message: 'Error running escalations',
+      error: error.message
+    });
+  }
+};
+
+// List recorded escalation events, optionally for one complaint
+exports.getEscalations = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const query = {};
+    if (req.query.complaintId) query.complaintId = req.query.complaintId;
+
+    const events = await EscalationEvent.find(query)
+      .sort({ escalatedAt: -1 })
+      .lean();
+
+    // Complaints may live in another store, so attach them by id
+    const related = await complaints.list({
+      ids: [...new Set(events.map(e => e.complaintId.toString()))]
+    });
+    const byId = new Map(related.map(({ _id, title, trackingNumber, status, resolutionDeadline }) =>
+      [_id.toString(), { _id, title, trackingNumber, status, resolutionDeadline }]));
+
+    res.json(events.map(event => ({
+      ...event,
+      complaintId: byId.get(event.complaintId.toString()) || null
+    })));
+  } catch (error) {
+    console.error('Error fetching escalations:', error);
+    res.status(500).json({
+      message: 'Error fetching escalations',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,56 @@
+const { canReceive, subscribe, eventsSince } = require('../utils/complaintEvents');
+
+const HEARTBEAT_SECONDS = Number(process.env.SSE_HEARTBEAT_SECONDS) || 25;
+const RETRY_MS = Number(process.env.SSE_RETRY_MS) || 5000;
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Server-Sent Events stream of complaint events the caller is entitled to see.
+ * A reconnecting client's Last-Event-ID header (or lastEventId query
+ * parameter) replays what it missed; when that isn't possible a `resync`
+ * event tells it to reload its complaint lists instead. The stream ends when
+ * the access token expires so the client reconnects with a fresh one.
+ */
+exports.streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = (event) => {
+    if (canReceive(req.user, event)) writeEvent(res, event);
+  };
+
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, resync } = eventsSince(lastEventId);
+    if (resync) {
+      res.write('event: resync\ndata: {}\n\n');
+    } else {
+      events.forEach(send);
+    }
+  }
+
+  const unsubscribe = subscribe(send);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+
+  // setTimeout can't wait longer than ~24.8 days
+  const expiresIn = req.accessTokenExpiresAt ? req.accessTokenExpiresAt - Date.now() : null;
+  const expiry = expiresIn !== null
+    ? setTimeout(() => res.end(), Math.min(Math.max(expiresIn, 0), 2 ** 31 - 1))
+    : null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+};
@@ -0,0 +1,384 @@
+const { validationResult } = require('express-validator');
+const { geography } = require('../repositories');
+const { resolveDistrict } = require('../utils/locations');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+// Province → district → sector; each level is unique by name within its parent
+const LEVELS = {
+  province: {
+    entity: 'Province',
+    ref: 'provinceId',
+    find: geography.findProvinceById,
+    findByName: (record, name) => geography.findProvinceByName(name),
+    rename: geography.renameProvince,
+    remove: geography.deleteProvince
+  },
+  district: {
+    entity: 'District',
+    ref: 'districtId',
+    find: geography.findDistrictById,
+    findByName: (record, name) => geography.findDistrictByName(record.provinceId, name),
+    rename: geography.renameDistrict,
+    remove: geography.deleteDistrict
+  },
+  sector: {
+    entity: 'Sector',
+    ref: 'sectorId',
+    find: geography.findSectorById,
+    findByName: (record, name) => geography.findSectorByName(record.districtId, name),
+    rename: geography.renameSector,
+    remove: geography.deleteSector
+  }
+};
+
+// List provinces
+exports.getProvinces = async (req, res) => {
+  try {
+    res.json(await geography.listProvinces());
+  } catch (error) {
+    console.error('Error fetching provinces:', error);
+    res.status(500).json({
+      message: 'Error fetching provinces',
+      error: error.message
+    });
+  }
+};
+
+// List districts, optionally of one province
+exports.getDistricts = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await geography.listDistricts({ provinceId: req.query.provinceId }));
+  } catch (error) {
+    console.error('Error fetching districts:', error);
+    res.status(500).json({
+      message: 'Error fetching districts',
+      error: error.message
+    });
+  }
+};
+
+// List sectors, optionally of one district
+exports.getSectors = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await geography.listSectors({ districtId: req.query.districtId }));
+  } catch (error) {
+    console.error('Error fetching sectors:', error);
+    res.status(500).json({
+      message: 'Error fetching sectors',
+      error: error.message
+    });
+  }
+};
+
+const recordCreated = (req, level, record) =>
+  recordAudit(req, {
+    action: AUDIT_ACTIONS.LOCATION_CREATED,
+    entity: LEVELS[level].entity,
+    entityId: record._id,
+    after: record
+  });
+
+// Create a province
+exports.createProvince = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name } = req.body;
+
+    if (await geography.findProvinceByName(name)) {
+      return res.status(409).json({ message: 'A province with this name already exists' });
+    }
+
+    const province = await geography.createProvince({ name });
+    await recordCreated(req, 'province', province);
+
+    res.status(201).json(province);
+  } catch (error) {
+    console.error('Error creating province:', error);
+    res.status(500).json({
+      message: 'Error creating province',
+      error: error.message
+    });
+  }
+};
+
+// Create a district in a province
+exports.createDistrict = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { provinceId, name } = req.body;
+
+    const province = await geography.findProvinceById(provinceId);
+    if (!province) {
+      return res.status(404).json({ message: 'Province not found' });
+    }
+    if (await geography.findDistrictByName(province._id, name)) {
+      return res.status(409).json({ message: 'This province already has a district with this name' });
+    }
+
+    const district = await geography.createDistrict({ provinceId: province._id, name });
+    await recordCreated(req, 'district', district);
+
+    res.status(201).json(district);
+  } catch (error) {
+    console.error('Error creating district:', error);
+    res.status(500).json({
+      message: 'Error creating district',
+      error: error.message
+    });
+  }
+};
+
+// Create a sector in a district
+exports.createSector = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { districtId, name } = req.body;
+
+    const district = await geography.findDistrictById(districtId);
+    if (!district) {
+      return res.status(404).json({ message: 'District not found' });
+    }
+    if (await geography.findSectorByName(district._id, name)) {
+      return res.status(409).json({ message: 'This district already has a sector with this name' });
+    }
+
+    const sector = await geography.createSector({ districtId: district._id, name });
+    await recordCreated(req, 'sector', sector);
+
+    res.status(201).json(sector);
+  } catch (error) {
+    console.error('Error creating sector:', error);
+    res.status(500).json({
+      message: 'Error creating sector',
+      error: error.message
+    });
+  }
+};
+
+// Rename a location; users, departments and complaints pick up the new name
+const renameLocation = (level) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { entity, find, findByName, rename } = LEVELS[level];
+
+  try {
+    const existing = await find(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: `${entity} not found` });
+    }
+
+    const duplicate = await findByName(existing, req.body.name);
+    if (duplicate && duplicate._id.toString() !== existing._id.toString()) {
+      return res.status(409).json({ message: `A ${level} with this name already exists` });
+    }
+
+    const record = await rename(existing._id, req.body.name);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.LOCATION_UPDATED,
+      entity,
+      entityId: record._id,
+      before: existing,
+      after: record
+    });
+
+    res.json(record);
+  } catch (error) {
+    console.error(`Error renaming ${level}:`, error);
+    res.status(500).json({
+      message: `Error renaming ${level}`,
+      error: error.message
+    });
+  }
+};
+
+// Delete a location nothing refers to any more
+const deleteLocation = (level) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { entity, ref, find, remove } = LEVELS[level];
+
+  try {
+    const existing = await find(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: `${entity} not found` });
+    }
+
+    if (await geography.locationInUse({ [ref]: existing._id })) {
+      return res.status(409).json({
+        message: `Cannot delete a ${level} that still has locations, users, departments or complaints referring to it`
+      });
+    }
+
+    await remove(existing._id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.LOCATION_DELETED,
+      entity,
+      entityId: existing._id,
+      before: existing
+    });
+
+    res.json({ message: `${entity} removed` });
+  } catch (error) {
+    console.error(`Error deleting ${level}:`, error);
+    res.status(500).json({
+      message: `Error deleting ${level}`,
+      error: error.message
+    });
+  }
+};
+
+exports.renameProvince = renameLocation('province');
+exports.renameDistrict = renameLocation('district');
+exports.renameSector = renameLocation('sector');
+exports.deleteProvince = deleteLocation('province');
+exports.deleteDistrict = deleteLocation('district');
+exports.deleteSector = deleteLocation('sector');
+
+// List district departments, optionally of one district
+exports.getDepartments = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let filter = {};
+    if (req.query.districtId) {
+      const district = await geography.findDistrictById(req.query.districtId);
+      if (!district) {
+        return res.status(404).json({ message: 'District not found' });
+      }
+      filter = { district: district.name };
+    }
+
+    res.json(await geography.listDepartments(filter));
+  } catch (error) {
+    console.error('Error fetching district departments:', error);
+    res.status(500).json({
+      message: 'Error fetching district departments',
+      error: error.message
+    });
+  }
+};
+
+// Create a district department
+exports.createDepartment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, email, phone, provinceId, districtId } = req.body;
+
+    const { location, error } = await resolveDistrict({ provinceId, districtId });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (await geography.findDepartmentByEmail(email)) {
+      return res.status(409).json({ message: 'A department with this email already exists' });
+    }
+
+    const department = await geography.createDepartment({ name, email, phone, ...location });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DEPARTMENT_CREATED,
+      entity: 'DistrictDepartment',
+      entityId: department._id,
+      after: department
+    });
+
+    res.status(201).json(department);
+  } catch (error) {
+    console.error('Error creating district department:', error);
+    res.status(500).json({
+      message: 'Error creating district department',
+      error: error.message
+    });
+  }
+};
+
+// Update a district department, including moving it to another district
+exports.updateDepartment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const existing = await geography.findDepartmentById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'District department not found' });
+    }
+
+    const patch = {};
+    ['name', 'email', 'phone'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        patch[field] = req.body[field];
+      }
+    });
+
+    if (patch.email && patch.email !== existing.email && await geography.findDepartmentByEmail(patch.email)) {
+      return res.status(409).json({ message: 'A department with this email already exists' });
+    }
+
+    if (req.body.districtId) {
+      const { location, error } = await resolveDistrict({
+        provinceId: req.body.provinceId,
+        districtId: req.body.districtId
+      });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      Object.assign(patch, location);
+    }
+
+    const department = await geography.updateDepartment(existing._id, patch);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DEPARTMENT_UPDATED,
+      entity: 'DistrictDepartment',
+      entityId: department._id,
+      before: existing,
+      after: department
+    });
+
+    res.json(department);
+  } catch (error) {
+    console.error('Error updating district department:', error);
+    res.status(500).json({
+      message: 'Error updating district department',
+      error: error.message
+    });
+  }
+};
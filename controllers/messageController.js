@@ -0,0 +1,290 @@
+const { validationResult } = require('express-validator');
+const { users, complaints, forwarding, geography, messages } = require('../repositories');
+const UploadedFile = require('../models/UploadedFile');
+const { sendNotification, recipientOf } = require('../utils/notificationService');
+const { sameId } = require('../utils/complaintAccess');
+const { ROLES } = require('../utils/roles');
+const { COMPLAINT_EVENTS, publishComplaintEvent } = require('../utils/complaintEvents');
+const {
+  REJECTED_TYPE_MESSAGE,
+  inspectFiles,
+  storeAttachments,
+  streamAttachment
+} = require('../utils/attachments');
+
+const NOT_FOUND = 'Complaint not found or you do not have permission to view its messages';
+
+/**
+ * Who may use a complaint's institution–district thread, and how:
+ * the handling institution reads every department's messages and writes to
+ * the department currently assigned; district staff read and write their own
+ * department's messages once the complaint has been forwarded to it; ADMIN
+ * reads everything. Citizens never get access.
+ * Returns null or { canPost, departmentId } — departmentId limits what is read.
+ */
+const threadAccess = async (user, complaint) => {
+  switch (user.role) {
+    case 'INSTITUTION':
+      return sameId(complaint.institutionId, user._id) ? { canPost: true } : null;
+    case 'DISTRICT': {
+      if (!user.departmentId) return null;
+      if (sameId(complaint.assignedDepartment, user.departmentId)) {
+        return { canPost: true, departmentId: user.departmentId };
+      }
+      const history = await forwarding.listByComplaint(complaint._id);
+      return history.some(record => sameId(record.toDepartmentId, user.departmentId))
+        ? { canPost: true, departmentId: user.departmentId }
+        : null;
+    }
+    case 'ADMIN':
+      return { canPost: false };
+    default:
+      return null;
+  }
+};
+
+// Load the complaint and the caller's thread access, or send a 404
+const loadThread = async (req, res) => {
+  const complaint = await complaints.findById(req.params.complaintId);
+  const access = complaint && await threadAccess(req.user, complaint);
+  if (!access) {
+    res.status(404).json({ message: NOT_FOUND });
+    return null;
+  }
+  return { complaint, access };
+};
+
+// Whoever is on the other side of the thread from the sender. A department
+// is reached at its own address and through each of its DISTRICT users, who
+// also get the message in their inbox
+const findRecipients = async (sender, complaint, departmentId) => {
+  if (sender.role === 'INSTITUTION') {
+    const department = await geography.findDepartmentById(departmentId);
+    if (!department) return [];
+    const staff = await users.list({ role: ROLES.DISTRICT, departmentId: department._id });
+    return [{ email: department.email, phone: department.phone }, ...staff.map(recipientOf)];
+  }
+  const institution = await users.findById(complaint.institutionId);
+  return institution ? [recipientOf(institution)] : [];
+};
+
+const isUnreadBy = (message, user) =>
+  !sameId(message.senderId, user._id) && !message.readBy.some(r => sameId(r.userId, user._id));
+
+// List the thread with attachment details and read receipts (oldest first)
+exports.getMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+    const { complaint, access } = thread;
+
+    const threadMessages = await messages.listByComplaint(complaint._id, {
+      departmentId: access.departmentId
+    });
+
+    const attachmentIds = threadMessages.flatMap(m => m.attachments || []);
+    const files = attachmentIds.length > 0
+      ? await UploadedFile.find({ _id: { $in: attachmentIds }, purpose: 'MESSAGE' })
+          .select('-storageKey -storageDriver')
+          .lean()
+      : [];
+    const filesById = new Map(files.map(f => [f._id.toString(), f]));
+
+    res.json({
+      complaintId: complaint._id,
+      assignedDepartment: complaint.assignedDepartment || null,
+      unreadCount: threadMessages.filter(m => isUnreadBy(m, req.user)).length,
+      messages: threadMessages.map(message => ({
+        ...message,
+        attachments: (message.attachments || [])
+          .map(id => filesById.get(id.toString()))
+          .filter(Boolean)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({
+      message: 'Error fetching messages',
+      error: error.message
+    });
+  }
+};
+
+// Post a message, optionally with attachments, and notify the other side
+exports.postMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+    const { complaint, access } = thread;
+
+    if (!access.canPost) {
+      return res.status(403).json({ message: 'You can read this thread but not post to it' });
+    }
+
+    const departmentId = access.departmentId || complaint.assignedDepartment;
+    if (!departmentId) {
+      return res.status(409).json({
+        message: 'Complaint has not been forwarded to a district department yet'
+      });
+    }
+
+    // Check every file's content before storing any of them
+    const { accepted, rejected } = inspectFiles(req.files || []);
+    if (rejected.length > 0) {
+      return res.status(415).json({
+        message: REJECTED_TYPE_MESSAGE,
+        rejected
+      });
+    }
+
+    const attachments = accepted.length > 0
+      ? await storeAttachments(complaint._id, accepted, {
+          uploadedBy: req.user._id,
+          purpose: 'MESSAGE'
+        })
+      : [];
+
+    const message = await messages.create({
+      complaintId: complaint._id,
+      departmentId,
+      senderId: req.user._id,
+      senderRole: req.user.role,
+      body: req.body.body,
+      attachments: attachments.map(a => a._id),
+      sentAt: new Date()
+    });
+
+    if (attachments.length > 0) {
+      await UploadedFile.updateMany(
+        { _id: { $in: attachments.map(a => a._id) } },
+        { messageId: message._id }
+      );
+    }
+
+    publishComplaintEvent(COMPLAINT_EVENTS.MESSAGE_POSTED, complaint, {
+      citizen: false,
+      departmentIds: [departmentId],
+      data: {
+        messageId: message._id.toString(),
+        departmentId: departmentId.toString(),
+        senderRole: req.user.role
+      }
+    });
+
+    // Notify the other side of the thread
+    const notificationErrors = [];
+    const recipients = await findRecipients(req.user, complaint, departmentId);
+    for (const recipient of recipients) {
+      try {
+        await sendNotification('THREAD_MESSAGE', recipient, {
+          complaintId: complaint._id,
+          trackingNumber: complaint.trackingNumber,
+          title: complaint.title,
+          senderName: req.user.name,
+          body: message.body,
+          attachmentCount: attachments.length
+        });
+      } catch (error) {
+        notificationErrors.push({ error: error.message, channels: error.failures });
+      }
+    }
+
+    res.status(201).json({
+      message: 'Message sent',
+      threadMessage: {
+        ...message,
+        attachments: attachments.map(({ _id, originalName, fileType, size, uploadedAt }) =>
+          ({ _id, originalName, fileType, size, uploadedAt }))
+      },
+      notificationStatus: {
+        success: notificationErrors.length === 0,
+        errors: notificationErrors.length > 0 ? notificationErrors : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Error posting message:', error);
+    res.status(500).json({
+      message: 'Error posting message',
+      error: error.message
+    });
+  }
+};
+
+// Record read receipts for every message in the thread the caller hasn't read
+exports.markMessagesRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+    const { complaint, access } = thread;
+
+    const unread = (await messages.listByComplaint(complaint._id, {
+      departmentId: access.departmentId
+    })).filter(m => isUnreadBy(m, req.user));
+
+    const marked = unread.length > 0
+      ? await messages.markRead(unread.map(m => m._id), req.user._id)
+      : 0;
+
+    res.json({ marked });
+  } catch (error) {
+    console.error('Error marking messages as read:', error);
+    res.status(500).json({
+      message: 'Error marking messages as read',
+      error: error.message
+    });
+  }
+};
+
+// Stream an attachment of a thread message
+exports.downloadMessageAttachment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+    const { complaint, access } = thread;
+
+    const { messageId, attachmentId } = req.params;
+
+    const message = await messages.findById(messageId);
+    if (
+      !message ||
+      !sameId(message.complaintId, complaint._id) ||
+      (access.departmentId && !sameId(message.departmentId, access.departmentId)) ||
+      !(message.attachments || []).some(id => sameId(id, attachmentId))
+    ) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const attachment = await UploadedFile.findOne({ _id: attachmentId, purpose: 'MESSAGE' });
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    await streamAttachment(res, attachment);
+  } catch (error) {
+    console.error('Error downloading message attachment:', error);
+    res.status(500).json({
+      message: 'Error downloading message attachment',
+      error: error.message
+    });
+  }
+};
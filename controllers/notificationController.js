@@ -0,0 +1,120 @@
+const { validationResult } = require('express-validator');
+const { notifications, users } = require('../repositories');
+const { DEFAULT_PREFERENCES } = require('../utils/notificationService');
+
+const PREFERENCE_CHANNELS = Object.keys(DEFAULT_PREFERENCES);
+
+const preferencesOf = (user) => ({ ...DEFAULT_PREFERENCES, ...user.notificationPreferences });
+
+// The signed-in user's inbox, newest first
+exports.getNotifications = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const [{ total, entries }, unreadCount] = await Promise.all([
+      notifications.listForUser(req.user._id, { unreadOnly: unread === true, page, limit }),
+      notifications.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      total,
+      unread: unreadCount,
+      page,
+      limit,
+      notifications: entries
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+};
+
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unread = await notifications.countUnread(req.user._id);
+    res.json({ unread });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({
+      message: 'Error counting notifications',
+      error: error.message
+    });
+  }
+};
+
+exports.markNotificationRead = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const notification = await notifications.markRead(req.user._id, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      message: 'Error marking notification as read',
+      error: error.message
+    });
+  }
+};
+
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const marked = await notifications.markAllRead(req.user._id);
+    res.json({ marked });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      message: 'Error marking notifications as read',
+      error: error.message
+    });
+  }
+};
+
+exports.getPreferences = async (req, res) => {
+  res.json({ preferences: preferencesOf(req.user) });
+};
+
+// Channels left out of the body keep their current setting
+exports.updatePreferences = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const preferences = preferencesOf(req.user);
+    PREFERENCE_CHANNELS.forEach(channel => {
+      if (req.body[channel] !== undefined) {
+        preferences[channel] = req.body[channel];
+      }
+    });
+
+    const updated = await users.update(req.user._id, { notificationPreferences: preferences });
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: preferencesOf(updated)
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      message: 'Error updating notification preferences',
+      error: error.message
+    });
+  }
+};
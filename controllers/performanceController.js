@@ -0,0 +1,57 @@
+const { validationResult } = require('express-validator');
+const { runPerformanceRollup, performanceTrends } = require('../utils/performance');
+const { ROLES } = require('../utils/roles');
+
+// Recompute performance snapshots now, optionally from a given date
+exports.rollupPerformance = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await runPerformanceRollup({ from: req.body.from });
+    res.json(result);
+  } catch (error) {
+    console.error('Error rolling up performance:', error);
+    res.status(500).json({
+      message: 'Error rolling up performance',
+      error: error.message
+    });
+  }
+};
+
+// Resolution rate, on-time rate and median resolution time per period;
+// institutions only see their own series
+exports.getPerformanceTrends = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { period = 'MONTH', from, to } = req.query;
+    let { dimension = 'INSTITUTION', key } = req.query;
+
+    if (req.user.role === ROLES.INSTITUTION) {
+      dimension = 'INSTITUTION';
+      key = req.user._id.toString();
+    }
+
+    const trends = await performanceTrends({
+      period,
+      dimension,
+      keys: key ? [key] : undefined,
+      from,
+      to
+    });
+
+    res.json(trends);
+  } catch (error) {
+    console.error('Error fetching performance trends:', error);
+    res.status(500).json({
+      message: 'Error fetching performance trends',
+      error: error.message
+    });
+  }
+};
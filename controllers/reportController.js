@@ -0,0 +1,144 @@
+const { validationResult } = require('express-validator');
+const { parseListQuery, iterateComplaints } = require('../utils/complaintQuery');
+const { OPEN_STATUSES } = require('../utils/complaintLifecycle');
+const { performanceReport } = require('../utils/performance');
+const { createReportWriter } = require('../utils/reportExport');
+const { ROLES } = require('../utils/roles');
+
+// Citizen details are deliberately left out of exported reports
+const COMPLAINT_COLUMNS = [
+  { key: 'trackingNumber', header: 'Tracking number', width: 20 },
+  { key: 'title', header: 'Title', width: 36 },
+  { key: 'category', header: 'Category', width: 16 },
+  { key: 'subcategory', header: 'Subcategory', width: 16 },
+  { key: 'priority', header: 'Priority', width: 9 },
+  { key: 'province', header: 'Province', width: 14 },
+  { key: 'district', header: 'District', width: 14 },
+  { key: 'institution', header: 'Institution', width: 24 },
+  { key: 'department', header: 'District department', width: 24 },
+  { key: 'status', header: 'Status', width: 13 },
+  { key: 'submissionDate', header: 'Submitted', width: 16 },
+  { key: 'resolutionDeadline', header: 'Deadline', width: 16 },
+  { key: 'resolutionDate', header: 'Resolved', width: 16 },
+  { key: 'overdue', header: 'Overdue', width: 8 }
+];
+
+const PERFORMANCE_COLUMNS = [
+  { key: 'institutionName', header: 'Institution', width: 30 },
+  { key: 'province', header: 'Province', width: 14 },
+  { key: 'district', header: 'District', width: 14 },
+  { key: 'totalComplaints', header: 'Complaints', width: 11 },
+  { key: 'resolvedComplaints', header: 'Resolved', width: 10 },
+  { key: 'resolvedOnTime', header: 'Resolved on time', width: 16 },
+  { key: 'averageResolutionTime', header: 'Avg. days to resolve', width: 19 },
+  { key: 'resolutionRate', header: 'Resolution rate %', width: 17 },
+  { key: 'onTimeResolutionRate', header: 'On-time rate %', width: 15 },
+  { key: 'reopenedComplaints', header: 'Reopened', width: 10 },
+  { key: 'averageRating', header: 'Avg. rating', width: 11 }
+];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const toComplaintRow = (complaint, now) => ({
+  ...complaint,
+  institution: complaint.institutionId ? complaint.institutionId.name : null,
+  department: complaint.assignedDepartment ? complaint.assignedDepartment.name : null,
+  overdue: OPEN_STATUSES.includes(complaint.status) &&
+    Boolean(complaint.resolutionDeadline) && complaint.resolutionDeadline < now
+});
+
+// Once streaming has started the status can't change; just cut the download short
+const failExport = (res, label, error) => {
+  console.error(`Error exporting ${label}:`, error);
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+  res.status(500).json({
+    message: `Error exporting ${label}`,
+    error: error.message
+  });
+};
+
+// Export complaints with the listing filters; institutions only get their own
+exports.exportComplaints = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { format = 'csv' } = req.query;
+    const { filter, sort } = parseListQuery(req.query);
+    if (req.user.role === ROLES.INSTITUTION) {
+      filter.institutionId = req.user._id;
+    }
+
+    const writer = createReportWriter(format, res, {
+      filename: `complaints-${today()}`,
+      title: 'Complaints report',
+      subtitle: `Generated ${new Date().toUTCString()}`,
+      columns: COMPLAINT_COLUMNS
+    });
+
+    const now = new Date();
+    const byStatus = {};
+    let total = 0;
+    for await (const complaint of iterateComplaints(filter, {
+      sort,
+      include: { institution: ['name'], department: ['name'] }
+    })) {
+      await writer.addRow(toComplaintRow(complaint, now));
+      byStatus[complaint.status] = (byStatus[complaint.status] || 0) + 1;
+      total += 1;
+    }
+
+    await writer.end([
+      { label: 'Total complaints', value: total },
+      ...Object.entries(byStatus).map(([status, count]) => ({ label: status, value: count }))
+    ]);
+  } catch (error) {
+    failExport(res, 'complaints', error);
+  }
+};
+
+// Export the performance rankings; institutions only get their own row
+exports.exportPerformance = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { format = 'csv', timeframe } = req.query;
+
+    const report = await performanceReport({
+      timeframe,
+      institutionId: req.user.role === ROLES.INSTITUTION ? req.user._id : undefined
+    });
+
+    const writer = createReportWriter(format, res, {
+      filename: `performance-${report.timeframe}-${today()}`,
+      title: 'Institution performance report',
+      subtitle: `Timeframe: ${report.timeframe} · generated ${new Date().toUTCString()}`,
+      columns: PERFORMANCE_COLUMNS
+    });
+
+    for (const row of report.institutionPerformance) {
+      await writer.addRow(row);
+    }
+
+    const { systemStats } = report;
+    await writer.end([
+      { label: 'Total complaints', value: systemStats.totalComplaints },
+      { label: 'Resolved', value: systemStats.totalResolved },
+      { label: 'Resolved on time', value: systemStats.totalResolvedOnTime },
+      { label: 'Resolution rate %', value: systemStats.systemResolutionRate },
+      { label: 'On-time rate %', value: systemStats.systemOnTimeRate },
+      { label: 'Reopened', value: systemStats.totalReopened },
+      { label: 'Average rating', value: systemStats.systemAverageRating }
+    ]);
+  } catch (error) {
+    failExport(res, 'performance report', error);
+  }
+};
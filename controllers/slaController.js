@@ -0,0 +1,263 @@
+const { validationResult } = require('express-validator');
+const SlaPolicy = require('../models/SlaPolicy');
+const Holiday = require('../models/Holiday');
+const { resolveCategory } = require('../utils/categories');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+// List SLA policies (active only unless includeHistory=true)
+exports.getPolicies = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { category, includeHistory } = req.query;
+
+    const query = {};
+    if (category) query.category = category;
+    if (includeHistory !== 'true') query.active = true;
+
+    const policies = await SlaPolicy.find(query)
+      .sort({ category: 1, subcategory: 1, priority: 1, version: -1 });
+
+    res.json(policies);
+  } catch (error) {
+    console.error('Error fetching SLA policies:', error);
+    res.status(500).json({
+      message: 'Error fetching SLA policies',
+      error: error.message
+    });
+  }
+};
+
+// Create a policy for a category / subcategory / priority combination
+exports.createPolicy = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { category, subcategory = null, priority = null, businessDays } = req.body;
+
+    const catalogue = await resolveCategory({ category, subcategory }, { includeInactive: true });
+    if (catalogue.error) {
+      return res.status(400).json({ message: catalogue.error });
+    }
+
+    const existing = await SlaPolicy.findOne({ category, subcategory, priority, active: true });
+    if (existing) {
+      return res.status(409).json({
+        message: 'An active policy already exists for this category, subcategory and priority',
+        policyId: existing._id
+      });
+    }
+
+    const policy = await SlaPolicy.create({
+      category,
+      subcategory,
+      priority,
+      businessDays,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SLA_POLICY_CREATED,
+      entity: 'SlaPolicy',
+      entityId: policy._id,
+      after: policy.toObject()
+    });
+
+    res.status(201).json(policy);
+  } catch (error) {
+    console.error('Error creating SLA policy:', error);
+    res.status(500).json({
+      message: 'Error creating SLA policy',
+      error: error.message
+    });
+  }
+};
+
+// Update a policy by superseding it with a new version
+exports.updatePolicy = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Claim the active version atomically, so concurrent updates can't both
+    // supersede it
+    const current = await SlaPolicy.findOneAndUpdate(
+      { _id: req.params.id, active: true },
+      { active: false, supersededAt: new Date() }
+    );
+    if (!current) {
+      return res.status(404).json({ message: 'Active SLA policy not found' });
+    }
+
+    let policy;
+    try {
+      policy = await SlaPolicy.create({
+        category: current.category,
+        subcategory: current.subcategory,
+        priority: current.priority,
+        businessDays: req.body.businessDays,
+        version: current.version + 1,
+        createdBy: req.user._id
+      });
+    } catch (error) {
+      // Put the old version back rather than leave the combination without a policy
+      await SlaPolicy.updateOne({ _id: current._id }, { active: true, $unset: { supersededAt: 1 } });
+      throw error;
+    }
+
+    // Logged against the old version, with the new one as its successor
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SLA_POLICY_UPDATED,
+      entity: 'SlaPolicy',
+      entityId: current._id,
+      before: current.toObject(),
+      after: policy.toObject(),
+      details: { newPolicyId: policy._id.toString() }
+    });
+
+    res.json(policy);
+  } catch (error) {
+    console.error('Error updating SLA policy:', error);
+    res.status(500).json({
+      message: 'Error updating SLA policy',
+      error: error.message
+    });
+  }
+};
+
+// Deactivate a policy; complaints fall back to broader policies or the default
+exports.deactivatePolicy = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { _id: req.params.id, active: true },
+      { active: false, supersededAt: new Date() },
+      { new: true }
+    );
+    if (!policy) {
+      return res.status(404).json({ message: 'Active SLA policy not found' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SLA_POLICY_DEACTIVATED,
+      entity: 'SlaPolicy',
+      entityId: policy._id,
+      before: { ...policy.toObject(), active: true, supersededAt: null },
+      after: policy.toObject()
+    });
+
+    res.json({ message: 'SLA policy deactivated' });
+  } catch (error) {
+    console.error('Error deactivating SLA policy:', error);
+    res.status(500).json({
+      message: 'Error deactivating SLA policy',
+      error: error.message
+    });
+  }
+};
+
+// List public holidays, optionally for one year
+exports.getHolidays = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const query = {};
+    if (req.query.year) {
+      const year = Number(req.query.year);
+      query.$or = [
+        { recurring: true },
+        { date: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) } }
+      ];
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 });
+    res.json(holidays);
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({
+      message: 'Error fetching holidays',
+      error: error.message
+    });
+  }
+};
+
+// Add a public holiday to the business-day calendar
+exports.createHoliday = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, date, recurring = false } = req.body;
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+
+    const existing = await Holiday.findOne({ date: day });
+    if (existing) {
+      return res.status(409).json({ message: 'A holiday already exists on this date' });
+    }
+
+    const holiday = await Holiday.create({ name, date: day, recurring });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.HOLIDAY_CREATED,
+      entity: 'Holiday',
+      entityId: holiday._id,
+      after: holiday.toObject()
+    });
+
+    res.status(201).json(holiday);
+  } catch (error) {
+    console.error('Error creating holiday:', error);
+    res.status(500).json({
+      message: 'Error creating holiday',
+      error: error.message
+    });
+  }
+};
+
+// Remove a public holiday
+exports.deleteHoliday = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.HOLIDAY_DELETED,
+      entity: 'Holiday',
+      entityId: holiday._id,
+      before: holiday.toObject()
+    });
+
+    res.json({ message: 'Holiday removed' });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({
+      message: 'Error deleting holiday',
+      error: error.message
+    });
+  }
+};
@@ -6,6 +6,8 @@ const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
+const { startEscalationScheduler } = require('./utils/escalation');
+const { startPerformanceScheduler } = require('./utils/performance');
 
 const app = express();
 
@@ -25,16 +27,39 @@ mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('🗄️ Connected to MongoDB'))
+.then(() => {
+  console.log('🗄️ Connected to MongoDB');
+  if (process.env.ESCALATION_SCHEDULER !== 'off') {
+    startEscalationScheduler();
+  }
+  if (process.env.PERFORMANCE_SCHEDULER !== 'off') {
+    startPerformanceScheduler();
+  }
+})
 .catch((err) => {
   console.error('❌ MongoDB connection error:', err);
   process.exit(1);
 });
 
-// Routes (Placeholder)
+// Routes
 const authRoutes = require('./routes/auth');
+const complaintRoutes = require('./routes/complaints');
+const adminRoutes = require('./routes/admin');
+const districtRoutes = require('./routes/district');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const reportRoutes = require('./routes/reports');
+const geographyRoutes = require('./routes/geography');
+const categoryRoutes = require('./routes/categories');
 app.use('/api/auth', authRoutes);
-// app.use('/api/complaints', require('./routes/complaints'));
+app.use('/api/complaints', complaintRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/district', districtRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/geography', geographyRoutes);
+app.use('/api/categories', categoryRoutes);
 
 // Global Error Handling Middleware
 app.use((err, req, res, next) => {
@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { users } = require('../repositories');
+const Session = require('../models/Session');
+const { ROLE_LIST } = require('../utils/roles');
 
+// Access tokens carry { id, role, sid } — see utils/sessions.signAccessToken
 exports.verifyJWT = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -11,25 +14,69 @@ exports.verifyJWT = async (req, res, next) => {
 
   try {
     const payload = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(payload.id);
+    const user = await users.findById(payload.id);
     if (!user) {
       return res.status(401).json({ message: 'Unauthorized' });
     }
+    if (user.passwordChangedAt && payload.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({ message: 'Password changed, please log in again' });
+    }
+    if (payload.sid) {
+      const session = await Session.findById(payload.sid).select('revokedAt expiresAt');
+      if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+      req.sessionId = payload.sid;
+    }
     req.user = user;
+    req.accessTokenExpiresAt = payload.exp ? new Date(payload.exp * 1000) : null;
     next();
   } catch (err) {
     return res.status(401).json({ message: 'Invalid token' });
   }
 };
 
-exports.roleGuard = (allowedRoles) => (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ message: 'Unauthorized' });
+// Only roles from utils/roles are accepted, so a typo fails at startup
+exports.roleGuard = (allowedRoles) => {
+  const unknown = allowedRoles.filter(role => !ROLE_LIST.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(`roleGuard: unknown role(s) ${unknown.join(', ')}`);
   }
 
-  if (!allowedRoles.includes(req.user.role)) {
-    return res.status(403).json({ message: 'Forbidden: insufficient role' });
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Forbidden: insufficient role' });
+    }
+
+    next();
+  };
+};
+
+// Which verified contacts a citizen needs before submitting complaints,
+// from COMPLAINT_VERIFICATION: none | email | phone | any | both
+const VERIFICATION_RULES = {
+  none: () => true,
+  email: (user) => user.isEmailVerified,
+  phone: (user) => user.isPhoneVerified,
+  any: (user) => user.isEmailVerified || user.isPhoneVerified,
+  both: (user) => user.isEmailVerified && user.isPhoneVerified
+};
+
+exports.requireVerifiedContact = (req, res, next) => {
+  const rule = process.env.COMPLAINT_VERIFICATION || 'none';
+  const isVerified = VERIFICATION_RULES[rule] || VERIFICATION_RULES.none;
+
+  if (req.user.role === 'CITIZEN' && !isVerified(req.user)) {
+    return res.status(403).json({
+      message: rule === 'any'
+        ? 'Please verify your email or phone before submitting complaints'
+        : `Please verify your ${rule === 'both' ? 'email and phone' : rule} before submitting complaints`
+    });
   }
 
   next();
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,27 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE = (Number(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024;
+const MAX_FILES_PER_REQUEST = Number(process.env.MAX_UPLOAD_FILES) || 5;
+
+// Files are kept in memory so their content can be sniffed before storing
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES_PER_REQUEST
+  }
+});
+
+// Accept up to MAX_FILES_PER_REQUEST files in `field`, turning multer's
+// limit errors into 400 responses
+exports.uploadFiles = (field) => (req, res, next) => {
+  upload.array(field, MAX_FILES_PER_REQUEST)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    if (err) {
+      return next(err);
+    }
+    next();
+  });
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who did it; null for system actions
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: String
+  },
+  // Changed fields: { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Request the change came from: { ip, userAgent, method, path }
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ userId: 1, timestamp: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+
+// Entries are append-only: refuse every update and delete
+const rejectChange = function () {
+  throw new Error('Audit log entries cannot be modified');
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+].forEach(operation => auditLogSchema.pre(operation, rejectChange));
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) rejectChange();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  // Stable identifier stored on complaints, institutions and SLA policies;
+  // the name can change freely
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  // Inactive categories stay on existing records but can't be chosen
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Display order, lowest first
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Extra form fields for complaints in this category (see utils/formFields)
+  fields: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Category', categorySchema);
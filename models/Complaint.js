@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { STATUSES } = require('../utils/complaintLifecycle');
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...STATUSES, null]
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String
+  },
+  note: {
+    type: String
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const complaintSchema = new mongoose.Schema({
+  trackingNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  subcategory: {
+    type: String
+  },
+  // Names are copied from the referenced locations
+  province: {
+    type: String,
+    required: true
+  },
+  district: {
+    type: String,
+    required: true
+  },
+  provinceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Province'
+  },
+  districtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'District'
+  },
+  sectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sector'
+  },
+  citizenId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'],
+    default: 'MEDIUM'
+  },
+  // Why the complaint was assigned to institutionId
+  routing: {
+    level: {
+      type: String,
+      enum: ['DISTRICT', 'PROVINCE', 'NATIONAL']
+    },
+    matchedOn: {
+      type: String,
+      enum: ['subcategory', 'category']
+    },
+    candidateCount: Number,
+    openCases: Number,
+    reason: String
+  },
+  assignedDepartment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DistrictDepartment'
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'SUBMITTED'
+  },
+  statusHistory: [statusChangeSchema],
+  submissionDate: {
+    type: Date,
+    default: Date.now
+  },
+  resolutionDeadline: {
+    type: Date
+  },
+  // SLA policy the deadline was calculated from (policyId is null for the default)
+  sla: {
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy'
+    },
+    version: Number,
+    businessDays: Number
+  },
+  // Answers to the category's extra form fields, by field key
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  resolutionDate: {
+    type: Date
+  },
+  // Citizen's rating (1–5) of the latest resolution
+  ratingScore: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  ratingComment: {
+    type: String
+  },
+  ratedAt: {
+    type: Date
+  },
+  // Times the citizen (or an admin) reopened it after a resolution
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+  // Highest escalation level reached after the deadline passed (0 = none)
+  escalationLevel: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+complaintSchema.index({ institutionId: 1, status: 1 });
+complaintSchema.index({ citizenId: 1, submissionDate: -1 });
+complaintSchema.index({ status: 1, resolutionDeadline: 1 });
+complaintSchema.index({ title: 'text', description: 'text' });
+
+module.exports = mongoose.model('Complaint', complaintSchema);
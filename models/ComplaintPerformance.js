@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// How a complaint's (latest) resolution went; written whenever it is resolved,
+// rated or reopened
+const complaintPerformanceSchema = new mongoose.Schema({
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true,
+    unique: true
+  },
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  province: String,
+  district: String,
+  category: String,
+  submissionDate: {
+    type: Date,
+    required: true
+  },
+  resolutionDeadline: Date,
+  resolvedAt: {
+    type: Date,
+    required: true
+  },
+  resolvedBeforeDeadline: {
+    type: Boolean,
+    required: true
+  },
+  // Minutes from submission to resolution
+  resolutionTime: {
+    type: Number,
+    required: true
+  },
+  // Reopens before this resolution
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+  // Latest reopen of this resolution
+  reopenedAt: Date,
+  ratingScore: Number,
+  ratedAt: Date
+});
+
+complaintPerformanceSchema.index({ resolvedAt: 1 });
+complaintPerformanceSchema.index({ reopenedAt: 1 });
+complaintPerformanceSchema.index({ ratedAt: 1 });
+
+module.exports = mongoose.model('ComplaintPerformance', complaintPerformanceSchema);
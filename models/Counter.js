@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences, e.g. tracking numbers per year
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
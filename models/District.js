@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const districtSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  provinceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Province',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+districtSchema.index({ provinceId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('District', districtSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { DISTRICT_STATUSES } = require('../utils/districtLifecycle');
+
+const internalNoteSchema = new mongoose.Schema({
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A complaint as handled inside one district department
+const districtComplaintSchema = new mongoose.Schema({
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true
+  },
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DistrictDepartment',
+    required: true
+  },
+  forwardingRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ForwardingRecord'
+  },
+  status: {
+    type: String,
+    enum: DISTRICT_STATUSES,
+    default: 'PENDING'
+  },
+  acknowledged: {
+    type: Boolean,
+    default: false
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  // The department's own target, independent of the complaint's SLA deadline
+  internalDeadline: {
+    type: Date
+  },
+  assignedStaffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  internalNotes: [internalNoteSchema],
+  completionReport: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+districtComplaintSchema.index({ complaintId: 1, departmentId: 1 }, { unique: true });
+districtComplaintSchema.index({ departmentId: 1, status: 1 });
+
+module.exports = mongoose.model('DistrictComplaint', districtComplaintSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const districtDepartmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Names are copied from the referenced locations
+  province: {
+    type: String,
+    required: true
+  },
+  district: {
+    type: String,
+    required: true
+  },
+  provinceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Province'
+  },
+  districtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'District'
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  phone: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DistrictDepartment', districtDepartmentSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const escalationEventSchema = new mongoose.Schema({
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true
+  },
+  // Times the complaint had been reopened: each reopening starts a new
+  // deadline, which escalates from level 1 again
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+  level: {
+    type: Number,
+    required: true
+  },
+  target: {
+    type: String,
+    enum: ['INSTITUTION', 'DISTRICT', 'ADMIN'],
+    required: true
+  },
+  overdueHours: {
+    type: Number
+  },
+  recipients: [{
+    email: String,
+    phone: String
+  }],
+  notificationErrors: [{
+    recipient: String,
+    error: String
+  }],
+  escalatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One event per complaint, deadline and level keeps escalation idempotent
+// across restarts
+escalationEventSchema.index({ complaintId: 1, reopenCount: 1, level: 1 }, { unique: true });
+
+module.exports = mongoose.model('EscalationEvent', escalationEventSchema);
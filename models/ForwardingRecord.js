@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const forwardingRecordSchema = new mongoose.Schema({
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true,
+    index: true
+  },
+  fromInstitutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toDepartmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DistrictDepartment',
+    required: true
+  },
+  forwardingNote: {
+    type: String
+  },
+  forwardedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ForwardingRecord', forwardingRecordSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Stored as UTC midnight of the holiday
+  date: {
+    type: Date,
+    required: true
+  },
+  // Recurring holidays fall on the same month/day every year
+  recurring: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ date: 1 }, { unique: true });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
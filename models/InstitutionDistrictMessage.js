@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Internal thread between the institution handling a complaint and the
+// district department it was forwarded to. Never shown to citizens.
+const institutionDistrictMessageSchema = new mongoose.Schema({
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true
+  },
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DistrictDepartment',
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['INSTITUTION', 'DISTRICT'],
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadedFile'
+  }],
+  // Read receipts, one per reader
+  readBy: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+institutionDistrictMessageSchema.index({ complaintId: 1, sentAt: 1 });
+
+module.exports = mongoose.model('InstitutionDistrictMessage', institutionDistrictMessageSchema);
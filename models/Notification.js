@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// In-app inbox entry; one per recipient user and notification event
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ userId: 1, sentAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { SNAPSHOT_PERIODS, SNAPSHOT_DIMENSIONS } = require('../utils/performancePeriods');
+
+// Activity in one period for one institution, district or category: complaints
+// submitted, complaints resolved (with how quickly), and resolutions reopened
+// and rated during the period
+const performanceSnapshotSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: SNAPSHOT_PERIODS,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  dimension: {
+    type: String,
+    enum: SNAPSHOT_DIMENSIONS,
+    required: true
+  },
+  // Institution id, district name or category name
+  key: {
+    type: String,
+    required: true
+  },
+  label: String,
+  submitted: {
+    type: Number,
+    default: 0
+  },
+  resolved: {
+    type: Number,
+    default: 0
+  },
+  resolvedOnTime: {
+    type: Number,
+    default: 0
+  },
+  // Minutes, over the complaints resolved in the period
+  totalResolutionTime: {
+    type: Number,
+    default: 0
+  },
+  medianResolutionTime: Number,
+  reopened: {
+    type: Number,
+    default: 0
+  },
+  rated: {
+    type: Number,
+    default: 0
+  },
+  // Sum of the ratings given in the period
+  totalRating: {
+    type: Number,
+    default: 0
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+performanceSnapshotSchema.index({ period: 1, dimension: 1, key: 1, periodStart: 1 }, { unique: true });
+performanceSnapshotSchema.index({ period: 1, periodStart: 1 });
+
+module.exports = mongoose.model('PerformanceSnapshot', performanceSnapshotSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const sectorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  districtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'District',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sectorSchema.index({ districtId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Sector', sectorSchema);
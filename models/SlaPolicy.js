@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Policies are versioned: editing one supersedes the active document with a
+// new version so complaints keep pointing at the policy they were given.
+const slaPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true
+  },
+  // null means the policy applies to every subcategory / priority
+  subcategory: {
+    type: String,
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT', null],
+    default: null
+  },
+  businessDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  version: {
+    type: Number,
+    required: true,
+    default: 1
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  supersededAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+slaPolicySchema.index(
+  { category: 1, subcategory: 1, priority: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const subcategorySchema = new mongoose.Schema({
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  // Unique across categories, since institutions and routing refer to
+  // subcategories by code alone
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Extra form fields, added to the category's (see utils/formFields)
+  fields: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+subcategorySchema.index({ categoryId: 1, position: 1 });
+
+module.exports = mongoose.model('Subcategory', subcategorySchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const uploadedFileSchema = new mongoose.Schema({
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true,
+    index: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Citizens attach evidence; institutions attach proof of resolution;
+  // MESSAGE files belong to an institution–district thread message
+  purpose: {
+    type: String,
+    enum: ['EVIDENCE', 'RESOLUTION_PROOF', 'MESSAGE'],
+    required: true
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InstitutionDistrictMessage'
+  },
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String
+  },
+  fileType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('UploadedFile', uploadedFileSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLE_LIST } = require('../utils/roles');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -16,7 +17,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['CITIZEN', 'INSTITUTION', 'DISTRICT', 'ADMIN'],
+    enum: ROLE_LIST,
     required: true
   },
   NIN: {
@@ -37,16 +38,58 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Tokens issued before this moment are rejected by verifyJWT
+  passwordChangedAt: {
+    type: Date
+  },
   institutionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Institution'
   },
+  // District department a DISTRICT user works for
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DistrictDepartment'
+  },
+  // Institution jurisdiction: no district means province-wide,
+  // no province means national. Names are copied from the referenced locations
+  province: {
+    type: String
+  },
+  district: {
+    type: String
+  },
+  provinceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Province'
+  },
   districtId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'District'
+  },
+  // Complaint categories/subcategories an institution is responsible for
+  categories: [String],
+  subcategories: [String],
+  // Channels sendNotification may use for this user
+  notificationPreferences: {
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ role: 1, categories: 1 });
+userSchema.index({ role: 1, subcategories: 1 });
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const verificationCodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['EMAIL', 'PHONE'],
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['VERIFY', 'PASSWORD_RESET'],
+    required: true
+  },
+  // Only a hash of the code is stored
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  consumedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+verificationCodeSchema.index({ userId: 1, channel: 1, purpose: 1, createdAt: -1 });
+// Let MongoDB clean up codes a day after they expire
+verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('VerificationCode', verificationCodeSchema);
@@ -0,0 +1,528 @@
+-- CreateEnum
+CREATE TYPE "Role" AS ENUM ('CITIZEN', 'INSTITUTION', 'DISTRICT', 'ADMIN');
+
+-- CreateTable
+CREATE TABLE "User" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "role" "Role" NOT NULL,
+    "NIN" TEXT,
+    "phone" TEXT,
+    "isPhoneVerified" BOOLEAN NOT NULL DEFAULT false,
+    "isEmailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "passwordChangedAt" TIMESTAMP(3),
+    "institutionId" TEXT,
+    "departmentId" TEXT,
+    "province" TEXT,
+    "district" TEXT,
+    "provinceId" TEXT,
+    "districtId" TEXT,
+    "categories" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "subcategories" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "notificationPreferences" JSONB NOT NULL DEFAULT '{"inApp": true, "email": true, "sms": true}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "User_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DistrictDepartment" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "province" TEXT NOT NULL,
+    "district" TEXT NOT NULL,
+    "provinceId" TEXT,
+    "districtId" TEXT,
+    "email" TEXT NOT NULL,
+    "phone" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DistrictDepartment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Province" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Province_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "District" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "provinceId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "District_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Sector" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "districtId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Sector_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Complaint" (
+    "id" TEXT NOT NULL,
+    "trackingNumber" TEXT,
+    "title" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "subcategory" TEXT,
+    "priority" TEXT,
+    "province" TEXT NOT NULL,
+    "district" TEXT NOT NULL,
+    "provinceId" TEXT,
+    "districtId" TEXT,
+    "sectorId" TEXT,
+    "citizenId" TEXT NOT NULL,
+    "institutionId" TEXT NOT NULL,
+    "routing" JSONB,
+    "assignedDepartmentId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'SUBMITTED',
+    "submissionDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolutionDeadline" TIMESTAMP(3),
+    "sla" JSONB,
+    "details" JSONB,
+    "resolutionDate" TIMESTAMP(3),
+    "ratingScore" INTEGER,
+    "ratingComment" TEXT,
+    "ratedAt" TIMESTAMP(3),
+    "reopenCount" INTEGER NOT NULL DEFAULT 0,
+    "escalationLevel" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Complaint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ComplaintStatusChange" (
+    "id" SERIAL NOT NULL,
+    "complaintId" TEXT NOT NULL,
+    "from" TEXT,
+    "to" TEXT NOT NULL,
+    "changedBy" TEXT,
+    "role" TEXT,
+    "note" TEXT,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ComplaintStatusChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ForwardingRecord" (
+    "id" TEXT NOT NULL,
+    "complaintId" TEXT NOT NULL,
+    "fromInstitutionId" TEXT NOT NULL,
+    "toDepartmentId" TEXT NOT NULL,
+    "forwardingNote" TEXT,
+    "forwardedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ForwardingRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Category" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "fields" JSONB NOT NULL DEFAULT '[]',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Category_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Subcategory" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "categoryId" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "fields" JSONB NOT NULL DEFAULT '[]',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Subcategory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CategoryInstitution" (
+    "id" TEXT NOT NULL,
+    "categoryId" TEXT NOT NULL,
+    "institutionId" TEXT NOT NULL,
+
+    CONSTRAINT "CategoryInstitution_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SubcategoryInstitution" (
+    "id" TEXT NOT NULL,
+    "subcategoryId" TEXT NOT NULL,
+    "institutionId" TEXT NOT NULL,
+
+    CONSTRAINT "SubcategoryInstitution_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "UploadedFile" (
+    "id" TEXT NOT NULL,
+    "complaintId" TEXT NOT NULL,
+    "fileUrl" TEXT NOT NULL,
+    "fileType" TEXT NOT NULL,
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UploadedFile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Notification" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "complaintId" TEXT,
+    "readAt" TIMESTAMP(3),
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Notification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InstitutionDistrictMessage" (
+    "id" TEXT NOT NULL,
+    "complaintId" TEXT NOT NULL,
+    "departmentId" TEXT NOT NULL,
+    "senderId" TEXT NOT NULL,
+    "senderRole" "Role" NOT NULL,
+    "body" TEXT NOT NULL,
+    "attachments" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InstitutionDistrictMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MessageReadReceipt" (
+    "messageId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "readAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MessageReadReceipt_pkey" PRIMARY KEY ("messageId","userId")
+);
+
+-- CreateTable
+CREATE TABLE "DistrictComplaint" (
+    "id" TEXT NOT NULL,
+    "complaintId" TEXT NOT NULL,
+    "districtDepartmentId" TEXT NOT NULL,
+    "forwardingRecordId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "acknowledged" BOOLEAN NOT NULL DEFAULT false,
+    "acknowledgedAt" TIMESTAMP(3),
+    "internalDeadline" TIMESTAMP(3),
+    "assignedStaffId" TEXT,
+    "completionReport" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "completedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DistrictComplaint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DistrictComplaintNote" (
+    "id" SERIAL NOT NULL,
+    "districtComplaintId" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "note" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DistrictComplaintNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ComplaintPerformance" (
+    "id" TEXT NOT NULL,
+    "complaintId" TEXT NOT NULL,
+    "institutionId" TEXT NOT NULL,
+    "province" TEXT,
+    "district" TEXT,
+    "category" TEXT,
+    "submissionDate" TIMESTAMP(3) NOT NULL,
+    "resolutionDeadline" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3) NOT NULL,
+    "resolvedBeforeDeadline" BOOLEAN NOT NULL,
+    "resolutionTime" INTEGER NOT NULL,
+    "reopenCount" INTEGER NOT NULL DEFAULT 0,
+    "reopenedAt" TIMESTAMP(3),
+    "ratingScore" INTEGER,
+    "ratedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ComplaintPerformance_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PerformanceSnapshot" (
+    "id" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "dimension" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT,
+    "submitted" INTEGER NOT NULL DEFAULT 0,
+    "resolved" INTEGER NOT NULL DEFAULT 0,
+    "resolvedOnTime" INTEGER NOT NULL DEFAULT 0,
+    "totalResolutionTime" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "medianResolutionTime" DOUBLE PRECISION,
+    "reopened" INTEGER NOT NULL DEFAULT 0,
+    "rated" INTEGER NOT NULL DEFAULT 0,
+    "totalRating" INTEGER NOT NULL DEFAULT 0,
+    "computedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PerformanceSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "actorRole" TEXT,
+    "action" TEXT NOT NULL,
+    "entity" TEXT NOT NULL,
+    "entityId" TEXT,
+    "changes" JSONB,
+    "metadata" JSONB,
+    "details" JSONB,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_NIN_key" ON "User"("NIN");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_phone_key" ON "User"("phone");
+
+-- CreateIndex
+CREATE INDEX "User_role_idx" ON "User"("role");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DistrictDepartment_email_key" ON "DistrictDepartment"("email");
+
+-- CreateIndex
+CREATE INDEX "DistrictDepartment_district_idx" ON "DistrictDepartment"("district");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Province_name_key" ON "Province"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "District_provinceId_name_key" ON "District"("provinceId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Sector_districtId_name_key" ON "Sector"("districtId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Complaint_trackingNumber_key" ON "Complaint"("trackingNumber");
+
+-- CreateIndex
+CREATE INDEX "Complaint_institutionId_status_idx" ON "Complaint"("institutionId", "status");
+
+-- CreateIndex
+CREATE INDEX "Complaint_citizenId_submissionDate_idx" ON "Complaint"("citizenId", "submissionDate");
+
+-- CreateIndex
+CREATE INDEX "Complaint_status_resolutionDeadline_idx" ON "Complaint"("status", "resolutionDeadline");
+
+-- CreateIndex
+CREATE INDEX "ComplaintStatusChange_complaintId_changedAt_idx" ON "ComplaintStatusChange"("complaintId", "changedAt");
+
+-- CreateIndex
+CREATE INDEX "ForwardingRecord_complaintId_idx" ON "ForwardingRecord"("complaintId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Category_code_key" ON "Category"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Subcategory_code_key" ON "Subcategory"("code");
+
+-- CreateIndex
+CREATE INDEX "Subcategory_categoryId_position_idx" ON "Subcategory"("categoryId", "position");
+
+-- CreateIndex
+CREATE INDEX "Notification_userId_sentAt_idx" ON "Notification"("userId", "sentAt");
+
+-- CreateIndex
+CREATE INDEX "Notification_userId_readAt_idx" ON "Notification"("userId", "readAt");
+
+-- CreateIndex
+CREATE INDEX "InstitutionDistrictMessage_complaintId_sentAt_idx" ON "InstitutionDistrictMessage"("complaintId", "sentAt");
+
+-- CreateIndex
+CREATE INDEX "DistrictComplaint_districtDepartmentId_status_idx" ON "DistrictComplaint"("districtDepartmentId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DistrictComplaint_complaintId_districtDepartmentId_key" ON "DistrictComplaint"("complaintId", "districtDepartmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ComplaintPerformance_complaintId_key" ON "ComplaintPerformance"("complaintId");
+
+-- CreateIndex
+CREATE INDEX "ComplaintPerformance_resolvedAt_idx" ON "ComplaintPerformance"("resolvedAt");
+
+-- CreateIndex
+CREATE INDEX "ComplaintPerformance_reopenedAt_idx" ON "ComplaintPerformance"("reopenedAt");
+
+-- CreateIndex
+CREATE INDEX "ComplaintPerformance_ratedAt_idx" ON "ComplaintPerformance"("ratedAt");
+
+-- CreateIndex
+CREATE INDEX "PerformanceSnapshot_period_periodStart_idx" ON "PerformanceSnapshot"("period", "periodStart");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PerformanceSnapshot_period_dimension_key_periodStart_key" ON "PerformanceSnapshot"("period", "dimension", "key", "periodStart");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_timestamp_idx" ON "AuditLog"("timestamp");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_userId_timestamp_idx" ON "AuditLog"("userId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_entity_entityId_timestamp_idx" ON "AuditLog"("entity", "entityId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_action_timestamp_idx" ON "AuditLog"("action", "timestamp");
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "DistrictDepartment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_provinceId_fkey" FOREIGN KEY ("provinceId") REFERENCES "Province"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_districtId_fkey" FOREIGN KEY ("districtId") REFERENCES "District"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DistrictDepartment" ADD CONSTRAINT "DistrictDepartment_provinceId_fkey" FOREIGN KEY ("provinceId") REFERENCES "Province"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DistrictDepartment" ADD CONSTRAINT "DistrictDepartment_districtId_fkey" FOREIGN KEY ("districtId") REFERENCES "District"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "District" ADD CONSTRAINT "District_provinceId_fkey" FOREIGN KEY ("provinceId") REFERENCES "Province"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Sector" ADD CONSTRAINT "Sector_districtId_fkey" FOREIGN KEY ("districtId") REFERENCES "District"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Complaint" ADD CONSTRAINT "Complaint_provinceId_fkey" FOREIGN KEY ("provinceId") REFERENCES "Province"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Complaint" ADD CONSTRAINT "Complaint_districtId_fkey" FOREIGN KEY ("districtId") REFERENCES "District"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Complaint" ADD CONSTRAINT "Complaint_sectorId_fkey" FOREIGN KEY ("sectorId") REFERENCES "Sector"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Complaint" ADD CONSTRAINT "Complaint_citizenId_fkey" FOREIGN KEY ("citizenId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Complaint" ADD CONSTRAINT "Complaint_institutionId_fkey" FOREIGN KEY ("institutionId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Complaint" ADD CONSTRAINT "Complaint_assignedDepartmentId_fkey" FOREIGN KEY ("assignedDepartmentId") REFERENCES "DistrictDepartment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ComplaintStatusChange" ADD CONSTRAINT "ComplaintStatusChange_complaintId_fkey" FOREIGN KEY ("complaintId") REFERENCES "Complaint"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ForwardingRecord" ADD CONSTRAINT "ForwardingRecord_complaintId_fkey" FOREIGN KEY ("complaintId") REFERENCES "Complaint"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ForwardingRecord" ADD CONSTRAINT "ForwardingRecord_fromInstitutionId_fkey" FOREIGN KEY ("fromInstitutionId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ForwardingRecord" ADD CONSTRAINT "ForwardingRecord_toDepartmentId_fkey" FOREIGN KEY ("toDepartmentId") REFERENCES "DistrictDepartment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Subcategory" ADD CONSTRAINT "Subcategory_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CategoryInstitution" ADD CONSTRAINT "CategoryInstitution_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CategoryInstitution" ADD CONSTRAINT "CategoryInstitution_institutionId_fkey" FOREIGN KEY ("institutionId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SubcategoryInstitution" ADD CONSTRAINT "SubcategoryInstitution_subcategoryId_fkey" FOREIGN KEY ("subcategoryId") REFERENCES "Subcategory"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SubcategoryInstitution" ADD CONSTRAINT "SubcategoryInstitution_institutionId_fkey" FOREIGN KEY ("institutionId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UploadedFile" ADD CONSTRAINT "UploadedFile_complaintId_fkey" FOREIGN KEY ("complaintId") REFERENCES "Complaint"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Notification" ADD CONSTRAINT "Notification_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Notification" ADD CONSTRAINT "Notification_complaintId_fkey" FOREIGN KEY ("complaintId") REFERENCES "Complaint"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InstitutionDistrictMessage" ADD CONSTRAINT "InstitutionDistrictMessage_complaintId_fkey" FOREIGN KEY ("complaintId") REFERENCES "Complaint"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InstitutionDistrictMessage" ADD CONSTRAINT "InstitutionDistrictMessage_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "DistrictDepartment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InstitutionDistrictMessage" ADD CONSTRAINT "InstitutionDistrictMessage_senderId_fkey" FOREIGN KEY ("senderId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageReadReceipt" ADD CONSTRAINT "MessageReadReceipt_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "InstitutionDistrictMessage"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DistrictComplaint" ADD CONSTRAINT "DistrictComplaint_complaintId_fkey" FOREIGN KEY ("complaintId") REFERENCES "Complaint"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DistrictComplaint" ADD CONSTRAINT "DistrictComplaint_districtDepartmentId_fkey" FOREIGN KEY ("districtDepartmentId") REFERENCES "DistrictDepartment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DistrictComplaint" ADD CONSTRAINT "DistrictComplaint_assignedStaffId_fkey" FOREIGN KEY ("assignedStaffId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DistrictComplaintNote" ADD CONSTRAINT "DistrictComplaintNote_districtComplaintId_fkey" FOREIGN KEY ("districtComplaintId") REFERENCES "DistrictComplaint"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ComplaintPerformance" ADD CONSTRAINT "ComplaintPerformance_complaintId_fkey" FOREIGN KEY ("complaintId") REFERENCES "Complaint"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AuditLog" ADD CONSTRAINT "AuditLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- Full-text search over complaint titles and descriptions. The expression must
+-- stay identical to the one searchIds queries in
+-- repositories/prisma/complaintRepository.js, or the index goes unused.
+CREATE INDEX "Complaint_search_idx" ON "Complaint" USING GIN (to_tsvector('english', "title" || ' ' || "description"));
@@ -0,0 +1,126 @@
+// Data-access layer for users, complaints, forwarding, geography, the complaint
+// category catalogue, the audit log, institution–district messages, district department tasks, the in-app
+// notification inbox, named counters and performance records and snapshots.
+//
+// DATA_STORE selects the implementation: `mongo` (default, Mongoose) or
+// `postgres` (Prisma, see prisma/schema.prisma). Both return plain objects
+// shaped like the Mongoose documents — ids live in `_id` and are 24-character
+// hex strings in either store — so controllers don't care which is active.
+// Sessions, verification codes, SLA policies, escalation events and uploads
+// still live in MongoDB, so MONGO_URI is required with either store;
+// `npm run migrate:postgres` copies existing data across.
+//
+// Relations are loaded with `include`, mapping a relation name to the fields
+// to return, e.g. { citizen: ['name', 'email'] }. Like Mongoose populate, the
+// loaded object replaces the id field (citizen → citizenId,
+// institution → institutionId, department → assignedDepartment,
+// fromInstitution → fromInstitutionId, toDepartment → toDepartmentId).
+//
+// users
+//   findById(id) · findByIds(ids) · findByEmailOrPhone(value)
+//   findConflict({ email, phone, NIN })
+//   list({ role, province, district, category, subcategory, departmentId })
+//   create(data) · update(id, patch) · delete(id)
+//   (province/district: null matches accounts without one)
+//
+// Users, district departments and complaints reference their location by id
+// (provinceId, districtId, and sectorId for complaints) and keep a copy of the
+// province and district names, which routing and filters compare.
+//
+// complaints
+//   create(data) · findById(id, { include }) · findOne(filter, { include })
+//   list(filter, { include, sort }) · count(filter) · exists(filter)
+//   page(filter, { include, sort: [one clause], limit, after: { value, id }, countTotal })
+//     → { total, entries, hasMore } — keyset pagination ordered by the sort field
+//     then id; null sorts first ascending and last descending in both stores
+//   update(id, patch, { statusChange, ifStatus }) — statusChange is appended to
+//     statusHistory; with ifStatus, only updates (else returns null) while the
+//     complaint still has that status
+//   raiseEscalationLevel(id, level) · countOpenByInstitution(institutionIds)
+//   countByGroup(filter, 'institutionId' | 'district' | 'category') → Map(value → count)
+//   statsByInstitution(filter) → [{ institutionId, totalComplaints, resolvedComplaints,
+//                                   resolvedOnTime, averageResolutionTime (days),
+//                                   reopenedComplaints, ratedComplaints, averageRating }]
+//     (postgres only takes the institutionId, status, category, subcategory, province,
+//     district and submittedFrom/To filters here)
+//   filter: { id, ids, citizenId, institutionId, status (value or list), category,
+//             subcategory, province, district, submittedFrom, submittedTo,
+//             deadlineFrom, deadlineTo, escalationLevelBelow, resolvedOnTime,
+//             overdue (open and past its deadline), search (full text over title
+//             and description) }
+//   sort: [{ field: 'submissionDate' | 'resolutionDeadline', direction: 'asc' | 'desc' }]
+//
+// forwarding
+//   create(data, { include }) · listByComplaint(complaintId, { include })
+//
+// geography
+//   listProvinces() · findProvinceById(id) · findProvinceByName(name)
+//   listDistricts({ provinceId }) · findDistrictById(id) · findDistrictByName(provinceId, name)
+//   listSectors({ districtId }) · findSectorById(id) · findSectorByName(districtId, name)
+//   createProvince/District/Sector(data) · deleteProvince/District/Sector(id)
+//   renameProvince/District/Sector(id, name) — province and district renames are
+//     copied onto the users, departments and complaints that reference them
+//   locationInUse({ provinceId } | { districtId } | { sectorId }) → whether any
+//     lower-level location, user, department or complaint references it
+//   assignLocationIds({ provinceId, province, districtId, district }) → count —
+//     sets the ids on records that only carry matching names
+//   findDepartmentById(id) · findDepartmentByEmail(email) · listDepartments({ district, ids })
+//   createDepartment(data) · updateDepartment(id, patch)
+//
+// categories (complaints, institutions and SLA policies store the codes)
+//   list({ activeOnly }) → categories in display order, each with its subcategories
+//   findById(id) · findByCode(code) · update(id, patch) · reorder(ids)
+//   create(data) — placed after the existing categories
+//   findSubcategoryById(id) · findSubcategoryByCode(code) · updateSubcategory(id, patch)
+//   createSubcategory(data) — placed after the category's existing subcategories
+//   reorderSubcategories(categoryId, ids)
+//   Both levels carry `fields`, the extra complaint form fields (utils/formFields)
+//
+// audit (append-only — there is deliberately no update or delete)
+//   create(entry) · search({ actorId, entity, entityId, action, from, to }, { page, limit })
+//   → { total, entries } newest first, with userId loaded as { name, email, role }
+//
+// messages
+//   create(data) · findById(id) · markRead(messageIds, userId, readAt) → count marked
+//   listByComplaint(complaintId, { departmentId }) — oldest first, senderId loaded
+//   as { name, role }, readBy as [{ userId, readAt }]
+//
+// districtComplaints (a complaint as handled inside one district department)
+//   openForForward({ complaintId, departmentId, forwardingRecordId }) — create or reset to PENDING
+//   findOne(filter, { include }) · list(filter, { include, sort })
+//   update(id, patch, { note, ifStatus }) — note ({ authorId, note, createdAt }) is appended
+//     to internalNotes; with ifStatus, only updates (else returns null) while the task
+//     still has that status
+//   filter: { complaintId, departmentId, status (value or list), assignedStaffId }
+//   include: complaint → complaintId, assignedStaff → assignedStaffId
+//   sort: [{ field: 'internalDeadline' | 'createdAt', direction }]
+//
+// notifications (a user's in-app inbox)
+//   create(data) · countUnread(userId) · markAllRead(userId, readAt) → count marked
+//   listForUser(userId, { unreadOnly, page, limit }) → { total, entries } newest first
+//   markRead(userId, id, readAt) → notification, or null when it isn't the user's
+//
+// counters
+//   next(key) → the key's next value (1, 2, 3…), allocated atomically
+//
+// performance
+//   recordResolution({ complaintId, … }) — one record per complaint, upserted; a
+//     re-resolution replaces the given fields and keeps the rest
+//   listResolutions({ resolvedFrom, resolvedTo }) (end exclusive)
+//   listFeedback({ from, to }) — records reopened or rated in the range (end exclusive)
+//   replaceSnapshots(period, periodStart, snapshots) — swaps out all of that period's rows
+//   listSnapshots({ period, dimension, keys, from, to }) → oldest first
+//   latestSnapshotStart(period) → Date or null
+
+const implementations = {
+  mongo: () => require('./mongo'),
+  postgres: () => require('./prisma')
+};
+
+const store = process.env.DATA_STORE || 'mongo';
+
+if (!implementations[store]) {
+  throw new Error(`Unknown DATA_STORE: ${store}`);
+}
+
+module.exports = implementations[store]();
@@ -0,0 +1,33 @@
+const AuditLog = require('../../models/AuditLog');
+
+const toQuery = ({ actorId, entity, entityId, action, from, to } = {}) => {
+  const query = {};
+  if (actorId) query.userId = actorId;
+  if (entity) query.entity = entity;
+  if (entityId) query.entityId = entityId;
+  if (action) query.action = action;
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+  return query;
+};
+
+module.exports = {
+  create: async (entry) => (await AuditLog.create(entry)).toObject(),
+
+  search: async (filter, { page = 1, limit = 50 } = {}) => {
+    const query = toQuery(filter);
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(query),
+      AuditLog.find(query)
+        .populate('userId', 'name email role')
+        .sort({ timestamp: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+    return { total, entries };
+  }
+};
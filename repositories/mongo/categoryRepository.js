@@ -0,0 +1,53 @@
+const Category = require('../../models/Category');
+const Subcategory = require('../../models/Subcategory');
+
+const ORDER = { position: 1, name: 1 };
+
+const activeQuery = (activeOnly) => (activeOnly ? { active: true } : {});
+
+// Renumber 0, 1, 2… in the given order
+const reorder = async (Model, ids, scope = {}) => {
+  await Model.bulkWrite(ids.map((id, position) => ({
+    updateOne: { filter: { _id: id, ...scope }, update: { position } }
+  })));
+};
+
+module.exports = {
+  list: async ({ activeOnly } = {}) => {
+    const [categories, subcategories] = await Promise.all([
+      Category.find(activeQuery(activeOnly)).sort(ORDER).lean(),
+      Subcategory.find(activeQuery(activeOnly)).sort(ORDER).lean()
+    ]);
+    return categories.map(category => ({
+      ...category,
+      subcategories: subcategories.filter(s => s.categoryId.toString() === category._id.toString())
+    }));
+  },
+
+  findById: (id) => Category.findById(id).lean(),
+
+  findByCode: (code) => Category.findOne({ code }).lean(),
+
+  create: async (data) =>
+    (await Category.create({ position: await Category.countDocuments(), ...data })).toObject(),
+
+  update: (id, patch) =>
+    Category.findByIdAndUpdate(id, patch, { new: true, runValidators: true }).lean(),
+
+  reorder: (ids) => reorder(Category, ids),
+
+  findSubcategoryById: (id) => Subcategory.findById(id).lean(),
+
+  findSubcategoryByCode: (code) => Subcategory.findOne({ code }).lean(),
+
+  createSubcategory: async (data) =>
+    (await Subcategory.create({
+      position: await Subcategory.countDocuments({ categoryId: data.categoryId }),
+      ...data
+    })).toObject(),
+
+  updateSubcategory: (id, patch) =>
+    Subcategory.findByIdAndUpdate(id, patch, { new: true, runValidators: true }).lean(),
+
+  reorderSubcategories: (categoryId, ids) => reorder(Subcategory, ids, { categoryId })
+};
@@ -0,0 +1,210 @@
+const Complaint = require('../../models/Complaint');
+const { OPEN_STATUSES, RESOLVED_STATUSES } = require('../../utils/complaintLifecycle');
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// Relation name → field it replaces when populated
+const RELATIONS = {
+  citizen: 'citizenId',
+  institution: 'institutionId',
+  department: 'assignedDepartment'
+};
+
+const withInclude = (query, include = {}) => {
+  Object.entries(include).forEach(([relation, fields]) => {
+    query.populate(RELATIONS[relation], fields.join(' '));
+  });
+  return query;
+};
+
+const toSort = (sort = []) =>
+  Object.fromEntries(sort.map(({ field, direction }) => [field, direction === 'desc' ? -1 : 1]));
+
+// Records after `after` ({ value, id }) in `field` order, ties broken by _id.
+// MongoDB sorts null first ascending and last descending.
+const keyset = ({ field, direction }, { value, id }) => {
+  const desc = direction === 'desc';
+  const idAfter = { _id: desc ? { $lt: id } : { $gt: id } };
+  if (value === null) {
+    return desc
+      ? { [field]: null, ...idAfter }
+      : { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] };
+  }
+  return {
+    $or: [
+      { [field]: desc ? { $lt: value } : { $gt: value } },
+      { [field]: value, ...idAfter },
+      ...(desc ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+const range = (from, to) => {
+  const condition = {};
+  if (from) condition.$gte = from;
+  if (to) condition.$lte = to;
+  return condition;
+};
+
+const toQuery = (filter = {}) => {
+  const query = {};
+  const and = [];
+
+  if (filter.id) query._id = filter.id;
+  if (filter.ids) query._id = { $in: filter.ids };
+  if (filter.citizenId) query.citizenId = filter.citizenId;
+  if (filter.institutionId) query.institutionId = filter.institutionId;
+  if (filter.status) {
+    query.status = Array.isArray(filter.status) ? { $in: filter.status } : filter.status;
+  }
+  ['category', 'subcategory', 'province', 'district'].forEach(field => {
+    if (filter[field]) query[field] = filter[field];
+  });
+  if (filter.submittedFrom || filter.submittedTo) {
+    query.submissionDate = range(filter.submittedFrom, filter.submittedTo);
+  }
+  if (filter.deadlineFrom || filter.deadlineTo) {
+    query.resolutionDeadline = range(filter.deadlineFrom, filter.deadlineTo);
+  }
+  if (filter.escalationLevelBelow !== undefined) {
+    query.escalationLevel = { $lt: filter.escalationLevelBelow };
+  }
+  if (filter.resolvedOnTime !== undefined) {
+    query.resolutionDate = { $ne: null };
+    query.$expr = filter.resolvedOnTime
+      ? { $lte: ['$resolutionDate', '$resolutionDeadline'] }
+      : { $gt: ['$resolutionDate', '$resolutionDeadline'] };
+  }
+  if (filter.overdue !== undefined) {
+    const now = new Date();
+    and.push(filter.overdue
+      ? { status: { $in: OPEN_STATUSES }, resolutionDeadline: { $lt: now } }
+      : {
+          $or: [
+            { status: { $nin: OPEN_STATUSES } },
+            { resolutionDeadline: null },
+            { resolutionDeadline: { $gte: now } }
+          ]
+        });
+  }
+  if (filter.search) query.$text = { $search: filter.search };
+
+  if (and.length > 0) query.$and = and;
+  return query;
+};
+
+module.exports = {
+  create: async (data) => (await Complaint.create(data)).toObject(),
+
+  findById: (id, { include } = {}) =>
+    withInclude(Complaint.findById(id), include).lean(),
+
+  findOne: (filter, { include } = {}) =>
+    withInclude(Complaint.findOne(toQuery(filter)), include).lean(),
+
+  list: (filter, { include, sort } = {}) =>
+    withInclude(Complaint.find(toQuery(filter)), include).sort(toSort(sort)).lean(),
+
+  page: async (filter, { include, sort, limit, after, countTotal = true } = {}) => {
+    const [order] = sort;
+    const query = toQuery(filter);
+    const pageQuery = after
+      ? { ...query, $and: [...(query.$and || []), keyset(order, after)] }
+      : query;
+
+    const [total, entries] = await Promise.all([
+      countTotal ? Complaint.countDocuments(query) : undefined,
+      withInclude(Complaint.find(pageQuery), include)
+        .sort(toSort([order, { field: '_id', direction: order.direction }]))
+        .limit(limit + 1)
+        .lean()
+    ]);
+
+    return { total, entries: entries.slice(0, limit), hasMore: entries.length > limit };
+  },
+
+  count: (filter) => Complaint.countDocuments(toQuery(filter)),
+
+  exists: async (filter) => Boolean(await Complaint.exists(toQuery(filter))),
+
+  update: (id, patch, { statusChange, ifStatus } = {}) => {
+    const update = { $set: patch };
+    if (statusChange) update.$push = { statusHistory: statusChange };
+    return Complaint.findOneAndUpdate(
+      { _id: id, ...(ifStatus ? { status: ifStatus } : {}) },
+      update,
+      { new: true, runValidators: true }
+    ).lean();
+  },
+
+  // Only ever moves the level up, so concurrent runs can't lower it
+  raiseEscalationLevel: async (id, level) => {
+    await Complaint.updateOne(
+      { _id: id, escalationLevel: { $lt: level } },
+      { escalationLevel: level }
+    );
+  },
+
+  countOpenByInstitution: async (institutionIds) => {
+    const counts = await Complaint.aggregate([
+      {
+        $match: {
+          institutionId: { $in: institutionIds },
+          status: { $in: OPEN_STATUSES }
+        }
+      },
+      { $group: { _id: '$institutionId', openCases: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(c => [c._id.toString(), c.openCases]));
+  },
+
+  // Number of matching complaints per value of `field`
+  countByGroup: async (filter, field) => {
+    const counts = await Complaint.aggregate([
+      { $match: toQuery(filter) },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.filter(c => c._id !== null).map(c => [c._id.toString(), c.count]));
+  },
+
+  statsByInstitution: async (filter) => {
+    const isResolved = { $in: ['$status', RESOLVED_STATUSES] };
+
+    const stats = await Complaint.aggregate([
+      { $match: toQuery(filter) },
+      {
+        $group: {
+          _id: '$institutionId',
+          totalComplaints: { $sum: 1 },
+          resolvedComplaints: { $sum: { $cond: [isResolved, 1, 0] } },
+          resolvedOnTime: {
+            $sum: {
+              $cond: [
+                { $and: [isResolved, { $lte: ['$resolutionDate', '$resolutionDeadline'] }] },
+                1,
+                0
+              ]
+            }
+          },
+          averageResolutionTime: {
+            $avg: {
+              $cond: [
+                isResolved,
+                { $divide: [{ $subtract: ['$resolutionDate', '$submissionDate'] }, DAY] },
+                null
+              ]
+            }
+          },
+          reopenedComplaints: { $sum: { $cond: [{ $gt: ['$reopenCount', 0] }, 1, 0] } },
+          ratedComplaints: { $sum: { $cond: [{ $gt: ['$ratingScore', null] }, 1, 0] } },
+          // $avg skips documents without a rating
+          averageRating: { $avg: '$ratingScore' }
+        }
+      }
+    ]);
+
+    return stats.map(({ _id, ...rest }) => ({ institutionId: _id, ...rest }));
+  }
+};
@@ -0,0 +1,13 @@
+const Counter = require('../../models/Counter');
+
+module.exports = {
+  // A single atomic upsert, so concurrent callers never get the same value
+  next: async (key) => {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: key },
+      { $inc: { value: 1 } },
+      { new: true, upsert: true }
+    ).lean();
+    return counter.value;
+  }
+};
@@ -0,0 +1,63 @@
+const DistrictComplaint = require('../../models/DistrictComplaint');
+
+// Relation name → field it replaces when populated
+const RELATIONS = {
+  complaint: 'complaintId',
+  assignedStaff: 'assignedStaffId'
+};
+
+const withInclude = (query, include = {}) => {
+  Object.entries(include).forEach(([relation, fields]) => {
+    query.populate(RELATIONS[relation], fields.join(' '));
+  });
+  return query;
+};
+
+const toSort = (sort = []) =>
+  Object.fromEntries(sort.map(({ field, direction }) => [field, direction === 'desc' ? -1 : 1]));
+
+const toQuery = ({ complaintId, departmentId, status, assignedStaffId } = {}) => {
+  const query = {};
+  if (complaintId) query.complaintId = complaintId;
+  if (departmentId) query.departmentId = departmentId;
+  if (status) query.status = Array.isArray(status) ? { $in: status } : status;
+  if (assignedStaffId) query.assignedStaffId = assignedStaffId;
+  return query;
+};
+
+module.exports = {
+  // (Re)open the department's task when a complaint is forwarded to it
+  openForForward: ({ complaintId, departmentId, forwardingRecordId }) =>
+    DistrictComplaint.findOneAndUpdate(
+      { complaintId, departmentId },
+      {
+        $set: {
+          forwardingRecordId,
+          status: 'PENDING',
+          acknowledged: false,
+          acknowledgedAt: null,
+          completionReport: null,
+          completedAt: null,
+          completedBy: null
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean(),
+
+  findOne: (filter, { include } = {}) =>
+    withInclude(DistrictComplaint.findOne(toQuery(filter)), include).lean(),
+
+  list: (filter, { include, sort } = {}) =>
+    withInclude(DistrictComplaint.find(toQuery(filter)), include).sort(toSort(sort)).lean(),
+
+  update: (id, patch, { note, ifStatus } = {}) => {
+    const update = {};
+    if (Object.keys(patch).length > 0) update.$set = patch;
+    if (note) update.$push = { internalNotes: note };
+    return DistrictComplaint.findOneAndUpdate(
+      { _id: id, ...(ifStatus ? { status: ifStatus } : {}) },
+      update,
+      { new: true, runValidators: true }
+    ).lean();
+  }
+};
@@ -0,0 +1,26 @@
+const ForwardingRecord = require('../../models/ForwardingRecord');
+
+const RELATIONS = {
+  fromInstitution: 'fromInstitutionId',
+  toDepartment: 'toDepartmentId'
+};
+
+const toPopulate = (include = {}) =>
+  Object.entries(include).map(([relation, fields]) => ({
+    path: RELATIONS[relation],
+    select: fields.join(' ')
+  }));
+
+module.exports = {
+  create: async (data, { include } = {}) => {
+    const record = await ForwardingRecord.create(data);
+    await record.populate(toPopulate(include));
+    return record.toObject();
+  },
+
+  listByComplaint: (complaintId, { include } = {}) =>
+    ForwardingRecord.find({ complaintId })
+      .populate(toPopulate(include))
+      .sort({ forwardedAt: -1 })
+      .lean()
+};
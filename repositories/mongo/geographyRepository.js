@@ -0,0 +1,109 @@
+const Province = require('../../models/Province');
+const District = require('../../models/District');
+const Sector = require('../../models/Sector');
+const DistrictDepartment = require('../../models/DistrictDepartment');
+const User = require('../../models/User');
+const Complaint = require('../../models/Complaint');
+
+// Records that copy location names next to the ids
+const REFERENCING_MODELS = [User, DistrictDepartment, Complaint];
+
+// The next level down, keyed by the field pointing at its parent
+const CHILD_MODELS = { provinceId: District, districtId: Sector };
+
+const rename = async (Model, id, name, copiedAs, idField) => {
+  const record = await Model.findByIdAndUpdate(id, { name }, { new: true, runValidators: true }).lean();
+  if (record && copiedAs) {
+    for (const Referencing of REFERENCING_MODELS) {
+      await Referencing.updateMany({ [idField]: record._id }, { [copiedAs]: name });
+    }
+  }
+  return record;
+};
+
+module.exports = {
+  listProvinces: () => Province.find().sort({ name: 1 }).lean(),
+
+  findProvinceById: (id) => Province.findById(id).lean(),
+
+  findProvinceByName: (name) => Province.findOne({ name }).lean(),
+
+  createProvince: async (data) => (await Province.create(data)).toObject(),
+
+  renameProvince: (id, name) => rename(Province, id, name, 'province', 'provinceId'),
+
+  deleteProvince: async (id) => {
+    await Province.deleteOne({ _id: id });
+  },
+
+  listDistricts: ({ provinceId } = {}) =>
+    District.find(provinceId ? { provinceId } : {}).sort({ name: 1 }).lean(),
+
+  findDistrictById: (id) => District.findById(id).lean(),
+
+  findDistrictByName: (provinceId, name) => District.findOne({ provinceId, name }).lean(),
+
+  createDistrict: async (data) => (await District.create(data)).toObject(),
+
+  renameDistrict: (id, name) => rename(District, id, name, 'district', 'districtId'),
+
+  deleteDistrict: async (id) => {
+    await District.deleteOne({ _id: id });
+  },
+
+  listSectors: ({ districtId } = {}) =>
+    Sector.find(districtId ? { districtId } : {}).sort({ name: 1 }).lean(),
+
+  findSectorById: (id) => Sector.findById(id).lean(),
+
+  findSectorByName: (districtId, name) => Sector.findOne({ districtId, name }).lean(),
+
+  createSector: async (data) => (await Sector.create(data)).toObject(),
+
+  renameSector: (id, name) => rename(Sector, id, name),
+
+  deleteSector: async (id) => {
+    await Sector.deleteOne({ _id: id });
+  },
+
+  // Whether anything (a lower-level location, user, department or complaint)
+  // still points at the location; ref is { provinceId }, { districtId } or { sectorId }
+  locationInUse: async (ref) => {
+    const Child = CHILD_MODELS[Object.keys(ref)[0]];
+    if (Child && await Child.exists(ref)) return true;
+    for (const Model of REFERENCING_MODELS) {
+      if (await Model.exists(ref)) return true;
+    }
+    return false;
+  },
+
+  // Set the location ids on records that only carry the names; with a
+  // district, records must match both the province and district names
+  assignLocationIds: async ({ provinceId, province, districtId, district }) => {
+    const [query, update] = districtId
+      ? [{ province, district, districtId: null }, { provinceId, districtId }]
+      : [{ province, provinceId: null }, { provinceId }];
+
+    let assigned = 0;
+    for (const Model of REFERENCING_MODELS) {
+      assigned += (await Model.updateMany(query, update)).modifiedCount;
+    }
+    return assigned;
+  },
+
+  findDepartmentById: (id) => DistrictDepartment.findById(id).lean(),
+
+  listDepartments: ({ district, ids } = {}) => {
+    const query = {};
+    if (district) query.district = district;
+    if (ids) query._id = { $in: ids };
+    return DistrictDepartment.find(query).sort({ name: 1 }).lean();
+  },
+
+  findDepartmentByEmail: (email) => DistrictDepartment.findOne({ email }).lean(),
+
+  createDepartment: async (data) => (await DistrictDepartment.create(data)).toObject(),
+
+  updateDepartment: (id, patch) =>
+    DistrictDepartment.findByIdAndUpdate(id, patch, { new: true, runValidators: true }).lean()
+};
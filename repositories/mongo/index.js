@@ -0,0 +1,13 @@
+module.exports = {
+  users: require('./userRepository'),
+  complaints: require('./complaintRepository'),
+  forwarding: require('./forwardingRepository'),
+  geography: require('./geographyRepository'),
+  categories: require('./categoryRepository'),
+  audit: require('./auditRepository'),
+  messages: require('./messageRepository'),
+  districtComplaints: require('./districtComplaintRepository'),
+  notifications: require('./notificationRepository'),
+  counters: require('./counterRepository'),
+  performance: require('./performanceRepository')
+};
@@ -0,0 +1,28 @@
+const InstitutionDistrictMessage = require('../../models/InstitutionDistrictMessage');
+
+const toQuery = (complaintId, { departmentId } = {}) => {
+  const query = { complaintId };
+  if (departmentId) query.departmentId = departmentId;
+  return query;
+};
+
+module.exports = {
+  create: async (data) => (await InstitutionDistrictMessage.create(data)).toObject(),
+
+  findById: (id) => InstitutionDistrictMessage.findById(id).lean(),
+
+  listByComplaint: (complaintId, options) =>
+    InstitutionDistrictMessage.find(toQuery(complaintId, options))
+      .populate('senderId', 'name role')
+      .sort({ sentAt: 1, _id: 1 })
+      .lean(),
+
+  // Add a read receipt for `userId` to each message that doesn't have one yet
+  markRead: async (messageIds, userId, readAt = new Date()) => {
+    const result = await InstitutionDistrictMessage.updateMany(
+      { _id: { $in: messageIds }, 'readBy.userId': { $ne: userId } },
+      { $push: { readBy: { userId, readAt } } }
+    );
+    return result.modifiedCount;
+  }
+};
@@ -0,0 +1,38 @@
+const Notification = require('../../models/Notification');
+
+const toQuery = (userId, { unreadOnly } = {}) => {
+  const query = { userId };
+  if (unreadOnly) query.readAt = null;
+  return query;
+};
+
+module.exports = {
+  create: async (data) => (await Notification.create(data)).toObject(),
+
+  listForUser: async (userId, { unreadOnly, page = 1, limit = 20 } = {}) => {
+    const query = toQuery(userId, { unreadOnly });
+    const [total, entries] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.find(query)
+        .sort({ sentAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+    return { total, entries };
+  },
+
+  countUnread: (userId) => Notification.countDocuments(toQuery(userId, { unreadOnly: true })),
+
+  // Returns the notification, or null when it isn't the user's
+  markRead: async (userId, id, readAt = new Date()) => {
+    const notification = await Notification.findOne({ _id: id, userId }).lean();
+    if (!notification || notification.readAt) return notification;
+    return Notification.findByIdAndUpdate(id, { readAt }, { new: true }).lean();
+  },
+
+  markAllRead: async (userId, readAt = new Date()) => {
+    const result = await Notification.updateMany(toQuery(userId, { unreadOnly: true }), { readAt });
+    return result.modifiedCount;
+  }
+};
@@ -0,0 +1,48 @@
+const ComplaintPerformance = require('../../models/ComplaintPerformance');
+const PerformanceSnapshot = require('../../models/PerformanceSnapshot');
+
+const range = (from, to) => {
+  const condition = {};
+  if (from) condition.$gte = from;
+  if (to) condition.$lt = to;
+  return condition;
+};
+
+module.exports = {
+  // One record per complaint: resolving it again replaces the earlier one;
+  // fields left out (a rating, a reopen) are kept
+  recordResolution: ({ complaintId, ...data }) =>
+    ComplaintPerformance.findOneAndUpdate(
+      { complaintId },
+      { $set: { complaintId, ...data } },
+      { new: true, upsert: true, runValidators: true }
+    ).lean(),
+
+  listResolutions: ({ resolvedFrom, resolvedTo } = {}) =>
+    ComplaintPerformance.find({ resolvedAt: range(resolvedFrom, resolvedTo) }).lean(),
+
+  replaceSnapshots: async (period, periodStart, snapshots) => {
+    await PerformanceSnapshot.deleteMany({ period, periodStart });
+    if (snapshots.length > 0) {
+      await PerformanceSnapshot.insertMany(snapshots.map(s => ({ ...s, period, periodStart })));
+    }
+  },
+
+  // Records reopened or rated in the period
+  listFeedback: ({ from, to } = {}) =>
+    ComplaintPerformance.find({
+      $or: [{ reopenedAt: range(from, to) }, { ratedAt: range(from, to) }]
+    }).lean(),
+
+  listSnapshots: ({ period, dimension, keys, from, to }) => {
+    const query = { period, dimension };
+    if (keys) query.key = { $in: keys };
+    if (from || to) query.periodStart = range(from, to);
+    return PerformanceSnapshot.find(query).sort({ periodStart: 1, key: 1 }).lean();
+  },
+
+  latestSnapshotStart: async (period) => {
+    const latest = await PerformanceSnapshot.findOne({ period }).sort({ periodStart: -1 }).lean();
+    return latest ? latest.periodStart : null;
+  }
+};
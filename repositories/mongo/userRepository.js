@@ -0,0 +1,41 @@
+const User = require('../../models/User');
+
+const UNIQUE_FIELDS = ['email', 'phone', 'NIN'];
+
+const toQuery = ({ role, province, district, category, subcategory, departmentId } = {}) => {
+  const query = {};
+  if (role) query.role = role;
+  if (province !== undefined) query.province = province;
+  if (district !== undefined) query.district = district;
+  if (category) query.categories = category;
+  if (subcategory) query.subcategories = subcategory;
+  if (departmentId) query.departmentId = departmentId;
+  return query;
+};
+
+module.exports = {
+  findById: (id) => User.findById(id).lean(),
+
+  findByIds: (ids) => User.find({ _id: { $in: ids } }).lean(),
+
+  findByEmailOrPhone: (value) =>
+    User.findOne({ $or: [{ email: value }, { phone: value }] }).lean(),
+
+  findConflict: async (fields) => {
+    const unique = UNIQUE_FIELDS
+      .filter(field => fields[field])
+      .map(field => ({ [field]: fields[field] }));
+    return unique.length > 0 ? User.findOne({ $or: unique }).lean() : null;
+  },
+
+  list: (filter) => User.find(toQuery(filter)).sort({ createdAt: 1 }).lean(),
+
+  create: async (data) => (await User.create(data)).toObject(),
+
+  update: (id, patch) =>
+    User.findByIdAndUpdate(id, patch, { new: true, runValidators: true }).lean(),
+
+  delete: async (id) => {
+    await User.deleteOne({ _id: id });
+  }
+};
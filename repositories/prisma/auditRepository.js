@@ -0,0 +1,54 @@
+const { getPrisma } = require('./client');
+const { newId, toId, withMongoId, placed } = require('./mappers');
+
+const fromEntry = ({ id, actor, ...rest }) => ({
+  _id: id,
+  ...rest,
+  userId: placed(actor, rest.userId)
+});
+
+// Json columns only take plain values
+const plain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const toWhere = ({ actorId, entity, entityId, action, from, to } = {}) => {
+  const where = {};
+  if (actorId) where.userId = toId(actorId);
+  if (entity) where.entity = entity;
+  if (entityId) where.entityId = entityId;
+  if (action) where.action = action;
+  if (from || to) {
+    where.timestamp = {};
+    if (from) where.timestamp.gte = from;
+    if (to) where.timestamp.lte = to;
+  }
+  return where;
+};
+
+module.exports = {
+  create: async ({ userId, changes, metadata, details, ...entry }) =>
+    withMongoId(await getPrisma().auditLog.create({
+      data: {
+        id: newId(),
+        ...entry,
+        userId: toId(userId) || null,
+        changes: plain(changes),
+        metadata: plain(metadata),
+        details: plain(details)
+      }
+    })),
+
+  search: async (filter, { page = 1, limit = 50 } = {}) => {
+    const where = toWhere(filter);
+    const [total, entries] = await Promise.all([
+      getPrisma().auditLog.count({ where }),
+      getPrisma().auditLog.findMany({
+        where,
+        include: { actor: { select: { id: true, name: true, email: true, role: true } } },
+        orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+    return { total, entries: entries.map(fromEntry) };
+  }
+};
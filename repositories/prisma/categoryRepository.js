@@ -0,0 +1,77 @@
+const { getPrisma } = require('./client');
+const { newId, toId, withMongoId, orNull } = require('./mappers');
+
+const ORDER = [{ position: 'asc' }, { name: 'asc' }];
+
+const fromRecord = (record) => (record ? withMongoId(record) : null);
+
+const activeWhere = (activeOnly) => (activeOnly ? { active: true } : {});
+
+const toData = ({ _id, categoryId, ...data }) => ({
+  ...data,
+  ...(categoryId !== undefined ? { categoryId: toId(categoryId) } : {})
+});
+
+// Renumber 0, 1, 2… in the given order
+const reorder = async (model, ids, scope = {}) => {
+  const prisma = getPrisma();
+  await prisma.$transaction(ids.map((id, position) => prisma[model].updateMany({
+    where: { id: toId(id), ...scope },
+    data: { position }
+  })));
+};
+
+module.exports = {
+  list: async ({ activeOnly } = {}) =>
+    (await getPrisma().category.findMany({
+      where: activeWhere(activeOnly),
+      orderBy: ORDER,
+      include: { subcategories: { where: activeWhere(activeOnly), orderBy: ORDER } }
+    })).map(({ subcategories, ...category }) => ({
+      ...fromRecord(category),
+      subcategories: subcategories.map(fromRecord)
+    })),
+
+  findById: async (id) =>
+    fromRecord(await getPrisma().category.findUnique({ where: { id: toId(id) } })),
+
+  findByCode: async (code) =>
+    fromRecord(await getPrisma().category.findUnique({ where: { code } })),
+
+  create: async (data) =>
+    fromRecord(await getPrisma().category.create({
+      data: { id: newId(), position: await getPrisma().category.count(), ...toData(data) }
+    })),
+
+  update: async (id, patch) =>
+    fromRecord(await orNull(getPrisma().category.update({
+      where: { id: toId(id) },
+      data: toData(patch)
+    }))),
+
+  reorder: (ids) => reorder('category', ids),
+
+  findSubcategoryById: async (id) =>
+    fromRecord(await getPrisma().subcategory.findUnique({ where: { id: toId(id) } })),
+
+  findSubcategoryByCode: async (code) =>
+    fromRecord(await getPrisma().subcategory.findUnique({ where: { code } })),
+
+  createSubcategory: async (data) =>
+    fromRecord(await getPrisma().subcategory.create({
+      data: {
+        id: newId(),
+        position: await getPrisma().subcategory.count({ where: { categoryId: toId(data.categoryId) } }),
+        ...toData(data)
+      }
+    })),
+
+  updateSubcategory: async (id, patch) =>
+    fromRecord(await orNull(getPrisma().subcategory.update({
+      where: { id: toId(id) },
+      data: toData(patch)
+    }))),
+
+  reorderSubcategories: (categoryId, ids) =>
+    reorder('subcategory', ids, { categoryId: toId(categoryId) })
+};
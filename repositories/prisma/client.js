@@ -0,0 +1,15 @@
+let prisma = null;
+
+// One PrismaClient per process, created on first use
+const getPrisma = () => {
+  if (!prisma) {
+    const { PrismaClient } = require('@prisma/client');
+    prisma = new PrismaClient();
+  }
+  return prisma;
+};
+
+// Prisma's raw SQL helpers (sql, join, raw), loaded with the client
+const getSql = () => require('@prisma/client').Prisma;
+
+module.exports = { getPrisma, getSql };
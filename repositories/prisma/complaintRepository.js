@@ -0,0 +1,293 @@
+const { getPrisma, getSql } = require('./client');
+const { newId, toId, toInclude, placed, orNull } = require('./mappers');
+const { OPEN_STATUSES, RESOLVED_STATUSES } = require('../../utils/complaintLifecycle');
+
+// Repository relation name → Prisma relation
+const RELATIONS = {
+  citizen: 'citizen',
+  institution: 'institution',
+  department: 'assignedDepartment'
+};
+
+const HISTORY = { statusHistory: { orderBy: [{ changedAt: 'asc' }, { id: 'asc' }] } };
+
+const JSON_FIELDS = ['routing', 'sla', 'details'];
+
+// Sorted like MongoDB: null first ascending, last descending
+const NULLABLE_SORT_FIELDS = ['resolutionDeadline'];
+
+const toStatusChange = ({ changedBy, ...entry }) => ({
+  ...entry,
+  changedBy: changedBy ? toId(changedBy) : null
+});
+
+const toComplaintData = ({ _id, assignedDepartment, statusHistory, citizenId, institutionId, ...data }) => {
+  const result = { ...data };
+  if (citizenId !== undefined) result.citizenId = toId(citizenId);
+  if (institutionId !== undefined) result.institutionId = toId(institutionId);
+  if (assignedDepartment !== undefined) result.assignedDepartmentId = toId(assignedDepartment) || null;
+  ['provinceId', 'districtId', 'sectorId'].forEach(field => {
+    if (result[field] !== undefined) result[field] = toId(result[field]) || null;
+  });
+  if (statusHistory) result.statusHistory = { create: statusHistory.map(toStatusChange) };
+  // Json columns only take plain values (no ObjectIds or class instances)
+  JSON_FIELDS.forEach(field => {
+    if (result[field]) result[field] = JSON.parse(JSON.stringify(result[field]));
+  });
+  return result;
+};
+
+const fromComplaint = (record) => {
+  if (!record) return null;
+  const { id, citizen, institution, assignedDepartment, assignedDepartmentId, statusHistory = [], ...rest } = record;
+  return {
+    _id: id,
+    ...rest,
+    citizenId: placed(citizen, rest.citizenId),
+    institutionId: placed(institution, rest.institutionId),
+    assignedDepartment: placed(assignedDepartment, assignedDepartmentId),
+    statusHistory: statusHistory.map(({ id: entryId, complaintId, ...entry }) => entry)
+  };
+};
+
+const range = (from, to) => {
+  const condition = {};
+  if (from) condition.gte = from;
+  if (to) condition.lte = to;
+  return condition;
+};
+
+// Free text as a tsquery matching every word
+const toSearch = (text) =>
+  text.split(/\s+/).map(word => word.replace(/[^\p{L}\p{N}]/gu, '')).filter(Boolean).join(' & ');
+
+// Ids of the complaints whose title and description match a tsquery. Prisma's
+// own search operator builds a tsvector no index can serve, so this matches
+// the expression of the GIN index in the complaint_search_index migration.
+const searchIds = async (search) => {
+  const rows = await getPrisma().$queryRaw`
+    SELECT "id" FROM "Complaint"
+    WHERE to_tsvector('english', "title" || ' ' || "description") @@ to_tsquery('english', ${search})`;
+  return rows.map(row => row.id);
+};
+
+const toWhere = async (filter = {}) => {
+  const where = {};
+  const and = [];
+
+  if (filter.id) where.id = toId(filter.id);
+  if (filter.ids) where.id = { in: filter.ids.map(toId) };
+  if (filter.citizenId) where.citizenId = toId(filter.citizenId);
+  if (filter.institutionId) where.institutionId = toId(filter.institutionId);
+  if (filter.status) {
+    where.status = Array.isArray(filter.status) ? { in: filter.status } : filter.status;
+  }
+  ['category', 'subcategory', 'province', 'district'].forEach(field => {
+    if (filter[field]) where[field] = filter[field];
+  });
+  if (filter.submittedFrom || filter.submittedTo) {
+    where.submissionDate = range(filter.submittedFrom, filter.submittedTo);
+  }
+  if (filter.deadlineFrom || filter.deadlineTo) {
+    where.resolutionDeadline = range(filter.deadlineFrom, filter.deadlineTo);
+  }
+  if (filter.escalationLevelBelow !== undefined) {
+    where.escalationLevel = { lt: filter.escalationLevelBelow };
+  }
+  if (filter.resolvedOnTime !== undefined) {
+    const deadline = getPrisma().complaint.fields.resolutionDeadline;
+    where.resolutionDate = filter.resolvedOnTime ? { lte: deadline } : { gt: deadline };
+  }
+  if (filter.overdue !== undefined) {
+    const now = new Date();
+    and.push(filter.overdue
+      ? { status: { in: OPEN_STATUSES }, resolutionDeadline: { lt: now } }
+      : {
+          OR: [
+            { status: { notIn: OPEN_STATUSES } },
+            { resolutionDeadline: null },
+            { resolutionDeadline: { gte: now } }
+          ]
+        });
+  }
+  if (filter.search) {
+    const search = toSearch(filter.search);
+    and.push({ id: { in: search ? await searchIds(search) : [] } });
+  }
+
+  if (and.length > 0) where.AND = and;
+  return where;
+};
+
+// Filters statsByInstitution can apply in its SQL aggregate
+const SQL_EQUALITY_FILTERS = ['institutionId', 'category', 'subcategory', 'province', 'district'];
+const SQL_FILTERS = [...SQL_EQUALITY_FILTERS, 'status', 'submittedFrom', 'submittedTo'];
+
+// The plain field conditions of a filter as a SQL condition
+const toSqlWhere = (filter = {}) => {
+  const Prisma = getSql();
+  const unsupported = Object.keys(filter).filter(key => filter[key] !== undefined && !SQL_FILTERS.includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported complaint statistics filter: ${unsupported.join(', ')}`);
+  }
+
+  const conditions = [Prisma.sql`TRUE`];
+  SQL_EQUALITY_FILTERS.forEach(field => {
+    if (filter[field]) {
+      const value = field === 'institutionId' ? toId(filter[field]) : filter[field];
+      conditions.push(Prisma.sql`${Prisma.raw(`"${field}"`)} = ${value}`);
+    }
+  });
+  if (filter.status) {
+    const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+    conditions.push(Prisma.sql`"status" IN (${Prisma.join(statuses)})`);
+  }
+  if (filter.submittedFrom) conditions.push(Prisma.sql`"submissionDate" >= ${filter.submittedFrom}`);
+  if (filter.submittedTo) conditions.push(Prisma.sql`"submissionDate" <= ${filter.submittedTo}`);
+
+  return Prisma.join(conditions, ' AND ');
+};
+
+const toOrderBy = (sort = []) => sort.map(({ field, direction }) => ({
+  [field]: NULLABLE_SORT_FIELDS.includes(field)
+    ? { sort: direction, nulls: direction === 'asc' ? 'first' : 'last' }
+    : direction
+}));
+
+// Records after `after` ({ value, id }) in `field` order, ties broken by id
+const keyset = ({ field, direction }, { value, id }) => {
+  const desc = direction === 'desc';
+  const idAfter = { id: desc ? { lt: toId(id) } : { gt: toId(id) } };
+  if (value === null) {
+    return desc
+      ? { [field]: null, ...idAfter }
+      : { OR: [{ [field]: null, ...idAfter }, { [field]: { not: null } }] };
+  }
+  return {
+    OR: [
+      { [field]: desc ? { lt: value } : { gt: value } },
+      { [field]: value, ...idAfter },
+      ...(desc && NULLABLE_SORT_FIELDS.includes(field) ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+const findArgs = (include) => ({ include: { ...HISTORY, ...toInclude(include, RELATIONS) } });
+
+module.exports = {
+  create: async (data) =>
+    fromComplaint(await getPrisma().complaint.create({
+      data: { id: newId(), ...toComplaintData(data) },
+      include: HISTORY
+    })),
+
+  findById: async (id, { include } = {}) =>
+    fromComplaint(await getPrisma().complaint.findUnique({
+      where: { id: toId(id) },
+      ...findArgs(include)
+    })),
+
+  findOne: async (filter, { include } = {}) =>
+    fromComplaint(await getPrisma().complaint.findFirst({
+      where: await toWhere(filter),
+      ...findArgs(include)
+    })),
+
+  list: async (filter, { include, sort } = {}) =>
+    (await getPrisma().complaint.findMany({
+      where: await toWhere(filter),
+      orderBy: toOrderBy(sort),
+      ...findArgs(include)
+    })).map(fromComplaint),
+
+  page: async (filter, { include, sort, limit, after, countTotal = true } = {}) => {
+    const [order] = sort;
+    const where = await toWhere(filter);
+    const pageWhere = after ? { ...where, AND: [...(where.AND || []), keyset(order, after)] } : where;
+
+    const [total, entries] = await Promise.all([
+      countTotal ? getPrisma().complaint.count({ where }) : undefined,
+      getPrisma().complaint.findMany({
+        where: pageWhere,
+        orderBy: [...toOrderBy([order]), { id: order.direction }],
+        take: limit + 1,
+        ...findArgs(include)
+      })
+    ]);
+
+    return {
+      total,
+      entries: entries.slice(0, limit).map(fromComplaint),
+      hasMore: entries.length > limit
+    };
+  },
+
+  count: async (filter) => getPrisma().complaint.count({ where: await toWhere(filter) }),
+
+  exists: async (filter) =>
+    Boolean(await getPrisma().complaint.findFirst({ where: await toWhere(filter), select: { id: true } })),
+
+  update: async (id, patch, { statusChange, ifStatus } = {}) => {
+    const data = toComplaintData(patch);
+    if (statusChange) data.statusHistory = { create: toStatusChange(statusChange) };
+
+    return fromComplaint(await orNull(getPrisma().complaint.update({
+      where: { id: toId(id), ...(ifStatus ? { status: ifStatus } : {}) },
+      data,
+      include: HISTORY
+    })));
+  },
+
+  // Only ever moves the level up, so concurrent runs can't lower it
+  raiseEscalationLevel: async (id, level) => {
+    await getPrisma().complaint.updateMany({
+      where: { id: toId(id), escalationLevel: { lt: level } },
+      data: { escalationLevel: level }
+    });
+  },
+
+  countOpenByInstitution: async (institutionIds) => {
+    const counts = await getPrisma().complaint.groupBy({
+      by: ['institutionId'],
+      where: {
+        institutionId: { in: institutionIds.map(toId) },
+        status: { in: OPEN_STATUSES }
+      },
+      _count: { _all: true }
+    });
+
+    return new Map(counts.map(c => [c.institutionId, c._count._all]));
+  },
+
+  // Number of matching complaints per value of `field`
+  countByGroup: async (filter, field) => {
+    const counts = await getPrisma().complaint.groupBy({
+      by: [field],
+      where: await toWhere(filter),
+      _count: { _all: true }
+    });
+
+    return new Map(counts.filter(c => c[field] !== null).map(c => [c[field], c._count._all]));
+  },
+
+  // One grouped aggregate in the database: Prisma's groupBy can't average the
+  // time between two columns. EXTRACT(EPOCH …) gives seconds, 86400 to a day.
+  statsByInstitution: async (filter) => {
+    const Prisma = getSql();
+    const resolved = Prisma.sql`"status" IN (${Prisma.join(RESOLVED_STATUSES)})`;
+
+    return getPrisma().$queryRaw`
+      SELECT "institutionId",
+        COUNT(*)::int AS "totalComplaints",
+        COUNT(*) FILTER (WHERE ${resolved})::int AS "resolvedComplaints",
+        COUNT(*) FILTER (WHERE ${resolved} AND "resolutionDate" <= "resolutionDeadline")::int AS "resolvedOnTime",
+        (AVG(EXTRACT(EPOCH FROM "resolutionDate" - "submissionDate")) FILTER (WHERE ${resolved})
+          / 86400)::float AS "averageResolutionTime",
+        COUNT(*) FILTER (WHERE "reopenCount" > 0)::int AS "reopenedComplaints",
+        COUNT("ratingScore")::int AS "ratedComplaints",
+        AVG("ratingScore")::float AS "averageRating"
+      FROM "Complaint"
+      WHERE ${toSqlWhere(filter)}
+      GROUP BY "institutionId"`;
+  }
+};
@@ -0,0 +1,14 @@
+const { getPrisma } = require('./client');
+
+module.exports = {
+  // Prisma runs this upsert as a single INSERT … ON CONFLICT DO UPDATE, so
+  // concurrent callers never get the same value
+  next: async (key) => {
+    const counter = await getPrisma().counter.upsert({
+      where: { key },
+      create: { key, value: 1 },
+      update: { value: { increment: 1 } }
+    });
+    return counter.value;
+  }
+};
@@ -0,0 +1,103 @@
+const { getPrisma } = require('./client');
+const { newId, toId, toInclude, placed, orNull } = require('./mappers');
+
+// Repository relation name → Prisma relation
+const RELATIONS = {
+  complaint: 'complaint',
+  assignedStaff: 'assignedStaff'
+};
+
+const NOTES = { internalNotes: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] } };
+
+const fromRecord = (record) => {
+  if (!record) return null;
+  const { id, districtDepartmentId, complaint, assignedStaff, internalNotes = [], ...rest } = record;
+  return {
+    _id: id,
+    ...rest,
+    departmentId: districtDepartmentId,
+    complaintId: placed(complaint, rest.complaintId),
+    assignedStaffId: placed(assignedStaff, rest.assignedStaffId),
+    internalNotes: internalNotes.map(({ authorId, note, createdAt }) => ({ authorId, note, createdAt }))
+  };
+};
+
+const toData = ({ assignedStaffId, completedBy, ...patch }) => {
+  const data = { ...patch };
+  if (assignedStaffId !== undefined) data.assignedStaffId = toId(assignedStaffId) || null;
+  if (completedBy !== undefined) data.completedBy = toId(completedBy) || null;
+  return data;
+};
+
+const toWhere = ({ complaintId, departmentId, status, assignedStaffId } = {}) => {
+  const where = {};
+  if (complaintId) where.complaintId = toId(complaintId);
+  if (departmentId) where.districtDepartmentId = toId(departmentId);
+  if (status) where.status = Array.isArray(status) ? { in: status } : status;
+  if (assignedStaffId) where.assignedStaffId = toId(assignedStaffId);
+  return where;
+};
+
+const toOrderBy = (sort = []) => sort.map(({ field, direction }) => ({ [field]: direction }));
+
+const findArgs = (include) => ({ include: { ...NOTES, ...toInclude(include, RELATIONS) } });
+
+module.exports = {
+  // (Re)open the department's task when a complaint is forwarded to it
+  openForForward: async ({ complaintId, departmentId, forwardingRecordId }) => {
+    const reopened = {
+      forwardingRecordId: toId(forwardingRecordId),
+      status: 'PENDING',
+      acknowledged: false,
+      acknowledgedAt: null,
+      completionReport: null,
+      completedAt: null,
+      completedBy: null
+    };
+
+    return fromRecord(await getPrisma().districtComplaint.upsert({
+      where: {
+        complaintId_districtDepartmentId: {
+          complaintId: toId(complaintId),
+          districtDepartmentId: toId(departmentId)
+        }
+      },
+      create: {
+        id: newId(),
+        complaintId: toId(complaintId),
+        districtDepartmentId: toId(departmentId),
+        ...reopened
+      },
+      update: reopened,
+      include: NOTES
+    }));
+  },
+
+  findOne: async (filter, { include } = {}) =>
+    fromRecord(await getPrisma().districtComplaint.findFirst({
+      where: toWhere(filter),
+      ...findArgs(include)
+    })),
+
+  list: async (filter, { include, sort } = {}) =>
+    (await getPrisma().districtComplaint.findMany({
+      where: toWhere(filter),
+      orderBy: toOrderBy(sort),
+      ...findArgs(include)
+    })).map(fromRecord),
+
+  update: async (id, patch, { note, ifStatus } = {}) => {
+    const data = toData(patch);
+    if (note) {
+      data.internalNotes = {
+        create: { authorId: toId(note.authorId), note: note.note, createdAt: note.createdAt }
+      };
+    }
+
+    return fromRecord(await orNull(getPrisma().districtComplaint.update({
+      where: { id: toId(id), ...(ifStatus ? { status: ifStatus } : {}) },
+      data,
+      ...findArgs()
+    })));
+  }
+};
@@ -0,0 +1,35 @@
+const { getPrisma } = require('./client');
+const { newId, toId, toInclude, placed } = require('./mappers');
+
+const RELATIONS = {
+  fromInstitution: 'fromInstitution',
+  toDepartment: 'toDepartment'
+};
+
+const fromRecord = ({ id, fromInstitution, toDepartment, ...rest }) => ({
+  _id: id,
+  ...rest,
+  fromInstitutionId: placed(fromInstitution, rest.fromInstitutionId),
+  toDepartmentId: placed(toDepartment, rest.toDepartmentId)
+});
+
+module.exports = {
+  create: async ({ complaintId, fromInstitutionId, toDepartmentId, ...data }, { include } = {}) =>
+    fromRecord(await getPrisma().forwardingRecord.create({
+      data: {
+        id: newId(),
+        ...data,
+        complaintId: toId(complaintId),
+        fromInstitutionId: toId(fromInstitutionId),
+        toDepartmentId: toId(toDepartmentId)
+      },
+      include: toInclude(include, RELATIONS)
+    })),
+
+  listByComplaint: async (complaintId, { include } = {}) =>
+    (await getPrisma().forwardingRecord.findMany({
+      where: { complaintId: toId(complaintId) },
+      include: toInclude(include, RELATIONS),
+      orderBy: { forwardedAt: 'desc' }
+    })).map(fromRecord)
+};
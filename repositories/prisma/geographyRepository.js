@@ -0,0 +1,136 @@
+const { getPrisma } = require('./client');
+const { newId, toId, withMongoId, orNull } = require('./mappers');
+
+// Models that copy location names next to the ids
+const REFERENCING_MODELS = ['user', 'districtDepartment', 'complaint'];
+
+// The next level down, keyed by the field pointing at its parent
+const CHILD_MODELS = { provinceId: 'district', districtId: 'sector' };
+
+const fromRecord = (record) => (record ? withMongoId(record) : null);
+
+const toData = ({ _id, provinceId, districtId, ...data }) => ({
+  ...data,
+  ...(provinceId !== undefined ? { provinceId: toId(provinceId) || null } : {}),
+  ...(districtId !== undefined ? { districtId: toId(districtId) || null } : {})
+});
+
+const create = async (model, data) =>
+  fromRecord(await getPrisma()[model].create({ data: { id: newId(), ...toData(data) } }));
+
+// The copied names change in the same transaction as the location itself
+const rename = async (model, id, name, copiedAs, idField) => {
+  const prisma = getPrisma();
+  const updates = [prisma[model].update({ where: { id: toId(id) }, data: { name } })];
+  if (copiedAs) {
+    REFERENCING_MODELS.forEach(referencing => updates.push(prisma[referencing].updateMany({
+      where: { [idField]: toId(id) },
+      data: { [copiedAs]: name }
+    })));
+  }
+  const [record] = await orNull(prisma.$transaction(updates)) || [];
+  return fromRecord(record);
+};
+
+const remove = async (model, id) => {
+  await getPrisma()[model].deleteMany({ where: { id: toId(id) } });
+};
+
+module.exports = {
+  listProvinces: async () =>
+    (await getPrisma().province.findMany({ orderBy: { name: 'asc' } })).map(fromRecord),
+
+  findProvinceById: async (id) =>
+    fromRecord(await getPrisma().province.findUnique({ where: { id: toId(id) } })),
+
+  findProvinceByName: async (name) =>
+    fromRecord(await getPrisma().province.findUnique({ where: { name } })),
+
+  createProvince: (data) => create('province', data),
+
+  renameProvince: (id, name) => rename('province', id, name, 'province', 'provinceId'),
+
+  deleteProvince: (id) => remove('province', id),
+
+  listDistricts: async ({ provinceId } = {}) =>
+    (await getPrisma().district.findMany({
+      where: provinceId ? { provinceId: toId(provinceId) } : {},
+      orderBy: { name: 'asc' }
+    })).map(fromRecord),
+
+  findDistrictById: async (id) =>
+    fromRecord(await getPrisma().district.findUnique({ where: { id: toId(id) } })),
+
+  findDistrictByName: async (provinceId, name) =>
+    fromRecord(await getPrisma().district.findFirst({ where: { provinceId: toId(provinceId), name } })),
+
+  createDistrict: (data) => create('district', data),
+
+  renameDistrict: (id, name) => rename('district', id, name, 'district', 'districtId'),
+
+  deleteDistrict: (id) => remove('district', id),
+
+  listSectors: async ({ districtId } = {}) =>
+    (await getPrisma().sector.findMany({
+      where: districtId ? { districtId: toId(districtId) } : {},
+      orderBy: { name: 'asc' }
+    })).map(fromRecord),
+
+  findSectorById: async (id) =>
+    fromRecord(await getPrisma().sector.findUnique({ where: { id: toId(id) } })),
+
+  findSectorByName: async (districtId, name) =>
+    fromRecord(await getPrisma().sector.findFirst({ where: { districtId: toId(districtId), name } })),
+
+  createSector: (data) => create('sector', data),
+
+  renameSector: (id, name) => rename('sector', id, name),
+
+  deleteSector: (id) => remove('sector', id),
+
+  locationInUse: async (ref) => {
+    const [field] = Object.keys(ref);
+    const where = { [field]: toId(ref[field]) };
+    const models = CHILD_MODELS[field] ? [CHILD_MODELS[field], ...REFERENCING_MODELS] : REFERENCING_MODELS;
+    for (const model of models) {
+      if (await getPrisma()[model].findFirst({ where, select: { id: true } })) return true;
+    }
+    return false;
+  },
+
+  assignLocationIds: async ({ provinceId, province, districtId, district }) => {
+    const [where, data] = districtId
+      ? [{ province, district, districtId: null }, { provinceId: toId(provinceId), districtId: toId(districtId) }]
+      : [{ province, provinceId: null }, { provinceId: toId(provinceId) }];
+
+    let assigned = 0;
+    for (const model of REFERENCING_MODELS) {
+      assigned += (await getPrisma()[model].updateMany({ where, data })).count;
+    }
+    return assigned;
+  },
+
+  findDepartmentById: async (id) =>
+    fromRecord(await getPrisma().districtDepartment.findUnique({ where: { id: toId(id) } })),
+
+  listDepartments: async ({ district, ids } = {}) => {
+    const where = {};
+    if (district) where.district = district;
+    if (ids) where.id = { in: ids.map(toId) };
+    return (await getPrisma().districtDepartment.findMany({
+      where,
+      orderBy: { name: 'asc' }
+    })).map(fromRecord);
+  },
+
+  findDepartmentByEmail: async (email) =>
+    fromRecord(await getPrisma().districtDepartment.findUnique({ where: { email } })),
+
+  createDepartment: (data) => create('districtDepartment', data),
+
+  updateDepartment: async (id, patch) =>
+    fromRecord(await orNull(getPrisma().districtDepartment.update({
+      where: { id: toId(id) },
+      data: toData(patch)
+    })))
+};
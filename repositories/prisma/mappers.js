@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Ids are ObjectId-style hex strings so records keep their ids across stores
+const newId = () => new mongoose.Types.ObjectId().toHexString();
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+const withMongoId = ({ id, ...rest }) => ({ _id: id, ...rest });
+
+// { citizen: ['name'] } → { citizen: { select: { id: true, name: true } } },
+// with `relations` mapping repository relation names to Prisma ones
+const toInclude = (include = {}, relations) =>
+  Object.fromEntries(Object.entries(include).map(([name, fields]) => [
+    relations[name],
+    { select: Object.fromEntries([['id', true], ...fields.map(field => [field, true])]) }
+  ]));
+
+// A loaded relation replaces its id field, as Mongoose populate does
+const placed = (loaded, id) => (loaded ? withMongoId(loaded) : id);
+
+// Mongoose's findByIdAndUpdate returns null for a missing record; Prisma throws
+const orNull = async (operation) => {
+  try {
+    return await operation;
+  } catch (error) {
+    if (error.code === 'P2025') return null;
+    throw error;
+  }
+};
+
+module.exports = { newId, toId, withMongoId, toInclude, placed, orNull };
@@ -0,0 +1,56 @@
+const { getPrisma } = require('./client');
+const { newId, toId, placed } = require('./mappers');
+
+const READ_BY = { readBy: { select: { userId: true, readAt: true }, orderBy: { readAt: 'asc' } } };
+
+const fromMessage = (record) => {
+  if (!record) return null;
+  const { id, sender, readBy = [], ...rest } = record;
+  return {
+    _id: id,
+    ...rest,
+    senderId: placed(sender, rest.senderId),
+    readBy
+  };
+};
+
+module.exports = {
+  create: async ({ complaintId, departmentId, senderId, attachments = [], ...data }) =>
+    fromMessage(await getPrisma().institutionDistrictMessage.create({
+      data: {
+        id: newId(),
+        ...data,
+        complaintId: toId(complaintId),
+        departmentId: toId(departmentId),
+        senderId: toId(senderId),
+        attachments: attachments.map(toId)
+      },
+      include: READ_BY
+    })),
+
+  findById: async (id) =>
+    fromMessage(await getPrisma().institutionDistrictMessage.findUnique({
+      where: { id: toId(id) },
+      include: READ_BY
+    })),
+
+  listByComplaint: async (complaintId, { departmentId } = {}) => {
+    const where = { complaintId: toId(complaintId) };
+    if (departmentId) where.departmentId = toId(departmentId);
+
+    return (await getPrisma().institutionDistrictMessage.findMany({
+      where,
+      include: { ...READ_BY, sender: { select: { id: true, name: true, role: true } } },
+      orderBy: [{ sentAt: 'asc' }, { id: 'asc' }]
+    })).map(fromMessage);
+  },
+
+  // Add a read receipt for `userId` to each message that doesn't have one yet
+  markRead: async (messageIds, userId, readAt = new Date()) => {
+    const { count } = await getPrisma().messageReadReceipt.createMany({
+      data: messageIds.map(messageId => ({ messageId: toId(messageId), userId: toId(userId), readAt })),
+      skipDuplicates: true
+    });
+    return count;
+  }
+};
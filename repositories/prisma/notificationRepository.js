@@ -0,0 +1,54 @@
+const { getPrisma } = require('./client');
+const { newId, toId, withMongoId } = require('./mappers');
+
+const fromNotification = (record) => (record ? withMongoId(record) : null);
+
+const toWhere = (userId, { unreadOnly } = {}) => {
+  const where = { userId: toId(userId) };
+  if (unreadOnly) where.readAt = null;
+  return where;
+};
+
+module.exports = {
+  create: async ({ userId, complaintId, ...data }) =>
+    fromNotification(await getPrisma().notification.create({
+      data: {
+        id: newId(),
+        ...data,
+        userId: toId(userId),
+        complaintId: toId(complaintId) || null
+      }
+    })),
+
+  listForUser: async (userId, { unreadOnly, page = 1, limit = 20 } = {}) => {
+    const where = toWhere(userId, { unreadOnly });
+    const [total, entries] = await Promise.all([
+      getPrisma().notification.count({ where }),
+      getPrisma().notification.findMany({
+        where,
+        orderBy: [{ sentAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+    return { total, entries: entries.map(fromNotification) };
+  },
+
+  countUnread: (userId) =>
+    getPrisma().notification.count({ where: toWhere(userId, { unreadOnly: true }) }),
+
+  // Returns the notification, or null when it isn't the user's
+  markRead: async (userId, id, readAt = new Date()) => {
+    const where = { id: toId(id), userId: toId(userId) };
+    await getPrisma().notification.updateMany({ where: { ...where, readAt: null }, data: { readAt } });
+    return fromNotification(await getPrisma().notification.findFirst({ where }));
+  },
+
+  markAllRead: async (userId, readAt = new Date()) => {
+    const { count } = await getPrisma().notification.updateMany({
+      where: toWhere(userId, { unreadOnly: true }),
+      data: { readAt }
+    });
+    return count;
+  }
+};
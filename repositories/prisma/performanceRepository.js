@@ -0,0 +1,61 @@
+const { getPrisma } = require('./client');
+const { newId, toId, withMongoId } = require('./mappers');
+
+const fromRecord = (record) => (record ? withMongoId(record) : null);
+
+const range = (from, to) => {
+  const condition = {};
+  if (from) condition.gte = from;
+  if (to) condition.lt = to;
+  return condition;
+};
+
+module.exports = {
+  // One record per complaint: resolving it again replaces the earlier one;
+  // fields left out (a rating, a reopen) are kept
+  recordResolution: async ({ complaintId, institutionId, ...data }) => {
+    const fields = { ...data, institutionId: toId(institutionId) };
+    return fromRecord(await getPrisma().complaintPerformance.upsert({
+      where: { complaintId: toId(complaintId) },
+      create: { id: newId(), complaintId: toId(complaintId), ...fields },
+      update: fields
+    }));
+  },
+
+  listResolutions: async ({ resolvedFrom, resolvedTo } = {}) =>
+    (await getPrisma().complaintPerformance.findMany({
+      where: { resolvedAt: range(resolvedFrom, resolvedTo) }
+    })).map(fromRecord),
+
+  listFeedback: async ({ from, to } = {}) =>
+    (await getPrisma().complaintPerformance.findMany({
+      where: { OR: [{ reopenedAt: range(from, to) }, { ratedAt: range(from, to) }] }
+    })).map(fromRecord),
+
+  replaceSnapshots: async (period, periodStart, snapshots) => {
+    await getPrisma().$transaction([
+      getPrisma().performanceSnapshot.deleteMany({ where: { period, periodStart } }),
+      getPrisma().performanceSnapshot.createMany({
+        data: snapshots.map(s => ({ id: newId(), ...s, period, periodStart }))
+      })
+    ]);
+  },
+
+  listSnapshots: async ({ period, dimension, keys, from, to }) => {
+    const where = { period, dimension };
+    if (keys) where.key = { in: keys };
+    if (from || to) where.periodStart = range(from, to);
+    return (await getPrisma().performanceSnapshot.findMany({
+      where,
+      orderBy: [{ periodStart: 'asc' }, { key: 'asc' }]
+    })).map(fromRecord);
+  },
+
+  latestSnapshotStart: async (period) => {
+    const latest = await getPrisma().performanceSnapshot.findFirst({
+      where: { period },
+      orderBy: { periodStart: 'desc' }
+    });
+    return latest ? latest.periodStart : null;
+  }
+};
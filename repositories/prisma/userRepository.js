@@ -0,0 +1,64 @@
+const { getPrisma } = require('./client');
+const { newId, toId, withMongoId, orNull } = require('./mappers');
+
+const UNIQUE_FIELDS = ['email', 'phone', 'NIN'];
+
+const fromUser = (record) => (record ? withMongoId(record) : null);
+
+const toUserData = ({ _id, departmentId, provinceId, districtId, ...data }) => ({
+  ...data,
+  ...(departmentId !== undefined ? { departmentId: toId(departmentId) || null } : {}),
+  ...(provinceId !== undefined ? { provinceId: toId(provinceId) || null } : {}),
+  ...(districtId !== undefined ? { districtId: toId(districtId) || null } : {})
+});
+
+const toWhere = ({ role, province, district, category, subcategory, departmentId } = {}) => {
+  const where = {};
+  if (role) where.role = role;
+  if (province !== undefined) where.province = province;
+  if (district !== undefined) where.district = district;
+  if (category) where.categories = { has: category };
+  if (subcategory) where.subcategories = { has: subcategory };
+  if (departmentId) where.departmentId = toId(departmentId);
+  return where;
+};
+
+module.exports = {
+  findById: async (id) =>
+    fromUser(await getPrisma().user.findUnique({ where: { id: toId(id) } })),
+
+  findByIds: async (ids) =>
+    (await getPrisma().user.findMany({ where: { id: { in: ids.map(toId) } } })).map(fromUser),
+
+  findByEmailOrPhone: async (value) =>
+    fromUser(await getPrisma().user.findFirst({
+      where: { OR: [{ email: value }, { phone: value }] }
+    })),
+
+  findConflict: async (fields) => {
+    const unique = UNIQUE_FIELDS
+      .filter(field => fields[field])
+      .map(field => ({ [field]: fields[field] }));
+    if (unique.length === 0) return null;
+    return fromUser(await getPrisma().user.findFirst({ where: { OR: unique } }));
+  },
+
+  list: async (filter) =>
+    (await getPrisma().user.findMany({
+      where: toWhere(filter),
+      orderBy: { createdAt: 'asc' }
+    })).map(fromUser),
+
+  create: async (data) =>
+    fromUser(await getPrisma().user.create({ data: { id: newId(), ...toUserData(data) } })),
+
+  update: async (id, patch) =>
+    fromUser(await orNull(getPrisma().user.update({
+      where: { id: toId(id) },
+      data: toUserData(patch)
+    }))),
+
+  delete: async (id) => {
+    await getPrisma().user.deleteMany({ where: { id: toId(id) } });
+  }
+};
@@ -0,0 +1,305 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deactivatePolicy,
+  getHolidays,
+  createHoliday,
+  deleteHoliday
+} = require('../controllers/slaController');
+const { runEscalations, getEscalations } = require('../controllers/escalationController');
+const { getAuditLogs } = require('../controllers/auditController');
+const { rollupPerformance } = require('../controllers/performanceController');
+const {
+  createProvince,
+  renameProvince,
+  deleteProvince,
+  createDistrict,
+  renameDistrict,
+  deleteDistrict,
+  createSector,
+  renameSector,
+  deleteSector,
+  getDepartments,
+  createDepartment,
+  updateDepartment
+} = require('../controllers/geographyController');
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  createSubcategory,
+  updateSubcategory,
+  reorderSubcategories,
+  setCategoryInstitutions,
+  setSubcategoryInstitutions
+} = require('../controllers/categoryController');
+const {
+  getInstitutions,
+  createInstitution,
+  updateInstitution,
+  deleteInstitution,
+  createUser,
+  getComplaints,
+  getPerformance
+} = require('../controllers/adminController');
+const { verifyJWT, roleGuard } = require('../middlewares/authMiddleware');
+const { ROLES } = require('../utils/roles');
+const { AUDIT_ACTIONS } = require('../utils/audit');
+const { listQueryValidation } = require('../utils/complaintQuery');
+const { checkFieldDefinitions } = require('../utils/formFields');
+const { TIMEFRAMES } = require('../utils/performance');
+
+const router = express.Router();
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+const PHONE_PATTERN = /^\+?[0-9]{10,15}$/;
+const CODE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+const institutionValidation = [
+  body('name').trim().notEmpty().withMessage('Institution name is required'),
+  body('email').isEmail().withMessage('A valid email is required').normalizeEmail(),
+  body('phone').optional().matches(PHONE_PATTERN).withMessage('Invalid phone number'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('provinceId').optional().isMongoId().withMessage('Invalid province id'),
+  body('districtId').optional().isMongoId().withMessage('Invalid district id'),
+  body('categories').optional().isArray().withMessage('categories must be an array'),
+  body('subcategories').optional().isArray().withMessage('subcategories must be an array')
+];
+
+const institutionUpdateValidation = [
+  param('id').isMongoId().withMessage('Invalid institution id'),
+  body('name').optional().trim().notEmpty().withMessage('Institution name cannot be empty'),
+  body('email').optional().isEmail().withMessage('A valid email is required').normalizeEmail(),
+  body('phone').optional().matches(PHONE_PATTERN).withMessage('Invalid phone number'),
+  body('provinceId').optional({ values: 'null' }).isMongoId().withMessage('Invalid province id'),
+  body('districtId').optional({ values: 'null' }).isMongoId().withMessage('Invalid district id'),
+  body('categories').optional().isArray().withMessage('categories must be an array'),
+  body('subcategories').optional().isArray().withMessage('subcategories must be an array')
+];
+
+const institutionIdValidation = [
+  param('id').isMongoId().withMessage('Invalid institution id')
+];
+
+const userValidation = [
+  body('role').isIn([ROLES.DISTRICT, ROLES.ADMIN]).withMessage('role must be DISTRICT or ADMIN'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('A valid email is required').normalizeEmail(),
+  body('phone').optional().matches(PHONE_PATTERN).withMessage('Invalid phone number'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('departmentId').if(body('role').equals(ROLES.DISTRICT))
+    .isMongoId().withMessage('A valid departmentId is required for DISTRICT accounts')
+];
+
+const policyListValidation = [
+  query('category').optional().isString().withMessage('category must be a string')
+    .trim().notEmpty().withMessage('category cannot be empty'),
+  query('includeHistory').optional().isBoolean().withMessage('includeHistory must be true or false')
+];
+
+const policyIdValidation = [
+  param('id').isMongoId().withMessage('Invalid policy id')
+];
+
+const policyValidation = [
+  body('category').trim().notEmpty().withMessage('Category is required'),
+  body('subcategory').optional({ values: 'null' }).trim().notEmpty().withMessage('Subcategory cannot be empty'),
+  body('priority').optional({ values: 'null' }).isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('businessDays').isInt({ min: 1, max: 365 }).withMessage('businessDays must be between 1 and 365').toInt()
+];
+
+const policyUpdateValidation = [
+  param('id').isMongoId().withMessage('Invalid policy id'),
+  body('businessDays').isInt({ min: 1, max: 365 }).withMessage('businessDays must be between 1 and 365').toInt()
+];
+
+const holidayListValidation = [
+  query('year').optional().isInt({ min: 1970, max: 2100 }).withMessage('year must be between 1970 and 2100')
+];
+
+const holidayIdValidation = [
+  param('id').isMongoId().withMessage('Invalid holiday id')
+];
+
+const holidayValidation = [
+  body('name').trim().notEmpty().withMessage('Holiday name is required'),
+  body('date').isISO8601().withMessage('date must be a valid date'),
+  body('recurring').optional().isBoolean().withMessage('recurring must be true or false').toBoolean()
+];
+
+const locationIdValidation = [
+  param('id').isMongoId().withMessage('Invalid id')
+];
+
+const locationNameValidation = [
+  ...locationIdValidation,
+  body('name').trim().notEmpty().withMessage('Name is required')
+];
+
+const provinceValidation = [
+  body('name').trim().notEmpty().withMessage('Province name is required')
+];
+
+const districtValidation = [
+  body('provinceId').isMongoId().withMessage('A valid provinceId is required'),
+  body('name').trim().notEmpty().withMessage('District name is required')
+];
+
+const sectorValidation = [
+  body('districtId').isMongoId().withMessage('A valid districtId is required'),
+  body('name').trim().notEmpty().withMessage('Sector name is required')
+];
+
+const departmentListValidation = [
+  query('districtId').optional().isMongoId().withMessage('Invalid district id')
+];
+
+const departmentValidation = [
+  body('name').trim().notEmpty().withMessage('Department name is required'),
+  body('email').isEmail().withMessage('A valid email is required').normalizeEmail(),
+  body('phone').optional().matches(PHONE_PATTERN).withMessage('Invalid phone number'),
+  body('provinceId').optional().isMongoId().withMessage('Invalid province id'),
+  body('districtId').isMongoId().withMessage('A valid districtId is required')
+];
+
+const departmentUpdateValidation = [
+  param('id').isMongoId().withMessage('Invalid department id'),
+  body('name').optional().trim().notEmpty().withMessage('Department name cannot be empty'),
+  body('email').optional().isEmail().withMessage('A valid email is required').normalizeEmail(),
+  body('phone').optional().matches(PHONE_PATTERN).withMessage('Invalid phone number'),
+  body('provinceId').optional().isMongoId().withMessage('Invalid province id'),
+  body('districtId').optional().isMongoId().withMessage('Invalid district id')
+];
+
+const formFieldsValidation = body('fields').optional()
+  .isArray().withMessage('fields must be an array').bail()
+  .custom((fields) => {
+    const error = checkFieldDefinitions(fields);
+    if (error) throw new Error(error);
+    return true;
+  });
+
+const categoryValidation = [
+  body('code').trim().toUpperCase().matches(CODE_PATTERN)
+    .withMessage('code must be letters, digits and underscores, starting with a letter'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('description').optional().trim(),
+  formFieldsValidation
+];
+
+const categoryUpdateValidation = [
+  param('id').isMongoId().withMessage('Invalid id'),
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('description').optional().trim(),
+  body('active').optional().isBoolean({ strict: true }).withMessage('active must be true or false'),
+  formFieldsValidation
+];
+
+const subcategoryValidation = [
+  param('id').isMongoId().withMessage('Invalid category id'),
+  ...categoryValidation
+];
+
+const reorderValidation = [
+  body('ids').isArray({ min: 1 }).withMessage('ids must be a non-empty array'),
+  body('ids.*').isMongoId().withMessage('Invalid id')
+];
+
+const subcategoryReorderValidation = [
+  param('id').isMongoId().withMessage('Invalid category id'),
+  ...reorderValidation
+];
+
+const institutionLinkValidation = [
+  param('id').isMongoId().withMessage('Invalid id'),
+  body('institutionIds').isArray().withMessage('institutionIds must be an array'),
+  body('institutionIds.*').isMongoId().withMessage('Invalid institution id')
+];
+
+const escalationListValidation = [
+  query('complaintId').optional().isMongoId().withMessage('Invalid complaint id')
+];
+
+const performanceValidation = [
+  query('timeframe').optional().isIn(TIMEFRAMES).withMessage(`timeframe must be one of ${TIMEFRAMES.join(', ')}`)
+];
+
+const rollupValidation = [
+  body('from').optional().isISO8601().withMessage('from must be a valid date').toDate()
+];
+
+const auditLogValidation = [
+  query('actorId').optional().isMongoId().withMessage('Invalid actor id'),
+  query('entity').optional().trim().notEmpty().withMessage('entity cannot be empty'),
+  query('entityId').optional().trim().notEmpty().withMessage('entityId cannot be empty'),
+  query('action').optional().isIn(Object.values(AUDIT_ACTIONS)).withMessage('Unknown action'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be a valid date').toDate(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt()
+];
+
+router.use(verifyJWT, roleGuard([ROLES.ADMIN]));
+
+// Accounts
+router.get('/institutions', getInstitutions);
+router.post('/institutions', institutionValidation, createInstitution);
+router.put('/institutions/:id', institutionUpdateValidation, updateInstitution);
+router.delete('/institutions/:id', institutionIdValidation, deleteInstitution);
+router.post('/users', userValidation, createUser);
+
+// Administrative geography (the lists are public, under /api/geography)
+router.post('/provinces', provinceValidation, createProvince);
+router.put('/provinces/:id', locationNameValidation, renameProvince);
+router.delete('/provinces/:id', locationIdValidation, deleteProvince);
+router.post('/districts', districtValidation, createDistrict);
+router.put('/districts/:id', locationNameValidation, renameDistrict);
+router.delete('/districts/:id', locationIdValidation, deleteDistrict);
+router.post('/sectors', sectorValidation, createSector);
+router.put('/sectors/:id', locationNameValidation, renameSector);
+router.delete('/sectors/:id', locationIdValidation, deleteSector);
+
+// District departments
+router.get('/departments', departmentListValidation, getDepartments);
+router.post('/departments', departmentValidation, createDepartment);
+router.put('/departments/:id', departmentUpdateValidation, updateDepartment);
+
+// Complaint category catalogue (active entries are public under /api/categories)
+router.get('/categories', getCategories);
+router.post('/categories', categoryValidation, createCategory);
+router.put('/categories/order', reorderValidation, reorderCategories);
+router.put('/categories/:id', categoryUpdateValidation, updateCategory);
+router.put('/categories/:id/institutions', institutionLinkValidation, setCategoryInstitutions);
+router.post('/categories/:id/subcategories', subcategoryValidation, createSubcategory);
+router.put('/categories/:id/subcategories/order', subcategoryReorderValidation, reorderSubcategories);
+router.put('/subcategories/:id', categoryUpdateValidation, updateSubcategory);
+router.put('/subcategories/:id/institutions', institutionLinkValidation, setSubcategoryInstitutions);
+
+// Complaints and performance
+router.get('/complaints', listQueryValidation, getComplaints);
+router.get('/performance', performanceValidation, getPerformance);
+router.post('/performance/rollup', rollupValidation, rollupPerformance);
+
+// SLA policies
+router.get('/sla-policies', policyListValidation, getPolicies);
+router.post('/sla-policies', policyValidation, createPolicy);
+router.put('/sla-policies/:id', policyUpdateValidation, updatePolicy);
+router.delete('/sla-policies/:id', policyIdValidation, deactivatePolicy);
+
+// Public holiday calendar
+router.get('/holidays', holidayListValidation, getHolidays);
+router.post('/holidays', holidayValidation, createHoliday);
+router.delete('/holidays/:id', holidayIdValidation, deleteHoliday);
+
+// Overdue complaint escalation
+router.get('/escalations', escalationListValidation, getEscalations);
+router.post('/escalations/run', runEscalations);
+
+// Audit trail
+router.get('/audit-logs', auditLogValidation, getAuditLogs);
+
+module.exports = router;
@@ -1,5 +1,18 @@
 const express = require('express');
-const { register, login, getProfile } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getProfile,
+  requestVerification,
+  confirmVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refresh,
+  logout,
+  getSessions,
+  revokeOwnSession
+} = require('../controllers/authController');
 const { verifyJWT } = require('../middlewares/authMiddleware');
 const rateLimit = require('express-rate-limit');
 
@@ -13,6 +26,15 @@ const router = express.Router();
 
 router.post('/register', authLimiter, register);
 router.post('/login', authLimiter, login);
+router.post('/refresh', authLimiter, refresh);
+router.post('/logout', verifyJWT, logout);
+router.get('/sessions', verifyJWT, getSessions);
+router.delete('/sessions/:id', verifyJWT, revokeOwnSession);
 router.get('/profile', verifyJWT, getProfile);
+router.post('/verification/request', authLimiter, verifyJWT, requestVerification);
+router.post('/verification/confirm', authLimiter, verifyJWT, confirmVerification);
+router.post('/password/forgot', authLimiter, forgotPassword);
+router.post('/password/reset', authLimiter, resetPassword);
+router.post('/password/change', authLimiter, verifyJWT, changePassword);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const { getCatalogue } = require('../controllers/categoryController');
+
+const router = express.Router();
+
+// Public: the citizen app builds its submission form from this. Changes go
+// through /api/admin.
+router.get('/', getCatalogue);
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  submitComplaint,
+  getComplaintByTracking,
+  getComplaint,
+  getMyComplaints,
+  getInstitutionComplaints,
+  updateComplaintDeadline,
+  updateComplaintStatus,
+  forwardComplaint,
+  getForwardingHistory,
+  getComplaintTimeline,
+  rateComplaint,
+  reopenComplaint
+} = require('../controllers/complaintController');
+const {
+  authorizeUpload,
+  uploadAttachments,
+  getAttachments,
+  downloadAttachment
+} = require('../controllers/attachmentController');
+const {
+  getMessages,
+  postMessage,
+  markMessagesRead,
+  downloadMessageAttachment
+} = require('../controllers/messageController');
+const { verifyJWT, roleGuard, requireVerifiedContact } = require('../middlewares/authMiddleware');
+const { uploadFiles } = require('../middlewares/uploadMiddleware');
+const rateLimit = require('express-rate-limit');
+const { STATUSES } = require('../utils/complaintLifecycle');
+const { isValidTrackingNumber } = require('../utils/trackingNumber');
+const { listQueryValidation } = require('../utils/complaintQuery');
+
+// Public lookups are unauthenticated, so cap them per IP against enumeration
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: Number(process.env.TRACKING_RATE_LIMIT) || 30,
+  message: 'Too many tracking lookups, please try again later.',
+});
+
+const router = express.Router();
+
+// Validation chains — results are read by validationResult(req) in the handlers
+const submitValidation = [
+  body('title').trim().notEmpty().withMessage('Title is required')
+    .isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('category').trim().notEmpty().withMessage('Category is required'),
+  body('subcategory').optional().trim().notEmpty().withMessage('Subcategory cannot be empty'),
+  body('priority').optional().isIn(['LOW', 'MEDIUM', 'HIGH', 'URGENT']).withMessage('Invalid priority'),
+  body('provinceId').optional().isMongoId().withMessage('Invalid province id'),
+  body('districtId').isMongoId().withMessage('A valid districtId is required'),
+  body('sectorId').optional().isMongoId().withMessage('Invalid sector id'),
+  // Checked against the category's form fields in the handler
+  body('details').optional().isObject().withMessage('details must be an object')
+];
+
+// The check digit rejects most guesses without a database lookup
+const trackingValidation = [
+  param('trackingNumber').custom(isValidTrackingNumber).withMessage('Invalid tracking number')
+];
+
+const institutionListValidation = [
+  ...listQueryValidation,
+  query('deadlineApproaching').optional().isBoolean().withMessage('deadlineApproaching must be true or false'),
+  query('sortBy').optional().isIn(['deadline', 'oldest', 'newest']).withMessage('Invalid sort option')
+];
+
+const deadlineValidation = [
+  param('id').isMongoId().withMessage('Invalid complaint id'),
+  body('newDeadline').isISO8601().withMessage('newDeadline must be a valid date')
+];
+
+const statusValidation = [
+  param('complaintId').isMongoId().withMessage('Invalid complaint id'),
+  body('status').isIn(STATUSES).withMessage('Invalid status'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+  body('resolutionDeadline').optional().isISO8601().withMessage('resolutionDeadline must be a valid date')
+];
+
+const forwardValidation = [
+  param('complaintId').isMongoId().withMessage('Invalid complaint id'),
+  body('departmentId').isMongoId().withMessage('A valid departmentId is required'),
+  body('forwardingNote').optional().trim().isLength({ max: 1000 }).withMessage('Forwarding note must be at most 1000 characters')
+];
+
+const ratingValidation = [
+  param('complaintId').isMongoId().withMessage('Invalid complaint id'),
+  body('score').isInt({ min: 1, max: 5 }).withMessage('score must be a whole number from 1 to 5').toInt(),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters')
+];
+
+const reopenValidation = [
+  param('complaintId').isMongoId().withMessage('Invalid complaint id'),
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+    .isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+];
+
+const complaintIdValidation = [
+  param('complaintId').isMongoId().withMessage('Invalid complaint id')
+];
+
+// Multipart bodies are parsed by uploadFiles, so this runs after it
+const messageValidation = [
+  body('body').trim().notEmpty().withMessage('Message body is required')
+    .isLength({ max: 5000 }).withMessage('Message must be at most 5000 characters')
+];
+
+const attachmentValidation = [
+  param('complaintId').isMongoId().withMessage('Invalid complaint id'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment id')
+];
+
+const messageAttachmentValidation = [
+  param('complaintId').isMongoId().withMessage('Invalid complaint id'),
+  param('messageId').isMongoId().withMessage('Invalid message id'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment id')
+];
+
+router.get('/track/:trackingNumber', trackingLimiter, trackingValidation, getComplaintByTracking);
+
+router.use(verifyJWT);
+
+router.post('/', roleGuard(['CITIZEN']), requireVerifiedContact, submitValidation, submitComplaint);
+router.get('/mine', roleGuard(['CITIZEN', 'INSTITUTION']), listQueryValidation, getMyComplaints);
+router.get('/institution', roleGuard(['INSTITUTION']), institutionListValidation, getInstitutionComplaints);
+router.patch('/:id/deadline', roleGuard(['INSTITUTION']), deadlineValidation, updateComplaintDeadline);
+router.patch('/:complaintId/status', roleGuard(['INSTITUTION', 'CITIZEN', 'ADMIN']), statusValidation, updateComplaintStatus);
+router.post('/:complaintId/rating', roleGuard(['CITIZEN']), ratingValidation, rateComplaint);
+router.post('/:complaintId/reopen', roleGuard(['CITIZEN', 'ADMIN']), reopenValidation, reopenComplaint);
+router.get('/:complaintId', roleGuard(['CITIZEN', 'INSTITUTION', 'ADMIN']), complaintIdValidation, getComplaint);
+router.get('/:complaintId/timeline', roleGuard(['CITIZEN', 'INSTITUTION', 'ADMIN']), complaintIdValidation, getComplaintTimeline);
+router.post('/:complaintId/attachments', roleGuard(['CITIZEN', 'INSTITUTION']), complaintIdValidation, authorizeUpload, uploadFiles('files'), uploadAttachments);
+router.get('/:complaintId/attachments', roleGuard(['CITIZEN', 'INSTITUTION', 'ADMIN']), complaintIdValidation, getAttachments);
+router.get('/:complaintId/attachments/:attachmentId', roleGuard(['CITIZEN', 'INSTITUTION', 'ADMIN']), attachmentValidation, downloadAttachment);
+router.post('/:complaintId/forward', roleGuard(['INSTITUTION']), forwardValidation, forwardComplaint);
+router.get('/:complaintId/forwarding-history', roleGuard(['CITIZEN', 'INSTITUTION']), complaintIdValidation, getForwardingHistory);
+
+// Internal institution–district thread (no citizen access)
+router.get('/:complaintId/messages', roleGuard(['INSTITUTION', 'DISTRICT', 'ADMIN']), complaintIdValidation, getMessages);
+router.post('/:complaintId/messages', roleGuard(['INSTITUTION', 'DISTRICT']), complaintIdValidation, uploadFiles('files'), messageValidation, postMessage);
+router.post('/:complaintId/messages/read', roleGuard(['INSTITUTION', 'DISTRICT']), complaintIdValidation, markMessagesRead);
+router.get('/:complaintId/messages/:messageId/attachments/:attachmentId', roleGuard(['INSTITUTION', 'DISTRICT', 'ADMIN']), messageAttachmentValidation, downloadMessageAttachment);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getQueue,
+  getDistrictComplaint,
+  acknowledgeComplaint,
+  setInternalDeadline,
+  assignStaff,
+  addInternalNote,
+  completeComplaint,
+  getStaff
+} = require('../controllers/districtController');
+const { verifyJWT, roleGuard } = require('../middlewares/authMiddleware');
+const { DISTRICT_STATUSES } = require('../utils/districtLifecycle');
+const { ROLES } = require('../utils/roles');
+
+const router = express.Router();
+
+const complaintIdValidation = [
+  param('complaintId').isMongoId().withMessage('Invalid complaint id')
+];
+
+const queueValidation = [
+  query('status').optional().isIn(DISTRICT_STATUSES).withMessage('Invalid status filter'),
+  query('assignedToMe').optional().isBoolean().withMessage('assignedToMe must be true or false'),
+  query('sortBy').optional().isIn(['deadline', 'oldest', 'newest']).withMessage('Invalid sort option')
+];
+
+const acknowledgeValidation = [
+  ...complaintIdValidation,
+  body('internalDeadline').optional().isISO8601().withMessage('internalDeadline must be a valid date').toDate()
+];
+
+const internalDeadlineValidation = [
+  ...complaintIdValidation,
+  body('internalDeadline').isISO8601().withMessage('internalDeadline must be a valid date').toDate()
+];
+
+const assignValidation = [
+  ...complaintIdValidation,
+  body('staffId').isMongoId().withMessage('A valid staffId is required')
+];
+
+const noteValidation = [
+  ...complaintIdValidation,
+  body('note').trim().notEmpty().withMessage('Note is required')
+    .isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters')
+];
+
+const completeValidation = [
+  ...complaintIdValidation,
+  body('report').trim().notEmpty().withMessage('A completion report is required')
+    .isLength({ max: 5000 }).withMessage('Report must be at most 5000 characters')
+];
+
+router.use(verifyJWT, roleGuard([ROLES.DISTRICT]));
+
+router.get('/staff', getStaff);
+router.get('/complaints', queueValidation, getQueue);
+router.get('/complaints/:complaintId', complaintIdValidation, getDistrictComplaint);
+router.post('/complaints/:complaintId/acknowledge', acknowledgeValidation, acknowledgeComplaint);
+router.patch('/complaints/:complaintId/internal-deadline', internalDeadlineValidation, setInternalDeadline);
+router.patch('/complaints/:complaintId/assignee', assignValidation, assignStaff);
+router.post('/complaints/:complaintId/notes', noteValidation, addInternalNote);
+router.post('/complaints/:complaintId/complete', completeValidation, completeComplaint);
+
+module.exports = router;
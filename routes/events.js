@@ -0,0 +1,11 @@
+const express = require('express');
+const { streamEvents } = require('../controllers/eventController');
+const { verifyJWT } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Authenticated like every other endpoint (Authorization: Bearer), so browsers
+// need a fetch-based EventSource client rather than the native one
+router.get('/', verifyJWT, streamEvents);
+
+module.exports = router;
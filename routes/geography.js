@@ -0,0 +1,25 @@
+const express = require('express');
+const { query } = require('express-validator');
+const {
+  getProvinces,
+  getDistricts,
+  getSectors
+} = require('../controllers/geographyController');
+
+const router = express.Router();
+
+// Public reference data: clients pick the location ids complaints are filed
+// against from these lists. Changes go through /api/admin.
+const districtListValidation = [
+  query('provinceId').optional().isMongoId().withMessage('Invalid province id')
+];
+
+const sectorListValidation = [
+  query('districtId').optional().isMongoId().withMessage('Invalid district id')
+];
+
+router.get('/provinces', getProvinces);
+router.get('/districts', districtListValidation, getDistricts);
+router.get('/sectors', sectorListValidation, getSectors);
+
+module.exports = router;
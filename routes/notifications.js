@@ -0,0 +1,40 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notificationController');
+const { verifyJWT } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+const listValidation = [
+  query('unread').optional().isBoolean().withMessage('unread must be true or false').toBoolean(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt()
+];
+
+const notificationIdValidation = [
+  param('id').isMongoId().withMessage('Invalid notification id')
+];
+
+const preferencesValidation = [
+  body('inApp').optional().isBoolean({ strict: true }).withMessage('inApp must be true or false'),
+  body('email').optional().isBoolean({ strict: true }).withMessage('email must be true or false'),
+  body('sms').optional().isBoolean({ strict: true }).withMessage('sms must be true or false')
+];
+
+router.use(verifyJWT);
+
+router.get('/', listValidation, getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.post('/read-all', markAllNotificationsRead);
+router.get('/preferences', getPreferences);
+router.put('/preferences', preferencesValidation, updatePreferences);
+router.patch('/:id/read', notificationIdValidation, markNotificationRead);
+
+module.exports = router;
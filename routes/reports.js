@@ -0,0 +1,45 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { exportComplaints, exportPerformance } = require('../controllers/reportController');
+const { getPerformanceTrends } = require('../controllers/performanceController');
+const { verifyJWT, roleGuard } = require('../middlewares/authMiddleware');
+const { listQueryValidation } = require('../utils/complaintQuery');
+const { TIMEFRAMES } = require('../utils/performance');
+const { SNAPSHOT_PERIODS, SNAPSHOT_DIMENSIONS } = require('../utils/performancePeriods');
+const { EXPORT_FORMATS } = require('../utils/reportExport');
+const { ROLES } = require('../utils/roles');
+
+const router = express.Router();
+
+const formatValidation = [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`format must be one of ${EXPORT_FORMATS.join(', ')}`)
+];
+
+// Same filters as GET /api/admin/complaints
+const complaintExportValidation = [
+  ...formatValidation,
+  ...listQueryValidation
+];
+
+const performanceExportValidation = [
+  ...formatValidation,
+  query('timeframe').optional().isIn(TIMEFRAMES).withMessage(`timeframe must be one of ${TIMEFRAMES.join(', ')}`)
+];
+
+// `to` is exclusive: periods starting before it
+const trendValidation = [
+  query('period').optional().isIn(SNAPSHOT_PERIODS).withMessage(`period must be one of ${SNAPSHOT_PERIODS.join(', ')}`),
+  query('dimension').optional().isIn(SNAPSHOT_DIMENSIONS).withMessage(`dimension must be one of ${SNAPSHOT_DIMENSIONS.join(', ')}`),
+  query('key').optional().trim().notEmpty().withMessage('key cannot be empty'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be a valid date').toDate()
+];
+
+// Institutions export and chart their own data only
+router.use(verifyJWT, roleGuard([ROLES.ADMIN, ROLES.INSTITUTION]));
+
+router.get('/complaints', complaintExportValidation, exportComplaints);
+router.get('/performance', performanceExportValidation, exportPerformance);
+router.get('/performance/trends', trendValidation, getPerformanceTrends);
+
+module.exports = router;
@@ -0,0 +1,275 @@
+// Copy geography, the category catalogue, users, district departments,
+// complaints (with their status history), forwarding records, district
+// department tasks (with internal notes), institution–district messages (with
+// read receipts), in-app notifications, complaint performance records, the
+// audit log and counters from MongoDB into PostgreSQL, keeping every record's
+// id. Safe to re-run: records are upserted, so a second run picks up anything
+// created since the first. Performance snapshots aren't copied; the rollup
+// rebuilds them. Run `npx prisma migrate deploy` first.
+//
+// Usage: npm run migrate:postgres
+//        npm run migrate:postgres -- --dry-run
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const id = (value) => (value ? value.toString() : null);
+
+// Plain JSON for Json columns (ObjectIds become hex strings)
+const json = (value) => (value ? JSON.parse(JSON.stringify(value)) : undefined);
+
+const pick = (doc, fields) =>
+  Object.fromEntries(fields.filter(f => doc[f] !== undefined).map(f => [f, doc[f]]));
+
+// Collection → Prisma model, in foreign-key order
+const STEPS = [
+  {
+    collection: 'provinces',
+    model: 'province',
+    toData: (doc) => pick(doc, ['name', 'createdAt', 'updatedAt'])
+  },
+  {
+    collection: 'districts',
+    model: 'district',
+    toData: (doc) => ({
+      ...pick(doc, ['name', 'createdAt', 'updatedAt']),
+      provinceId: id(doc.provinceId)
+    })
+  },
+  {
+    collection: 'sectors',
+    model: 'sector',
+    toData: (doc) => ({
+      ...pick(doc, ['name', 'createdAt', 'updatedAt']),
+      districtId: id(doc.districtId)
+    })
+  },
+  {
+    collection: 'categories',
+    model: 'category',
+    toData: (doc) => ({
+      ...pick(doc, ['code', 'name', 'description', 'active', 'position', 'createdAt', 'updatedAt']),
+      fields: json(doc.fields)
+    })
+  },
+  {
+    collection: 'subcategories',
+    model: 'subcategory',
+    toData: (doc) => ({
+      ...pick(doc, ['code', 'name', 'description', 'active', 'position', 'createdAt', 'updatedAt']),
+      categoryId: id(doc.categoryId),
+      fields: json(doc.fields)
+    })
+  },
+  {
+    collection: 'districtdepartments',
+    model: 'districtDepartment',
+    toData: (doc) => ({
+      ...pick(doc, ['name', 'province', 'district', 'email', 'phone', 'createdAt', 'updatedAt']),
+      provinceId: id(doc.provinceId),
+      districtId: id(doc.districtId)
+    })
+  },
+  {
+    collection: 'users',
+    model: 'user',
+    toData: (doc) => ({
+      ...pick(doc, [
+        'name', 'email', 'passwordHash', 'role', 'NIN', 'phone', 'isPhoneVerified',
+        'isEmailVerified', 'passwordChangedAt', 'province', 'district', 'categories',
+        'subcategories', 'createdAt', 'updatedAt'
+      ]),
+      institutionId: id(doc.institutionId),
+      provinceId: id(doc.provinceId),
+      districtId: id(doc.districtId),
+      departmentId: id(doc.departmentId),
+      notificationPreferences: json(doc.notificationPreferences)
+    })
+  },
+  {
+    collection: 'complaints',
+    model: 'complaint',
+    toData: (doc) => ({
+      ...pick(doc, [
+        'trackingNumber', 'title', 'description', 'category', 'subcategory', 'priority',
+        'province', 'district', 'status', 'submissionDate', 'resolutionDeadline',
+        'resolutionDate', 'escalationLevel', 'ratingScore', 'ratingComment', 'ratedAt',
+        'reopenCount', 'createdAt', 'updatedAt'
+      ]),
+      citizenId: id(doc.citizenId),
+      institutionId: id(doc.institutionId),
+      provinceId: id(doc.provinceId),
+      districtId: id(doc.districtId),
+      sectorId: id(doc.sectorId),
+      assignedDepartmentId: id(doc.assignedDepartment),
+      routing: json(doc.routing),
+      sla: json(doc.sla),
+      details: json(doc.details)
+    }),
+    // Status history is replaced wholesale so re-runs don't duplicate it
+    after: async (doc) => {
+      await prisma.complaintStatusChange.deleteMany({ where: { complaintId: id(doc._id) } });
+      await prisma.complaintStatusChange.createMany({
+        data: (doc.statusHistory || []).map(entry => ({
+          complaintId: id(doc._id),
+          from: entry.from || null,
+          to: entry.to,
+          changedBy: id(entry.changedBy),
+          role: entry.role,
+          note: entry.note,
+          changedAt: entry.changedAt
+        }))
+      });
+    }
+  },
+  {
+    collection: 'forwardingrecords',
+    model: 'forwardingRecord',
+    toData: (doc) => ({
+      ...pick(doc, ['forwardingNote', 'forwardedAt']),
+      complaintId: id(doc.complaintId),
+      fromInstitutionId: id(doc.fromInstitutionId),
+      toDepartmentId: id(doc.toDepartmentId)
+    })
+  },
+  {
+    collection: 'complaintperformances',
+    model: 'complaintPerformance',
+    toData: (doc) => ({
+      ...pick(doc, [
+        'province', 'district', 'category', 'submissionDate', 'resolutionDeadline',
+        'resolvedAt', 'resolvedBeforeDeadline', 'resolutionTime', 'reopenCount',
+        'reopenedAt', 'ratingScore', 'ratedAt'
+      ]),
+      complaintId: id(doc.complaintId),
+      institutionId: id(doc.institutionId)
+    })
+  },
+  {
+    collection: 'districtcomplaints',
+    model: 'districtComplaint',
+    toData: (doc) => ({
+      ...pick(doc, [
+        'status', 'acknowledged', 'acknowledgedAt', 'internalDeadline',
+        'completionReport', 'completedAt', 'createdAt', 'updatedAt'
+      ]),
+      complaintId: id(doc.complaintId),
+      districtDepartmentId: id(doc.departmentId),
+      forwardingRecordId: id(doc.forwardingRecordId),
+      assignedStaffId: id(doc.assignedStaffId),
+      completedBy: id(doc.completedBy)
+    }),
+    after: async (doc) => {
+      await prisma.districtComplaintNote.deleteMany({ where: { districtComplaintId: id(doc._id) } });
+      await prisma.districtComplaintNote.createMany({
+        data: (doc.internalNotes || []).map(note => ({
+          districtComplaintId: id(doc._id),
+          authorId: id(note.authorId),
+          note: note.note,
+          createdAt: note.createdAt
+        }))
+      });
+    }
+  },
+  {
+    collection: 'institutiondistrictmessages',
+    model: 'institutionDistrictMessage',
+    toData: (doc) => ({
+      ...pick(doc, ['senderRole', 'body', 'sentAt']),
+      complaintId: id(doc.complaintId),
+      departmentId: id(doc.departmentId),
+      senderId: id(doc.senderId),
+      attachments: (doc.attachments || []).map(id)
+    }),
+    after: async (doc) => {
+      await prisma.messageReadReceipt.createMany({
+        data: (doc.readBy || []).map(receipt => ({
+          messageId: id(doc._id),
+          userId: id(receipt.userId),
+          readAt: receipt.readAt
+        })),
+        skipDuplicates: true
+      });
+    }
+  },
+  {
+    collection: 'notifications',
+    model: 'notification',
+    toData: (doc) => ({
+      ...pick(doc, ['event', 'subject', 'message', 'readAt', 'sentAt']),
+      userId: id(doc.userId),
+      complaintId: id(doc.complaintId)
+    })
+  },
+  {
+    collection: 'auditlogs',
+    model: 'auditLog',
+    toData: (doc) => ({
+      ...pick(doc, ['actorRole', 'action', 'entity', 'entityId', 'timestamp']),
+      userId: id(doc.userId),
+      changes: json(doc.changes),
+      metadata: json(doc.metadata),
+      details: json(doc.details)
+    })
+  },
+  {
+    // Tracking number sequences must carry on where MongoDB left off
+    collection: 'counters',
+    model: 'counter',
+    idField: 'key',
+    toData: (doc) => pick(doc, ['value'])
+  }
+];
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let failed = 0;
+  for (const { collection, model, idField = 'id', toData, after } of STEPS) {
+    const cursor = mongoose.connection.collection(collection).find();
+
+    let copied = 0;
+    for await (const doc of cursor) {
+      if (dryRun) {
+        copied++;
+        continue;
+      }
+
+      const data = toData(doc);
+      try {
+        await prisma[model].upsert({
+          where: { [idField]: id(doc._id) },
+          create: { [idField]: id(doc._id), ...data },
+          update: data
+        });
+        if (after) await after(doc);
+        copied++;
+      } catch (error) {
+        // e.g. a complaint whose citizen was deleted; report it and carry on
+        console.error(`${collection} ${doc._id}: ${error.message.split('\n').pop()}`);
+        failed++;
+      }
+    }
+
+    console.log(`${dryRun ? 'Would copy' : 'Copied'} ${copied} ${collection}`);
+  }
+
+  await mongoose.disconnect();
+  await prisma.$disconnect();
+
+  if (failed > 0) {
+    console.error(`❌ ${failed} record(s) could not be copied`);
+    process.exit(1);
+  }
+};
+
+run().catch(async (error) => {
+  console.error('❌ PostgreSQL migration failed:', error);
+  await prisma.$disconnect();
+  process.exit(1);
+});
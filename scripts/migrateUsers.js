@@ -0,0 +1,89 @@
+// One-off migration: normalize user documents created by the old
+// userController (lowercase roles, `password`, `fullName`/`institutionName`,
+// `nationalID`) to the unified identity model.
+//
+// Usage: npm run migrate:users            (apply)
+//        npm run migrate:users -- --dry-run
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+const ROLE_MAP = {
+  citizen: 'CITIZEN',
+  institution: 'INSTITUTION',
+  district: 'DISTRICT',
+  district_department: 'DISTRICT',
+  admin: 'ADMIN'
+};
+
+const normalize = (doc) => {
+  const $set = {};
+  const $unset = {};
+
+  if (ROLE_MAP[doc.role]) {
+    $set.role = ROLE_MAP[doc.role];
+  }
+
+  // bcrypt and bcryptjs hashes are interchangeable, so the hash is kept as is
+  if (doc.password !== undefined) {
+    if (!doc.passwordHash) $set.passwordHash = doc.password;
+    $unset.password = '';
+  }
+
+  const legacyName = doc.fullName || doc.institutionName;
+  if (legacyName && !doc.name) {
+    $set.name = legacyName;
+  }
+  if (doc.fullName !== undefined) $unset.fullName = '';
+  if (doc.institutionName !== undefined) $unset.institutionName = '';
+
+  if (doc.nationalID !== undefined) {
+    if (!doc.NIN) $set.NIN = doc.nationalID;
+    $unset.nationalID = '';
+  }
+
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  return Object.keys(update).length > 0 ? update : null;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const users = mongoose.connection.collection('users');
+
+  const cursor = users.find({
+    $or: [
+      { role: { $in: Object.keys(ROLE_MAP) } },
+      { password: { $exists: true } },
+      { fullName: { $exists: true } },
+      { institutionName: { $exists: true } },
+      { nationalID: { $exists: true } }
+    ]
+  });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    const update = normalize(doc);
+    if (!update) continue;
+
+    if (dryRun) {
+      // Field names only, so password hashes never reach the console
+      const fields = [...Object.keys(update.$set || {}), ...Object.keys(update.$unset || {})];
+      console.log(`${doc._id}: ${fields.join(', ')}`);
+    } else {
+      await users.updateOne({ _id: doc._id }, update);
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} user(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('❌ User migration failed:', error);
+  process.exit(1);
+});
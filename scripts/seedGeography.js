@@ -0,0 +1,67 @@
+// Seed Rwanda's provinces and districts, then link existing users, district
+// departments and complaints to them by name. Safe to re-run: locations that
+// already exist are kept, and records that already have ids are left alone.
+// Sectors are managed through the admin API.
+//
+// Usage: npm run seed:geography
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { geography } = require('../repositories');
+
+const RWANDA = {
+  'Kigali City': ['Gasabo', 'Kicukiro', 'Nyarugenge'],
+  'Northern Province': ['Burera', 'Gakenke', 'Gicumbi', 'Musanze', 'Rulindo'],
+  'Southern Province': [
+    'Gisagara', 'Huye', 'Kamonyi', 'Muhanga', 'Nyamagabe', 'Nyanza', 'Nyaruguru', 'Ruhango'
+  ],
+  'Eastern Province': [
+    'Bugesera', 'Gatsibo', 'Kayonza', 'Kirehe', 'Ngoma', 'Nyagatare', 'Rwamagana'
+  ],
+  'Western Province': [
+    'Karongi', 'Ngororero', 'Nyabihu', 'Nyamasheke', 'Rubavu', 'Rusizi', 'Rutsiro'
+  ]
+};
+
+const run = async () => {
+  // Sessions and other collections stay in MongoDB with either DATA_STORE
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let created = 0;
+  let linked = 0;
+
+  for (const [provinceName, districtNames] of Object.entries(RWANDA)) {
+    let province = await geography.findProvinceByName(provinceName);
+    if (!province) {
+      province = await geography.createProvince({ name: provinceName });
+      created++;
+    }
+    linked += await geography.assignLocationIds({ provinceId: province._id, province: province.name });
+
+    for (const districtName of districtNames) {
+      let district = await geography.findDistrictByName(province._id, districtName);
+      if (!district) {
+        district = await geography.createDistrict({ provinceId: province._id, name: districtName });
+        created++;
+      }
+      linked += await geography.assignLocationIds({
+        provinceId: province._id,
+        province: province.name,
+        districtId: district._id,
+        district: district.name
+      });
+    }
+  }
+
+  console.log(`Created ${created} location(s); linked ${linked} record(s) to their locations`);
+
+  if (process.env.DATA_STORE === 'postgres') {
+    await require('../repositories/prisma/client').getPrisma().$disconnect();
+  }
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('❌ Geography seed failed:', error);
+  process.exit(1);
+});
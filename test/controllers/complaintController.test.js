@@ -0,0 +1,142 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { users, complaints, notifications, audit, performance } = require('../../repositories');
+const SlaPolicy = require('../../models/SlaPolicy');
+const Holiday = require('../../models/Holiday');
+const { updateComplaintStatus, reopenComplaint } = require('../../controllers/complaintController');
+
+const newId = () => new mongoose.Types.ObjectId().toHexString();
+
+const institution = { _id: newId(), role: 'INSTITUTION' };
+// No email or phone, so notifications only go to the in-app inbox
+const citizen = { _id: newId(), role: 'CITIZEN', notificationPreferences: { inApp: true } };
+
+// In-memory stand-in for the complaints collection, honouring ifStatus
+let stored;
+let sent;
+let resolutions;
+
+const copy = () => ({ ...stored, statusHistory: [...stored.statusHistory] });
+
+const request = (body, user = institution) => ({
+  params: { complaintId: stored._id },
+  body,
+  user,
+  ip: '127.0.0.1',
+  method: 'PATCH',
+  originalUrl: `/api/complaints/${stored._id}`,
+  get: () => 'node-test'
+});
+
+const response = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const send = async (body) => {
+  const res = response();
+  await updateComplaintStatus(request(body), res);
+  return res;
+};
+
+const reopen = async () => {
+  const res = response();
+  await reopenComplaint(request({ reason: 'The pipe is leaking again' }, citizen), res);
+  return res;
+};
+
+beforeEach(() => {
+  stored = {
+    _id: newId(),
+    trackingNumber: 'CMP-2026-000042-5',
+    category: 'WATER',
+    status: 'IN_PROGRESS',
+    citizenId: citizen,
+    institutionId: institution,
+    submissionDate: new Date('2026-10-01T08:00:00Z'),
+    resolutionDeadline: new Date('2026-10-30T08:00:00Z'),
+    statusHistory: []
+  };
+  sent = [];
+  resolutions = [];
+
+  mock.method(complaints, 'findById', async () => copy());
+  mock.method(complaints, 'update', async (id, patch, { statusChange, ifStatus } = {}) => {
+    if (ifStatus && stored.status !== ifStatus) return null;
+    Object.assign(stored, patch);
+    if (statusChange) stored.statusHistory.push(statusChange);
+    return copy();
+  });
+  mock.method(notifications, 'create', async (data) => {
+    sent.push(data.event);
+    return { _id: newId(), ...data };
+  });
+  mock.method(users, 'findById', async () => citizen);
+  mock.method(SlaPolicy, 'find', async () => []);
+  mock.method(Holiday, 'find', async () => []);
+  mock.method(audit, 'create', async (entry) => entry);
+  mock.method(performance, 'recordResolution', async (record) => {
+    resolutions.push(record);
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('updateComplaintStatus', () => {
+  it('resolves a complaint, then notifies the citizen and records the resolution', async () => {
+    const res = await send({ status: 'RESOLVED' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(stored.status, 'RESOLVED');
+    assert.deepEqual(sent, ['RESOLVED']);
+    assert.equal(resolutions.length, 1);
+  });
+
+  it('resolves, notifies and records once when two resolutions race', async () => {
+    const results = await Promise.all([send({ status: 'RESOLVED' }), send({ status: 'RESOLVED' })]);
+
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 409]);
+    assert.equal(stored.statusHistory.length, 1);
+    assert.deepEqual(sent, ['RESOLVED']);
+    assert.equal(resolutions.length, 1);
+  });
+
+  it('does not notify when the status changed since it was read', async () => {
+    mock.method(complaints, 'findById', async () => {
+      const read = copy();
+      stored.status = 'FORWARDED';
+      return read;
+    });
+
+    const res = await send({ status: 'RESOLVED', resolutionDeadline: '2026-11-30T08:00:00Z' });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(stored.status, 'FORWARDED');
+    assert.deepEqual(sent, []);
+    assert.equal(resolutions.length, 0);
+  });
+});
+
+describe('reopenComplaint', () => {
+  beforeEach(() => {
+    Object.assign(stored, { status: 'RESOLVED', resolutionDate: new Date() });
+  });
+
+  it('reopens, counts and notifies once when two reopens race', async () => {
+    const results = await Promise.all([reopen(), reopen()]);
+
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 409]);
+    assert.equal(stored.reopenCount, 1);
+    assert.deepEqual(sent, ['COMPLAINT_REOPENED']);
+    assert.equal(resolutions.length, 1);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  users,
+  complaints,
+  geography,
+  messages,
+  notifications,
+  audit,
+  districtComplaints
+} = require('../../repositories');
+const { acknowledgeComplaint, completeComplaint } = require('../../controllers/districtController');
+const { AUDIT_ACTIONS } = require('../../utils/audit');
+
+const newId = () => new mongoose.Types.ObjectId().toHexString();
+
+const departmentId = newId();
+const staff = { _id: newId(), role: 'DISTRICT', departmentId };
+// No email or phone, so notifications only go to the in-app inbox
+const institution = { _id: newId(), role: 'INSTITUTION', notificationPreferences: { inApp: true } };
+
+// In-memory stand-in for the department's task, honouring ifStatus
+let task;
+let posted;
+let sent;
+let audited;
+
+const request = (body = {}) => ({
+  params: { complaintId: task.complaintId },
+  body,
+  user: staff,
+  ip: '127.0.0.1',
+  method: 'PATCH',
+  originalUrl: `/api/district/complaints/${task.complaintId}`,
+  get: () => 'node-test'
+});
+
+const response = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const call = async (handler, body) => {
+  const res = response();
+  await handler(request(body), res);
+  return res;
+};
+
+beforeEach(() => {
+  task = {
+    _id: newId(),
+    complaintId: newId(),
+    departmentId,
+    status: 'PENDING',
+    internalNotes: []
+  };
+  posted = [];
+  sent = [];
+  audited = [];
+
+  mock.method(districtComplaints, 'findOne', async () => ({ ...task }));
+  mock.method(districtComplaints, 'update', async (id, patch, { ifStatus } = {}) => {
+    if (ifStatus && task.status !== ifStatus) return null;
+    Object.assign(task, patch);
+    return { ...task };
+  });
+  mock.method(messages, 'create', async (data) => {
+    posted.push(data);
+    return { _id: newId(), ...data };
+  });
+  mock.method(complaints, 'findById', async (id) => ({
+    _id: id,
+    trackingNumber: 'CMP-2026-000042-5',
+    title: 'Broken water pipe',
+    institutionId: institution
+  }));
+  mock.method(geography, 'findDepartmentById', async () => ({ _id: departmentId, name: 'Water' }));
+  mock.method(notifications, 'create', async (data) => {
+    sent.push(data.event);
+    return { _id: newId(), ...data };
+  });
+  mock.method(users, 'findById', async () => institution);
+  mock.method(audit, 'create', async (entry) => {
+    audited.push(entry.action);
+    return entry;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('acknowledgeComplaint', () => {
+  it('acknowledges a pending complaint and audits it', async () => {
+    const res = await call(acknowledgeComplaint);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(task.status, 'ACKNOWLEDGED');
+    assert.deepEqual(audited, [AUDIT_ACTIONS.DISTRICT_TASK_ACKNOWLEDGED]);
+  });
+
+  it('acknowledges once when two acknowledgements race', async () => {
+    const results = await Promise.all([call(acknowledgeComplaint), call(acknowledgeComplaint)]);
+
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 409]);
+    assert.equal(audited.length, 1);
+  });
+});
+
+describe('completeComplaint', () => {
+  beforeEach(() => {
+    task.status = 'ACKNOWLEDGED';
+  });
+
+  it('reports completion to the institution and audits it', async () => {
+    const res = await call(completeComplaint, { report: 'Pipe replaced' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(task.status, 'COMPLETED');
+    assert.equal(posted.length, 1);
+    assert.deepEqual(sent, ['DISTRICT_WORK_COMPLETED']);
+    assert.deepEqual(audited, [AUDIT_ACTIONS.DISTRICT_TASK_COMPLETED]);
+  });
+
+  it('posts and notifies once when two completions race', async () => {
+    const results = await Promise.all([
+      call(completeComplaint, { report: 'Pipe replaced' }),
+      call(completeComplaint, { report: 'Pipe replaced' })
+    ]);
+
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 409]);
+    assert.equal(posted.length, 1);
+    assert.deepEqual(sent, ['DISTRICT_WORK_COMPLETED']);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Counter = require('../../models/Counter');
+const UploadedFile = require('../../models/UploadedFile');
+const {
+  MAX_ATTACHMENTS_PER_COMPLAINT,
+  reserveAttachmentSlots,
+  releaseAttachmentSlots
+} = require('../../utils/attachments');
+
+const COMPLAINT_ID = '65f0c0ffee0000000000002a';
+
+// In-memory stand-in for the counters collection
+let counters;
+let stored;
+
+beforeEach(() => {
+  counters = new Map();
+  stored = 0;
+
+  mock.method(UploadedFile, 'countDocuments', async () => stored);
+  mock.method(Counter, 'exists', async ({ _id }) => (counters.has(_id) ? { _id } : null));
+  mock.method(Counter, 'updateOne', async ({ _id }, { $setOnInsert, $inc }) => {
+    if ($setOnInsert && !counters.has(_id)) counters.set(_id, $setOnInsert.value);
+    if ($inc) counters.set(_id, counters.get(_id) + $inc.value);
+  });
+  mock.method(Counter, 'findOneAndUpdate', async ({ _id, value }, { $inc }) => {
+    if (!counters.has(_id) || counters.get(_id) > value.$lte) return null;
+    counters.set(_id, counters.get(_id) + $inc.value);
+    return { _id, value: counters.get(_id) };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('reserveAttachmentSlots', () => {
+  it('counts the files uploaded before the counter existed', async () => {
+    stored = MAX_ATTACHMENTS_PER_COMPLAINT - 1;
+
+    assert.equal(await reserveAttachmentSlots(COMPLAINT_ID, 2), false);
+    assert.equal(await reserveAttachmentSlots(COMPLAINT_ID, 1), true);
+    assert.equal(await reserveAttachmentSlots(COMPLAINT_ID, 1), false);
+  });
+
+  it('does not let concurrent uploads exceed the limit together', async () => {
+    const uploads = Array.from({ length: MAX_ATTACHMENTS_PER_COMPLAINT }, () =>
+      reserveAttachmentSlots(COMPLAINT_ID, 3));
+
+    const granted = (await Promise.all(uploads)).filter(Boolean).length;
+
+    assert.equal(granted, Math.floor(MAX_ATTACHMENTS_PER_COMPLAINT / 3));
+  });
+
+  it('frees released slots for later uploads', async () => {
+    assert.equal(await reserveAttachmentSlots(COMPLAINT_ID, MAX_ATTACHMENTS_PER_COMPLAINT), true);
+
+    await releaseAttachmentSlots(COMPLAINT_ID, 2);
+
+    assert.equal(await reserveAttachmentSlots(COMPLAINT_ID, 2), true);
+  });
+});
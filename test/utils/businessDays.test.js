@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { addBusinessDays, isBusinessDay, buildHolidayCalendar } = require('../../utils/businessDays');
+
+// 2026-10-16 is a Friday
+const FRIDAY = new Date('2026-10-16T09:30:00Z');
+
+describe('addBusinessDays', () => {
+  it('skips weekends and keeps the time of day', () => {
+    assert.equal(addBusinessDays(FRIDAY, 1).toISOString(), '2026-10-19T09:30:00.000Z');
+    assert.equal(addBusinessDays(FRIDAY, 5).toISOString(), '2026-10-23T09:30:00.000Z');
+  });
+
+  it('counts from the next day when starting on a weekend', () => {
+    const saturday = new Date('2026-10-17T12:00:00Z');
+    assert.equal(addBusinessDays(saturday, 1).toISOString(), '2026-10-19T12:00:00.000Z');
+  });
+
+  it('skips one-off holidays', () => {
+    const holidays = [{ date: new Date('2026-10-19T00:00:00Z'), recurring: false }];
+    assert.equal(addBusinessDays(FRIDAY, 1, holidays).toISOString(), '2026-10-20T09:30:00.000Z');
+  });
+
+  it('skips recurring holidays in every year', () => {
+    const holidays = [{ date: new Date('2000-10-19T00:00:00Z'), recurring: true }];
+    assert.equal(addBusinessDays(FRIDAY, 1, holidays).toISOString(), '2026-10-20T09:30:00.000Z');
+  });
+
+  it('does not move the date for zero days', () => {
+    assert.equal(addBusinessDays(FRIDAY, 0).toISOString(), FRIDAY.toISOString());
+  });
+});
+
+describe('isBusinessDay', () => {
+  const calendar = buildHolidayCalendar([
+    { date: '2026-12-25T00:00:00Z', recurring: true },
+    { date: '2026-10-21T00:00:00Z', recurring: false }
+  ]);
+
+  it('rejects Saturdays and Sundays', () => {
+    assert.equal(isBusinessDay(new Date('2026-10-17T10:00:00Z'), calendar), false);
+    assert.equal(isBusinessDay(new Date('2026-10-18T10:00:00Z'), calendar), false);
+  });
+
+  it('rejects holidays by UTC date', () => {
+    assert.equal(isBusinessDay(new Date('2026-10-21T23:59:00Z'), calendar), false);
+    assert.equal(isBusinessDay(new Date('2028-12-25T10:00:00Z'), calendar), false);
+  });
+
+  it('accepts other weekdays', () => {
+    assert.equal(isBusinessDay(new Date('2026-10-20T10:00:00Z'), calendar), true);
+    assert.equal(isBusinessDay(new Date('2026-10-22T00:00:00Z'), calendar), true);
+  });
+});
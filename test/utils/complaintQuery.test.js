@@ -0,0 +1,93 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { complaints } = require('../../repositories');
+const { parseListQuery, paginateComplaints } = require('../../utils/complaintQuery');
+const { OPEN_STATUSES } = require('../../utils/complaintLifecycle');
+
+const ID = '65f0c0ffee0000000000002a';
+const SUBMITTED = new Date('2026-03-01T08:00:00Z');
+
+// The nextCursor paginateComplaints hands out for a page ending at `last`
+const cursorAfter = async (last, sort) => {
+  mock.method(complaints, 'page', async () => ({ total: 2, entries: [last], hasMore: true }));
+  const { nextCursor } = await paginateComplaints({}, { sort, limit: 1 });
+  return nextCursor;
+};
+
+const tamper = (cursor, changes) =>
+  Buffer.from(JSON.stringify({
+    ...JSON.parse(Buffer.from(cursor, 'base64url').toString()),
+    ...changes
+  })).toString('base64url');
+
+describe('parseListQuery', () => {
+  it('defaults to newest first, 20 per page', () => {
+    const { filter, sort, limit, after } = parseListQuery({});
+
+    assert.deepEqual(filter, {});
+    assert.deepEqual(sort, { field: 'submissionDate', direction: 'desc' });
+    assert.equal(limit, 20);
+    assert.equal(after, undefined);
+  });
+
+  it('expands status aliases and parses filters', () => {
+    const { filter } = parseListQuery({
+      status: 'unresolved,RESOLVED',
+      district: 'Gasabo',
+      fromDate: '2026-01-01',
+      overdue: 'false',
+      q: 'water'
+    });
+
+    assert.deepEqual(filter.status, [...OPEN_STATUSES, 'RESOLVED']);
+    assert.equal(filter.district, 'Gasabo');
+    assert.deepEqual(filter.submittedFrom, new Date('2026-01-01'));
+    assert.equal(filter.overdue, false);
+    assert.equal(filter.search, 'water');
+  });
+});
+
+describe('cursors', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('round-trip the last record of a page into the next page\'s start', async () => {
+    const sort = { field: 'submissionDate', direction: 'asc' };
+    const cursor = await cursorAfter({ _id: ID, submissionDate: SUBMITTED }, sort);
+
+    const parsed = parseListQuery({ cursor });
+
+    assert.deepEqual(parsed.after, { value: SUBMITTED, id: ID });
+    // Without an explicit sort the cursor keeps its page's order
+    assert.deepEqual(parsed.sort, sort);
+  });
+
+  it('carry a null sort value for records without one', async () => {
+    const sort = { field: 'resolutionDeadline', direction: 'desc' };
+    const cursor = await cursorAfter({ _id: ID, resolutionDeadline: null }, sort);
+
+    assert.deepEqual(parseListQuery({ cursor }).after, { value: null, id: ID });
+  });
+
+  it('are not issued on the last page', async () => {
+    mock.method(complaints, 'page', async () => ({ total: 1, entries: [{ _id: ID }], hasMore: false }));
+
+    const page = await paginateComplaints({}, { sort: { field: 'submissionDate', direction: 'desc' }, limit: 1 });
+
+    assert.equal(page.nextCursor, null);
+    assert.equal(page.count, 1);
+  });
+
+  it('are ignored when malformed or tampered with', async () => {
+    const sort = { field: 'submissionDate', direction: 'desc' };
+    const cursor = await cursorAfter({ _id: ID, submissionDate: SUBMITTED }, sort);
+
+    for (const bad of [
+      'not-a-cursor',
+      tamper(cursor, { id: 'nope' }),
+      tamper(cursor, { sort: 'title' }),
+      tamper(cursor, { value: 'not a date' })
+    ]) {
+      assert.equal(parseListQuery({ cursor: bad }).after, undefined, bad);
+    }
+  });
+});
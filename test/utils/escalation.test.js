@@ -0,0 +1,128 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { users, complaints, notifications, audit, performance } = require('../../repositories');
+const EscalationEvent = require('../../models/EscalationEvent');
+const SlaPolicy = require('../../models/SlaPolicy');
+const Holiday = require('../../models/Holiday');
+const { runEscalationCycle } = require('../../utils/escalation');
+const { reopenComplaint } = require('../../controllers/complaintController');
+const { OPEN_STATUSES } = require('../../utils/complaintLifecycle');
+
+const HOUR = 1000 * 60 * 60;
+
+const newId = () => new mongoose.Types.ObjectId().toHexString();
+
+const citizen = { _id: newId(), role: 'CITIZEN' };
+// No email or phone, so notifications only go to the in-app inbox
+const institution = { _id: newId(), role: 'INSTITUTION', notificationPreferences: { inApp: true } };
+
+// The fields escalation events are unique on, as the model declares them
+const [UNIQUE_KEYS] = EscalationEvent.schema.indexes()
+  .filter(([, options]) => options.unique)
+  .map(([fields]) => Object.keys(fields));
+
+// In-memory stand-ins for the complaint and its escalation events
+let stored;
+let events;
+
+const copy = () => ({ ...stored, statusHistory: [...stored.statusHistory] });
+
+const reopen = async () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+
+  await reopenComplaint({
+    params: { complaintId: stored._id },
+    body: { reason: 'The pipe is leaking again' },
+    user: citizen,
+    ip: '127.0.0.1',
+    method: 'POST',
+    originalUrl: `/api/complaints/${stored._id}/reopen`,
+    get: () => 'node-test'
+  }, res);
+  return res;
+};
+
+beforeEach(() => {
+  stored = {
+    _id: newId(),
+    trackingNumber: 'CMP-2026-000042-5',
+    title: 'Broken water pipe',
+    category: 'WATER',
+    status: 'SUBMITTED',
+    citizenId: citizen._id,
+    institutionId: institution,
+    submissionDate: new Date(Date.now() - 20 * 24 * HOUR),
+    resolutionDeadline: new Date(Date.now() - HOUR),
+    escalationLevel: 0,
+    reopenCount: 0,
+    statusHistory: []
+  };
+  events = [];
+
+  mock.method(complaints, 'findById', async () => copy());
+  mock.method(complaints, 'list', async ({ status, deadlineTo, escalationLevelBelow }) =>
+    (status.includes(stored.status) &&
+      stored.resolutionDeadline <= deadlineTo &&
+      stored.escalationLevel < escalationLevelBelow
+      ? [copy()]
+      : []));
+  mock.method(complaints, 'update', async (id, patch, { statusChange, ifStatus } = {}) => {
+    if (ifStatus && stored.status !== ifStatus) return null;
+    Object.assign(stored, patch);
+    if (statusChange) stored.statusHistory.push(statusChange);
+    return copy();
+  });
+  mock.method(complaints, 'raiseEscalationLevel', async (id, level) => {
+    stored.escalationLevel = Math.max(stored.escalationLevel, level);
+  });
+  mock.method(EscalationEvent, 'create', async (data) => {
+    const event = { reopenCount: 0, ...data };
+    if (events.some(other => UNIQUE_KEYS.every(key => String(other[key]) === String(event[key])))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    events.push(event);
+    return event;
+  });
+  mock.method(SlaPolicy, 'find', async () => []);
+  mock.method(Holiday, 'find', async () => []);
+  mock.method(users, 'findById', async () => institution);
+  mock.method(notifications, 'create', async (data) => ({ _id: newId(), ...data }));
+  mock.method(audit, 'create', async (entry) => entry);
+  mock.method(performance, 'recordResolution', async () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('runEscalationCycle', () => {
+  it('escalates an overdue complaint once per level', async () => {
+    const now = new Date();
+
+    assert.equal((await runEscalationCycle({ now })).escalated.length, 1);
+    assert.equal((await runEscalationCycle({ now })).escalated.length, 0);
+    assert.equal(stored.escalationLevel, 1);
+  });
+
+  it('escalates a reopened complaint again once its new deadline passes', async () => {
+    await runEscalationCycle({ now: new Date() });
+    Object.assign(stored, { status: 'RESOLVED', resolutionDate: new Date() });
+
+    assert.equal((await reopen()).statusCode, 200);
+    assert.equal(stored.escalationLevel, 0);
+    assert.ok(OPEN_STATUSES.includes(stored.status));
+
+    const { escalated } = await runEscalationCycle({ now: new Date(stored.resolutionDeadline.getTime() + HOUR) });
+
+    assert.deepEqual(escalated.map(({ level }) => level), [1]);
+    assert.equal(stored.escalationLevel, 1);
+    assert.deepEqual(events.map(({ reopenCount, level }) => [reopenCount, level]), [[0, 1], [1, 1]]);
+  });
+});
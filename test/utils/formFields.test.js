@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkFieldDefinitions, validateAnswers } = require('../../utils/formFields');
+
+const textField = (pattern) => ({ key: 'plate', label: 'Plate', type: 'TEXT', pattern });
+
+describe('checkFieldDefinitions', () => {
+  it('accepts ordinary validation patterns', () => {
+    ['^07[2-9]\\d{7}$', '^R[A-Z]{2} ?\\d{3}[A-Z]$', '^(\\d{1,3}\\.){3}\\d{1,3}$', '^(?:Mr|Mrs|Ms)\\.? .+$']
+      .forEach(pattern => assert.equal(checkFieldDefinitions([textField(pattern)]), null, pattern));
+  });
+
+  it('rejects patterns prone to catastrophic backtracking', () => {
+    ['(a+)+$', '(x|xy)*z', '(a*)*', '(\\w{1,5})+', '(.*a){20}', '(a)\\1', '.*.*.*']
+      .forEach(pattern => assert.match(checkFieldDefinitions([textField(pattern)]), /too long/, pattern));
+  });
+
+  it('rejects invalid regular expressions', () => {
+    assert.match(checkFieldDefinitions([textField('(')]), /not a valid regular expression/);
+  });
+});
+
+describe('validateAnswers', () => {
+  const fields = [
+    { key: 'plate', label: 'Plate', type: 'TEXT', required: true, pattern: '^R[A-Z]{2} ?\\d{3}[A-Z]$' },
+    { key: 'count', label: 'Count', type: 'NUMBER', required: false }
+  ];
+
+  it('parses valid answers and leaves out unanswered optional fields', () => {
+    assert.deepEqual(validateAnswers(fields, { plate: 'RAB 123C' }), { values: { plate: 'RAB 123C' } });
+    assert.deepEqual(validateAnswers(fields, { plate: 'RAB123C', count: '3' }).values, { plate: 'RAB123C', count: 3 });
+  });
+
+  it('reports missing, malformed and unknown answers under details', () => {
+    const { errors } = validateAnswers(fields, { count: 'many', colour: 'red' });
+
+    assert.deepEqual(errors.map(error => error.path).sort(), ['details.colour', 'details.count', 'details.plate']);
+  });
+});
@@ -0,0 +1,123 @@
+process.env.OTP_SECRET = process.env.OTP_SECRET || 'test-otp-secret';
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const VerificationCode = require('../../models/VerificationCode');
+const { issueCode, verifyCode } = require('../../utils/otp');
+
+const MAX_ATTEMPTS = 5;
+const MINUTE = 60 * 1000;
+
+const userId = new mongoose.Types.ObjectId().toHexString();
+const target = { userId, channel: 'EMAIL', purpose: 'VERIFY' };
+
+// In-memory stand-in for the verification codes collection
+let codes;
+
+const matches = (record, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (condition === null) return !record[field];
+    if (condition && condition.$lt !== undefined) return record[field] < condition.$lt;
+    if (condition && condition.$gte !== undefined) return record[field] >= condition.$gte;
+    return String(record[field]) === String(condition);
+  });
+
+const newest = (filter) =>
+  codes.filter(record => matches(record, filter)).sort((a, b) => b.createdAt - a.createdAt);
+
+beforeEach(() => {
+  codes = [];
+
+  mock.method(VerificationCode, 'find', (filter) => ({ sort: async () => newest(filter) }));
+  mock.method(VerificationCode, 'findOne', (filter) => ({ sort: async () => newest(filter)[0] || null }));
+  mock.method(VerificationCode, 'create', async (data) => {
+    const record = { _id: new mongoose.Types.ObjectId().toHexString(), attempts: 0, createdAt: new Date(), ...data };
+    codes.push(record);
+    return record;
+  });
+  mock.method(VerificationCode, 'updateMany', async (filter, update) => {
+    codes.filter(record => matches(record, filter)).forEach(record => Object.assign(record, update));
+  });
+  mock.method(VerificationCode, 'updateOne', async (filter, update) => {
+    const record = codes.find(r => matches(r, filter));
+    if (record) Object.assign(record, update);
+    return { modifiedCount: record ? 1 : 0 };
+  });
+  mock.method(VerificationCode, 'findOneAndUpdate', async (filter, { $inc }) => {
+    const record = codes.find(r => matches(r, filter));
+    if (!record) return null;
+    record.attempts += $inc.attempts;
+    return { ...record };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('issueCode', () => {
+  it('issues a six-digit code and stores only its hash', async () => {
+    const { code, expiresAt } = await issueCode(target);
+
+    assert.match(code, /^\d{6}$/);
+    assert.ok(expiresAt > new Date());
+    assert.equal(codes.length, 1);
+    assert.notEqual(codes[0].codeHash, code);
+    assert.ok(!JSON.stringify(codes).includes(code));
+  });
+
+  it('throttles a resend within the resend interval', async () => {
+    await issueCode(target);
+
+    const resend = await issueCode(target);
+
+    assert.equal(resend.throttled, true);
+    assert.ok(resend.retryAfter > 0);
+    assert.equal(codes.length, 1);
+  });
+
+  it('invalidates the previous code when a new one is issued', async () => {
+    const first = await issueCode(target);
+    codes[0].createdAt = new Date(Date.now() - 2 * MINUTE);
+
+    const second = await issueCode(target);
+
+    assert.equal((await verifyCode({ ...target, code: first.code })).valid, false);
+    assert.equal((await verifyCode({ ...target, code: second.code })).valid, true);
+  });
+});
+
+describe('verifyCode', () => {
+  it('accepts the right code once', async () => {
+    const { code } = await issueCode(target);
+
+    assert.deepEqual(await verifyCode({ ...target, code }), { valid: true });
+    assert.equal((await verifyCode({ ...target, code })).valid, false);
+  });
+
+  it('rejects expired codes', async () => {
+    const { code } = await issueCode(target);
+    codes[0].expiresAt = new Date(Date.now() - MINUTE);
+
+    assert.match((await verifyCode({ ...target, code })).reason, /expired/);
+  });
+
+  it('locks the code after too many wrong guesses', async () => {
+    const { code } = await issueCode(target);
+    const wrong = code === '000000' ? '000001' : '000000';
+
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      assert.equal((await verifyCode({ ...target, code: wrong })).reason, 'Invalid code');
+    }
+
+    assert.match((await verifyCode({ ...target, code })).reason, /Too many attempts/);
+  });
+
+  it('does not let parallel guesses exceed the attempt limit', async () => {
+    await issueCode(target);
+
+    const guesses = Array.from({ length: 20 }, (_, i) => String(i).padStart(6, '0'));
+    await Promise.all(guesses.map(code => verifyCode({ ...target, code })));
+
+    assert.equal(codes[0].attempts, MAX_ATTEMPTS);
+  });
+});
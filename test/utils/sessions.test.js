@@ -0,0 +1,123 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const { createSession, rotateRefreshToken } = require('../../utils/sessions');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const req = { ip: '127.0.0.1', get: () => 'node-test' };
+const user = { _id: new mongoose.Types.ObjectId().toHexString(), role: 'CITIZEN' };
+
+// In-memory stand-in for the sessions collection, honouring the conditions
+// rotateRefreshToken relies on
+let sessions;
+
+const matches = (session, filter) =>
+  Object.entries(filter).every(([field, value]) =>
+    (value === null ? !session[field] : String(session[field]) === String(value)));
+
+beforeEach(() => {
+  sessions = new Map();
+
+  mock.method(Session, 'create', async (data) => {
+    const session = {
+      _id: new mongoose.Types.ObjectId().toHexString(),
+      previousTokenHashes: [],
+      revokedAt: null,
+      ...data
+    };
+    sessions.set(session._id, session);
+    return { ...session };
+  });
+  mock.method(Session, 'findById', async (id) => {
+    const session = sessions.get(String(id));
+    return session ? { ...session, previousTokenHashes: [...session.previousTokenHashes] } : null;
+  });
+  mock.method(Session, 'findOneAndUpdate', async ({ _id, ...filter }, { $push, ...update }) => {
+    const session = sessions.get(String(_id));
+    if (!session || !matches(session, filter)) return null;
+    Object.assign(session, update);
+    session.previousTokenHashes.push($push.previousTokenHashes);
+    return { ...session };
+  });
+  mock.method(Session, 'updateOne', async ({ _id, ...filter }, update) => {
+    const session = sessions.get(String(_id));
+    if (session && matches(session, filter)) Object.assign(session, update);
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('createSession', () => {
+  it('stores only the hash of the refresh secret', async () => {
+    const { accessToken, refreshToken, session } = await createSession(user, req);
+
+    const [sessionId, secret] = refreshToken.split('.');
+    assert.equal(sessionId, session._id);
+    assert.equal(sessions.get(sessionId).refreshTokenHash, hash(secret));
+    assert.ok(!JSON.stringify([...sessions.values()]).includes(secret));
+
+    const payload = jwt.verify(accessToken, process.env.JWT_SECRET);
+    assert.equal(payload.id, user._id);
+    assert.equal(payload.sid, session._id);
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('exchanges a token for a new one', async () => {
+    const { refreshToken } = await createSession(user, req);
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    assert.equal(result.error, undefined);
+    assert.notEqual(result.refreshToken, refreshToken);
+    assert.equal(result.userId, user._id);
+    assert.ok(!(await rotateRefreshToken(result.refreshToken, req)).error);
+  });
+
+  it('revokes the session when a rotated token is replayed', async () => {
+    const { refreshToken, session } = await createSession(user, req);
+    const { refreshToken: next } = await rotateRefreshToken(refreshToken, req);
+
+    const replay = await rotateRefreshToken(refreshToken, req);
+
+    assert.match(replay.error, /reuse detected/);
+    assert.ok(sessions.get(session._id).revokedAt);
+    // The legitimate holder is logged out too
+    assert.equal((await rotateRefreshToken(next, req)).error, 'Session has been revoked');
+  });
+
+  it('lets only one of two concurrent rotations of the same token succeed', async () => {
+    const { refreshToken, session } = await createSession(user, req);
+
+    const results = await Promise.all([
+      rotateRefreshToken(refreshToken, req),
+      rotateRefreshToken(refreshToken, req)
+    ]);
+
+    assert.equal(results.filter(result => !result.error).length, 1);
+    assert.ok(sessions.get(session._id).revokedAt);
+  });
+
+  it('rejects malformed, unknown and wrong tokens', async () => {
+    const { refreshToken } = await createSession(user, req);
+    const [sessionId] = refreshToken.split('.');
+
+    for (const token of ['', 'garbage', 'abc.def', `${sessionId}`, `${sessionId}.wrong`,
+      `${new mongoose.Types.ObjectId().toHexString()}.secret`]) {
+      assert.equal((await rotateRefreshToken(token, req)).error, 'Invalid refresh token', token);
+    }
+  });
+
+  it('rejects expired sessions', async () => {
+    const { refreshToken, session } = await createSession(user, req);
+    sessions.get(session._id).expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal((await rotateRefreshToken(refreshToken, req)).error, 'Session has expired');
+  });
+});
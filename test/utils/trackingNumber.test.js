@@ -0,0 +1,65 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { counters } = require('../../repositories');
+const {
+  generateTrackingNumber,
+  formatTrackingNumber,
+  isValidTrackingNumber
+} = require('../../utils/trackingNumber');
+
+describe('formatTrackingNumber', () => {
+  it('pads the sequence and appends the Luhn check digit of year + sequence', () => {
+    // Luhn over 2026000042 is 5
+    assert.equal(formatTrackingNumber(2026, 42), 'CMP-2026-000042-5');
+  });
+
+  it('keeps sequences longer than six digits whole', () => {
+    const number = formatTrackingNumber(2026, 1234567);
+    assert.match(number, /^CMP-2026-1234567-\d$/);
+    assert.ok(isValidTrackingNumber(number));
+  });
+});
+
+describe('isValidTrackingNumber', () => {
+  it('accepts numbers it formatted, in any case', () => {
+    for (const sequence of [1, 9, 10, 99, 500, 999999]) {
+      const number = formatTrackingNumber(2025, sequence);
+      assert.ok(isValidTrackingNumber(number), number);
+      assert.ok(isValidTrackingNumber(number.toLowerCase()), number);
+    }
+  });
+
+  it('rejects any single mistyped digit', () => {
+    const number = formatTrackingNumber(2026, 314159);
+    [...number].forEach((char, i) => {
+      if (!/\d/.test(char)) return;
+      const typo = `${number.slice(0, i)}${(Number(char) + 1) % 10}${number.slice(i + 1)}`;
+      assert.equal(isValidTrackingNumber(typo), false, typo);
+    });
+  });
+
+  it('rejects swapped adjacent digits', () => {
+    const number = formatTrackingNumber(2026, 12);
+    assert.equal(isValidTrackingNumber(number.replace('000012', '000021')), false);
+  });
+
+  it('rejects other prefixes and malformed values', () => {
+    const number = formatTrackingNumber(2026, 7);
+    assert.equal(isValidTrackingNumber(number.replace('CMP', 'ABC')), false);
+    ['', 'CMP-2026-7-1', 'CMP-26-000007-1', 'CMP-2026-000007', null, undefined]
+      .forEach(value => assert.equal(isValidTrackingNumber(value), false, String(value)));
+  });
+});
+
+describe('generateTrackingNumber', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('draws the sequence from the counter of the submission year', async () => {
+    const next = mock.method(counters, 'next', async () => 42);
+
+    const number = await generateTrackingNumber(new Date(2026, 5, 1));
+
+    assert.equal(number, 'CMP-2026-000042-5');
+    assert.deepEqual(next.mock.calls[0].arguments, ['trackingNumber:2026']);
+  });
+});
@@ -0,0 +1,30 @@
+const { users } = require('../repositories');
+const { hashPassword } = require('./hash');
+
+/**
+ * Create a user account of any role. Every account — citizens through
+ * registration, institutions, district staff and admins through the admin
+ * API — is created here so they all share one identity model.
+ * Returns { user } or { conflict } when the email, phone or NIN is taken.
+ */
+const createAccount = async ({ password, ...fields }) => {
+  const existing = await users.findConflict(fields);
+  if (existing) {
+    return { conflict: 'Email, phone or NIN already in use' };
+  }
+
+  const user = await users.create({
+    ...fields,
+    passwordHash: await hashPassword(password)
+  });
+
+  return { user };
+};
+
+// User record without credentials, safe to return from the API
+const toPublicUser = (user) => {
+  const { passwordHash, ...data } = user;
+  return data;
+};
+
+module.exports = { createAccount, toPublicUser };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const UploadedFile = require('../models/UploadedFile');
+const Counter = require('../models/Counter');
+const { getStorage } = require('./fileStorage');
+const { detectFileType } = require('./fileType');
+
+const REJECTED_TYPE_MESSAGE = 'Only JPEG, PNG, WebP images and PDF documents are accepted';
+
+// Message attachments belong to the internal institution–district thread and
+// are only served through it
+const COMPLAINT_PURPOSES = ['EVIDENCE', 'RESOLUTION_PROOF'];
+
+const MAX_ATTACHMENTS_PER_COMPLAINT = Number(process.env.MAX_ATTACHMENTS_PER_COMPLAINT) || 10;
+
+const slotKey = (complaintId) => `attachments:${complaintId}`;
+
+const countAttachments = (complaintId) =>
+  UploadedFile.countDocuments({ complaintId, purpose: { $in: COMPLAINT_PURPOSES } });
+
+/**
+ * Reserve `count` of a complaint's attachment slots. The counter is checked
+ * and raised in one update, so concurrent uploads can't pass the limit
+ * together. Returns false when the files don't fit.
+ */
+const reserveAttachmentSlots = async (complaintId, count) => {
+  const key = slotKey(complaintId);
+
+  // Start the counter from the files uploaded before it existed
+  if (!(await Counter.exists({ _id: key }))) {
+    const existing = await countAttachments(complaintId);
+    try {
+      await Counter.updateOne({ _id: key }, { $setOnInsert: { value: existing } }, { upsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const reserved = await Counter.findOneAndUpdate(
+    { _id: key, value: { $lte: MAX_ATTACHMENTS_PER_COMPLAINT - count } },
+    { $inc: { value: count } }
+  );
+  return Boolean(reserved);
+};
+
+// Give back slots reserved for files that weren't stored
+const releaseAttachmentSlots = (complaintId, count) =>
+  Counter.updateOne({ _id: slotKey(complaintId) }, { $inc: { value: -count } });
+
+/**
+ * Sniff every uploaded file's content. Returns { accepted: [{ file, type }],
+ * rejected: [originalName] }; callers store nothing unless rejected is empty.
+ */
+const inspectFiles = (files) => {
+  const detected = files.map(file => ({ file, type: detectFileType(file.buffer) }));
+  return {
+    accepted: detected.filter(d => d.type),
+    rejected: detected.filter(d => !d.type).map(d => d.file.originalname)
+  };
+};
+
+/**
+ * Store inspected files under the complaint and record them as UploadedFile
+ * documents carrying `fields` (uploadedBy, purpose, messageId…). If one
+ * upload fails, the ones already stored are removed again.
+ */
+const storeAttachments = async (complaintId, accepted, fields) => {
+  const storage = getStorage();
+  const stored = [];
+  try {
+    for (const { file, type } of accepted) {
+      const storageKey = `complaints/${complaintId}/${crypto.randomUUID()}${type.ext}`;
+      await storage.put(storageKey, file.buffer, { contentType: type.mime });
+      stored.push({
+        complaintId,
+        ...fields,
+        storageDriver: storage.driver,
+        storageKey,
+        originalName: file.originalname,
+        fileType: type.mime,
+        size: file.size
+      });
+    }
+  } catch (error) {
+    // Don't leave orphaned objects behind when one upload fails
+    await Promise.allSettled(stored.map(s => storage.remove(s.storageKey)));
+    throw error;
+  }
+
+  return UploadedFile.insertMany(stored);
+};
+
+// Stream a stored attachment to the client
+const streamAttachment = async (res, attachment) => {
+  const stream = await getStorage(attachment.storageDriver).getStream(attachment.storageKey);
+
+  res.set({
+    'Content-Type': attachment.fileType,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `inline; filename="${encodeURIComponent(attachment.originalName || attachment._id)}"`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-store'
+  });
+
+  stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+module.exports = {
+  REJECTED_TYPE_MESSAGE,
+  COMPLAINT_PURPOSES,
+  MAX_ATTACHMENTS_PER_COMPLAINT,
+  countAttachments,
+  reserveAttachmentSlots,
+  releaseAttachmentSlots,
+  inspectFiles,
+  storeAttachments,
+  streamAttachment
+};
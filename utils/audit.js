@@ -0,0 +1,100 @@
+const { audit } = require('../repositories');
+const { idOf } = require('./complaintAccess');
+
+const AUDIT_ACTIONS = Object.freeze({
+  LOGIN: 'LOGIN',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+  USER_CREATED: 'USER_CREATED',
+  COMPLAINT_SUBMITTED: 'COMPLAINT_SUBMITTED',
+  COMPLAINT_STATUS_CHANGED: 'COMPLAINT_STATUS_CHANGED',
+  COMPLAINT_DEADLINE_CHANGED: 'COMPLAINT_DEADLINE_CHANGED',
+  COMPLAINT_FORWARDED: 'COMPLAINT_FORWARDED',
+  COMPLAINT_RATED: 'COMPLAINT_RATED',
+  COMPLAINT_REOPENED: 'COMPLAINT_REOPENED',
+  INSTITUTION_CREATED: 'INSTITUTION_CREATED',
+  INSTITUTION_UPDATED: 'INSTITUTION_UPDATED',
+  INSTITUTION_DELETED: 'INSTITUTION_DELETED',
+  LOCATION_CREATED: 'LOCATION_CREATED',
+  LOCATION_UPDATED: 'LOCATION_UPDATED',
+  LOCATION_DELETED: 'LOCATION_DELETED',
+  DEPARTMENT_CREATED: 'DEPARTMENT_CREATED',
+  DEPARTMENT_UPDATED: 'DEPARTMENT_UPDATED',
+  CATEGORY_CREATED: 'CATEGORY_CREATED',
+  CATEGORY_UPDATED: 'CATEGORY_UPDATED',
+  SLA_POLICY_CREATED: 'SLA_POLICY_CREATED',
+  SLA_POLICY_UPDATED: 'SLA_POLICY_UPDATED',
+  SLA_POLICY_DEACTIVATED: 'SLA_POLICY_DEACTIVATED',
+  HOLIDAY_CREATED: 'HOLIDAY_CREATED',
+  HOLIDAY_DELETED: 'HOLIDAY_DELETED',
+  DISTRICT_TASK_ACKNOWLEDGED: 'DISTRICT_TASK_ACKNOWLEDGED',
+  DISTRICT_TASK_DEADLINE_CHANGED: 'DISTRICT_TASK_DEADLINE_CHANGED',
+  DISTRICT_TASK_ASSIGNED: 'DISTRICT_TASK_ASSIGNED',
+  DISTRICT_TASK_NOTE_ADDED: 'DISTRICT_TASK_NOTE_ADDED',
+  DISTRICT_TASK_COMPLETED: 'DISTRICT_TASK_COMPLETED'
+});
+
+// Bookkeeping fields that never show up in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'passwordHash', 'createdAt', 'updatedAt', 'statusHistory'];
+
+// Comparable form of a value: ids and dates as strings
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    if (value._id) return idOf(value).toString();
+    if (value.constructor && value.constructor.name === 'ObjectId') return value.toString();
+  }
+  return value;
+};
+
+/**
+ * Field-level difference between two versions of a record:
+ * { field: { from, to } }. Either side may be null (create / delete).
+ */
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = normalize(before ? before[field] : null);
+    const to = normalize(after ? after[field] : null);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Append an audit entry for a state-changing request. The actor defaults to
+ * the authenticated user. Never throws: a failed audit write is logged rather
+ * than failing the action it describes.
+ */
+const recordAudit = async (req, { action, entity, entityId, before = null, after = null, details, actor = req.user }) => {
+  try {
+    await audit.create({
+      userId: actor ? actor._id : null,
+      actorRole: actor ? actor.role : 'SYSTEM',
+      action,
+      entity,
+      entityId: entityId ? entityId.toString() : undefined,
+      changes: before || after ? diff(before, after) : undefined,
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        method: req.method,
+        path: req.originalUrl
+      },
+      details,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry ${action}:`, error);
+  }
+};
+
+module.exports = { AUDIT_ACTIONS, recordAudit, diff };
@@ -0,0 +1,42 @@
+// Business-day arithmetic. Weekends (Saturday, Sunday) and holidays are
+// skipped; dates are compared in UTC.
+
+const dayKey = (date) => date.toISOString().slice(0, 10);        // YYYY-MM-DD
+const monthDayKey = (date) => date.toISOString().slice(5, 10);   // MM-DD
+
+// Build a lookup from Holiday documents ({ date, recurring })
+const buildHolidayCalendar = (holidays = []) => {
+  const fixed = new Set();
+  const recurring = new Set();
+  holidays.forEach(h => {
+    const date = new Date(h.date);
+    if (h.recurring) {
+      recurring.add(monthDayKey(date));
+    } else {
+      fixed.add(dayKey(date));
+    }
+  });
+  return { fixed, recurring };
+};
+
+const isBusinessDay = (date, calendar) => {
+  const weekday = date.getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+  if (calendar.fixed.has(dayKey(date))) return false;
+  if (calendar.recurring.has(monthDayKey(date))) return false;
+  return true;
+};
+
+// Add `days` business days to `start`, keeping the time of day
+const addBusinessDays = (start, days, holidays = []) => {
+  const calendar = buildHolidayCalendar(holidays);
+  const date = new Date(start);
+  let added = 0;
+  while (added < days) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    if (isBusinessDay(date, calendar)) added++;
+  }
+  return date;
+};
+
+module.exports = { addBusinessDays, isBusinessDay, buildHolidayCalendar };
@@ -0,0 +1,41 @@
+const { categories } = require('../repositories');
+
+/**
+ * Check a category code, and optionally a subcategory code, against the
+ * catalogue; the subcategory must belong to the category. Deactivated entries
+ * are rejected unless `includeInactive`. Returns { category, subcategory }
+ * (the catalogue records; subcategory null when none was given) or { error }.
+ */
+const resolveCategory = async ({ category: code, subcategory: subcode }, { includeInactive = false } = {}) => {
+  const category = await categories.findByCode(code);
+  if (!category || (!category.active && !includeInactive)) {
+    return { error: `Unknown category: ${code}` };
+  }
+
+  if (!subcode) {
+    return { category, subcategory: null };
+  }
+
+  const subcategory = await categories.findSubcategoryByCode(subcode);
+  if (!subcategory || (!subcategory.active && !includeInactive)) {
+    return { error: `Unknown subcategory: ${subcode}` };
+  }
+  if (subcategory.categoryId.toString() !== category._id.toString()) {
+    return { error: `Subcategory ${subcode} is not part of category ${code}` };
+  }
+
+  return { category, subcategory };
+};
+
+// Codes in the lists that aren't in the catalogue (active or not)
+const findUnknownCodes = async ({ categories: codes = [], subcategories: subcodes = [] }) => {
+  const catalogue = await categories.list();
+  const knownCodes = new Set(catalogue.map(category => category.code));
+  const knownSubcodes = new Set(catalogue.flatMap(category => category.subcategories.map(s => s.code)));
+  return [
+    ...codes.filter(code => !knownCodes.has(code)),
+    ...subcodes.filter(code => !knownSubcodes.has(code))
+  ];
+};
+
+module.exports = { resolveCategory, findUnknownCodes };
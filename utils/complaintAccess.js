@@ -0,0 +1,22 @@
+// Who may act on a complaint. Refs may be raw ids or populated documents.
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+const sameId = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+// Parties to a complaint: the citizen who filed it, the institution handling
+// it, and any ADMIN
+const canViewComplaint = (user, complaint) => {
+  switch (user.role) {
+    case 'ADMIN':
+      return true;
+    case 'CITIZEN':
+      return sameId(complaint.citizenId, user._id);
+    case 'INSTITUTION':
+      return sameId(complaint.institutionId, user._id);
+    default:
+      return false;
+  }
+};
+
+module.exports = { idOf, sameId, canViewComplaint };
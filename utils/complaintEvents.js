@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { idOf, sameId } = require('./complaintAccess');
+
+const COMPLAINT_EVENTS = Object.freeze({
+  ASSIGNED: 'COMPLAINT_ASSIGNED',
+  STATUS_CHANGED: 'COMPLAINT_STATUS_CHANGED',
+  DEADLINE_CHANGED: 'COMPLAINT_DEADLINE_CHANGED',
+  FORWARDED: 'COMPLAINT_FORWARDED',
+  MESSAGE_POSTED: 'MESSAGE_POSTED'
+});
+
+const REPLAY_BUFFER_SIZE = Number(process.env.SSE_REPLAY_BUFFER) || 1000;
+
+// Event ids are "<boot>-<sequence>": the bus lives in this process only, so an
+// id from before a restart can't be replayed and the client must resync
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let sequence = 0;
+const recent = [];
+
+const toString = (id) => (id ? idOf(id).toString() : null);
+
+/**
+ * Publish a complaint event to connected streams. Recipients are the
+ * complaint's citizen (unless `citizen` is false, e.g. for the
+ * institution–district thread), its institution, the district departments in
+ * `departmentIds` (the assigned department by default) and any ADMIN.
+ * Never throws: a failed publish is logged rather than failing the action.
+ */
+const publishComplaintEvent = (type, complaint, { data = {}, departmentIds, citizen = true } = {}) => {
+  try {
+    const departments = departmentIds || [complaint.assignedDepartment];
+
+    sequence += 1;
+    const event = {
+      id: `${BOOT_ID}-${sequence}`,
+      sequence,
+      type,
+      audience: {
+        citizenId: citizen ? toString(complaint.citizenId) : null,
+        institutionId: toString(complaint.institutionId),
+        departmentIds: departments.filter(Boolean).map(toString)
+      },
+      data: {
+        complaintId: toString(complaint._id),
+        trackingNumber: complaint.trackingNumber,
+        status: complaint.status,
+        ...data,
+        occurredAt: new Date()
+      }
+    };
+
+    recent.push(event);
+    if (recent.length > REPLAY_BUFFER_SIZE) recent.shift();
+
+    bus.emit('event', event);
+    return event;
+  } catch (error) {
+    console.error(`Error publishing complaint event ${type}:`, error);
+    return null;
+  }
+};
+
+// Whether a user is entitled to see an event
+const canReceive = (user, { audience }) => {
+  switch (user.role) {
+    case 'ADMIN':
+      return true;
+    case 'CITIZEN':
+      return sameId(audience.citizenId, user._id);
+    case 'INSTITUTION':
+      return sameId(audience.institutionId, user._id);
+    case 'DISTRICT':
+      return audience.departmentIds.some(id => sameId(id, user.departmentId));
+    default:
+      return false;
+  }
+};
+
+// Listen for every published event; returns a function that stops listening
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+/**
+ * Events published after `lastEventId`, oldest first. Returns { events }, or
+ * { resync: true } when they can't be replayed — the id is from before a
+ * restart or has already dropped out of the replay buffer.
+ */
+const eventsSince = (lastEventId) => {
+  const [boot, seq] = String(lastEventId).split('-');
+  const after = Number(seq);
+  if (boot !== BOOT_ID || !Number.isInteger(after) || after > sequence) {
+    return { resync: true };
+  }
+
+  const oldest = recent.length > 0 ? recent[0].sequence : sequence + 1;
+  if (after < oldest - 1) {
+    return { resync: true };
+  }
+
+  return { events: recent.filter(event => event.sequence > after) };
+};
+
+module.exports = {
+  COMPLAINT_EVENTS,
+  publishComplaintEvent,
+  canReceive,
+  subscribe,
+  eventsSince
+};
@@ -0,0 +1,85 @@
+// Complaint status lifecycle: the statuses a complaint can be in, which role
+// may move it between them, and the history entry recorded for each move.
+
+const STATUSES = ['SUBMITTED', 'ACKNOWLEDGED', 'IN_PROGRESS', 'FORWARDED', 'RESOLVED', 'CLOSED', 'REOPENED'];
+
+// Days after a resolution during which the citizen can rate or reopen it
+const FEEDBACK_WINDOW_DAYS = Number(process.env.FEEDBACK_WINDOW_DAYS) || 14;
+
+// Statuses that no longer need work from the institution
+const RESOLVED_STATUSES = ['RESOLVED', 'CLOSED'];
+const OPEN_STATUSES = STATUSES.filter(s => !RESOLVED_STATUSES.includes(s));
+
+const INSTITUTION_TRANSITIONS = {
+  SUBMITTED: ['ACKNOWLEDGED', 'IN_PROGRESS', 'FORWARDED', 'RESOLVED'],
+  ACKNOWLEDGED: ['IN_PROGRESS', 'FORWARDED', 'RESOLVED'],
+  IN_PROGRESS: ['FORWARDED', 'RESOLVED'],
+  FORWARDED: ['IN_PROGRESS', 'RESOLVED'],
+  REOPENED: ['ACKNOWLEDGED', 'IN_PROGRESS', 'FORWARDED', 'RESOLVED']
+};
+
+const CITIZEN_TRANSITIONS = {
+  RESOLVED: ['CLOSED', 'REOPENED']
+};
+
+// Allowed transitions per role: { role: { fromStatus: [toStatus] } }
+const TRANSITIONS = {
+  INSTITUTION: INSTITUTION_TRANSITIONS,
+  CITIZEN: CITIZEN_TRANSITIONS,
+  ADMIN: {
+    ...INSTITUTION_TRANSITIONS,
+    RESOLVED: ['CLOSED', 'REOPENED']
+  }
+};
+
+const allowedTransitions = (from, role) => (TRANSITIONS[role] || {})[from] || [];
+
+const canTransition = (from, to, role) => allowedTransitions(from, role).includes(to);
+
+/**
+ * Describe a move to a new status: the fields to update and the history entry
+ * to append. Callers check canTransition first and pass both to
+ * complaints.update(id, patch, { statusChange }).
+ */
+const buildStatusChange = (complaint, to, { user, note } = {}) => {
+  const changedAt = new Date();
+  const patch = { status: to };
+
+  if (to === 'RESOLVED') {
+    patch.resolutionDate = changedAt;
+  } else if (to === 'REOPENED') {
+    patch.resolutionDate = null;
+    patch.reopenCount = (complaint.reopenCount || 0) + 1;
+    // A rating belongs to the resolution the citizen just rejected
+    Object.assign(patch, { ratingScore: null, ratingComment: null, ratedAt: null });
+  }
+
+  return {
+    patch,
+    statusChange: {
+      from: complaint.status,
+      to,
+      changedBy: user ? user._id : undefined,
+      role: user ? user.role : 'SYSTEM',
+      note,
+      changedAt
+    }
+  };
+};
+
+// Whether the citizen can still rate or reopen a resolved complaint
+const feedbackWindowOpen = (complaint, now = new Date()) =>
+  Boolean(complaint.resolutionDate) &&
+  now - new Date(complaint.resolutionDate) <= FEEDBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+module.exports = {
+  STATUSES,
+  FEEDBACK_WINDOW_DAYS,
+  OPEN_STATUSES,
+  RESOLVED_STATUSES,
+  TRANSITIONS,
+  allowedTransitions,
+  canTransition,
+  buildStatusChange,
+  feedbackWindowOpen
+};
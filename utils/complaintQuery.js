@@ -0,0 +1,151 @@
+const { query } = require('express-validator');
+const { complaints } = require('../repositories');
+const { STATUSES, OPEN_STATUSES } = require('./complaintLifecycle');
+
+// Shared query grammar for complaint listings:
+//   status=OPEN,IN_PROGRESS (or `unresolved` for every open status)
+//   category, subcategory, province, district, institutionId
+//   submittedFrom, submittedTo, deadlineFrom, deadlineTo (ISO 8601;
+//   fromDate/toDate are older names for submittedFrom/submittedTo)
+//   overdue=true|false · resolvedOnTime=true|false
+//   q=<words in title or description>
+//   sort=submissionDate|-submissionDate|resolutionDeadline|-resolutionDeadline
+//   limit=1..100 (default 20) · cursor=<nextCursor of the previous page>
+// Responses are { total, count, limit, nextCursor, complaints }; nextCursor is
+// null on the last page.
+
+const SORT_FIELDS = ['submissionDate', 'resolutionDeadline'];
+const DEFAULT_SORT = '-submissionDate';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const STATUS_ALIASES = { unresolved: OPEN_STATUSES };
+
+const parseStatus = (value) =>
+  String(value).split(',').map(s => s.trim()).filter(Boolean)
+    .flatMap(status => STATUS_ALIASES[status] || [status]);
+
+// "-field" sorts descending
+const parseSort = (value) => {
+  const desc = value.startsWith('-');
+  return { field: desc ? value.slice(1) : value, direction: desc ? 'desc' : 'asc' };
+};
+
+const formatSort = ({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`;
+
+// Cursors point just past the last record of a page and carry its sort order
+const encodeCursor = (complaint, { field, direction }) =>
+  Buffer.from(JSON.stringify({
+    sort: formatSort({ field, direction }),
+    value: complaint[field] || null,
+    id: complaint._id.toString()
+  })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { sort, value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!SORT_FIELDS.includes(parseSort(String(sort)).field) || !/^[0-9a-f]{24}$/.test(id)) return null;
+    if (value !== null && Number.isNaN(Date.parse(value))) return null;
+    return { sort, value: value === null ? null : new Date(value), id };
+  } catch {
+    return null;
+  }
+};
+
+const listQueryValidation = [
+  query('status').optional().custom(value =>
+    parseStatus(value).every(status => STATUSES.includes(status))
+  ).withMessage('Invalid status filter'),
+  query(['category', 'subcategory', 'province', 'district']).optional().trim().notEmpty()
+    .withMessage('Filter values cannot be empty'),
+  query('institutionId').optional().isMongoId().withMessage('Invalid institution id'),
+  query(['submittedFrom', 'submittedTo', 'deadlineFrom', 'deadlineTo', 'fromDate', 'toDate'])
+    .optional().isISO8601().withMessage('Date filters must be valid dates'),
+  query('overdue').optional().isBoolean().withMessage('overdue must be true or false'),
+  query('resolvedOnTime').optional().isBoolean().withMessage('resolvedOnTime must be true or false'),
+  query('q').optional().trim().isLength({ min: 1, max: 200 })
+    .withMessage('Search text must be 1 to 200 characters'),
+  query('sort').optional().isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+    .withMessage(`sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -`),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+  query('cursor').optional().custom((value, { req }) => {
+    const decoded = decodeCursor(value);
+    return decoded !== null && (!req.query.sort || req.query.sort === decoded.sort);
+  }).withMessage('Invalid cursor, or one issued for a different sort order')
+];
+
+/**
+ * Turn validated listing query parameters into a repository filter plus
+ * paging options. Without an explicit sort, a cursor keeps its page's order.
+ * Callers add their own scope (citizenId, institutionId) to the filter
+ * afterwards.
+ */
+const parseListQuery = (params, { defaultSort = DEFAULT_SORT } = {}) => {
+  const filter = {};
+
+  if (params.status) filter.status = parseStatus(params.status);
+  ['category', 'subcategory', 'province', 'district', 'institutionId'].forEach(field => {
+    if (params[field]) filter[field] = params[field];
+  });
+  ['submittedFrom', 'submittedTo', 'deadlineFrom', 'deadlineTo'].forEach(field => {
+    if (params[field]) filter[field] = new Date(params[field]);
+  });
+  if (params.fromDate && !filter.submittedFrom) filter.submittedFrom = new Date(params.fromDate);
+  if (params.toDate && !filter.submittedTo) filter.submittedTo = new Date(params.toDate);
+  // Booleans: overdue, and resolved before (true) or after (false) the deadline
+  ['overdue', 'resolvedOnTime'].forEach(field => {
+    if (params[field] === 'true' || params[field] === 'false') {
+      filter[field] = params[field] === 'true';
+    }
+  });
+  if (params.q) filter.search = params.q;
+
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+
+  return {
+    filter,
+    sort: parseSort(params.sort || (cursor && cursor.sort) || defaultSort),
+    limit: Number(params.limit) || DEFAULT_LIMIT,
+    after: cursor ? { value: cursor.value, id: cursor.id } : undefined
+  };
+};
+
+// Fetch one page of complaints in the listing envelope
+const paginateComplaints = async (filter, { sort, limit, after, include }) => {
+  const { total, entries, hasMore } = await complaints.page(filter, {
+    include,
+    sort: [sort],
+    limit,
+    after
+  });
+
+  return {
+    total,
+    count: entries.length,
+    limit,
+    nextCursor: hasMore ? encodeCursor(entries[entries.length - 1], sort) : null,
+    complaints: entries
+  };
+};
+
+// Every matching complaint in `sort` order, fetched a batch at a time so
+// exports never hold the whole result set in memory
+async function* iterateComplaints(filter, { sort, include, batchSize = 500 }) {
+  let after;
+  do {
+    const { entries, hasMore } = await complaints.page(filter, {
+      include,
+      sort: [sort],
+      limit: batchSize,
+      after,
+      countTotal: false
+    });
+    yield* entries;
+
+    const last = entries[entries.length - 1];
+    after = hasMore ? { value: last[sort.field] || null, id: last._id.toString() } : null;
+  } while (after);
+}
+
+module.exports = { listQueryValidation, parseListQuery, paginateComplaints, iterateComplaints };
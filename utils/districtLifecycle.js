@@ -0,0 +1,14 @@
+// Lifecycle of a complaint inside the district department it was forwarded
+// to. This is separate from the complaint's own status, which stays with the
+// institution handling it.
+
+// PENDING      forwarded, not yet picked up
+// ACKNOWLEDGED the department has taken it on
+// COMPLETED    the department reported its work done to the institution
+// REASSIGNED   the institution forwarded the complaint to another department
+const DISTRICT_STATUSES = ['PENDING', 'ACKNOWLEDGED', 'COMPLETED', 'REASSIGNED'];
+
+// Statuses still waiting on the department
+const DISTRICT_OPEN_STATUSES = ['PENDING', 'ACKNOWLEDGED'];
+
+module.exports = { DISTRICT_STATUSES, DISTRICT_OPEN_STATUSES };
@@ -0,0 +1,180 @@
+const { users, complaints, geography } = require('../repositories');
+const EscalationEvent = require('../models/EscalationEvent');
+const { sendNotification, recipientOf } = require('./notificationService');
+const { OPEN_STATUSES } = require('./complaintLifecycle');
+
+const HOUR = 1000 * 60 * 60;
+
+// Default escalation ladder: remind the institution as soon as the deadline
+// passes, involve the district department after 2 days, then ADMIN after 5.
+// Override with ESCALATION_LEVELS as a JSON array of { level, target, afterHours }.
+const DEFAULT_LEVELS = [
+  { level: 1, target: 'INSTITUTION', afterHours: 0 },
+  { level: 2, target: 'DISTRICT', afterHours: 48 },
+  { level: 3, target: 'ADMIN', afterHours: 120 }
+];
+
+const getEscalationLevels = () => {
+  const levels = process.env.ESCALATION_LEVELS
+    ? JSON.parse(process.env.ESCALATION_LEVELS)
+    : DEFAULT_LEVELS;
+  return [...levels].sort((a, b) => a.level - b.level);
+};
+
+const contactOf = ({ email, phone }) => ({ email, phone });
+
+// Who gets notified at each escalation target
+const findRecipients = async (complaint, target) => {
+  switch (target) {
+    case 'INSTITUTION': {
+      const institution = await users.findById(complaint.institutionId);
+      return institution ? [recipientOf(institution)] : [];
+    }
+    case 'DISTRICT': {
+      const departments = complaint.assignedDepartment
+        ? await geography.listDepartments({ ids: [complaint.assignedDepartment] })
+        : await geography.listDepartments({ district: complaint.district });
+      return departments.map(contactOf);
+    }
+    case 'ADMIN': {
+      const admins = await users.list({ role: 'ADMIN' });
+      return admins.map(recipientOf);
+    }
+    default:
+      return [];
+  }
+};
+
+// Escalate a single complaint to `step`; returns the event, or null if
+// another run already recorded this level.
+const escalateComplaint = async (complaint, step, now) => {
+  const overdueHours = Math.floor((now - complaint.resolutionDeadline) / HOUR);
+  const recipients = await findRecipients(complaint, step.target);
+
+  let event;
+  try {
+    event = await EscalationEvent.create({
+      complaintId: complaint._id,
+      reopenCount: complaint.reopenCount || 0,
+      level: step.level,
+      target: step.target,
+      overdueHours,
+      recipients,
+      escalatedAt: now
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      // Already escalated (e.g. before a restart) — just catch the complaint up
+      await complaints.raiseEscalationLevel(complaint._id, step.level);
+      return null;
+    }
+    throw error;
+  }
+
+  await complaints.raiseEscalationLevel(complaint._id, step.level);
+
+  const notificationErrors = [];
+  for (const recipient of recipients) {
+    try {
+      await sendNotification('ESCALATED', recipient, {
+        complaintId: complaint._id,
+        trackingNumber: complaint.trackingNumber,
+        title: complaint.title,
+        deadline: complaint.resolutionDeadline,
+        overdueHours,
+        level: step.level,
+        target: step.target
+      });
+    } catch (error) {
+      notificationErrors.push({
+        recipient: recipient.email || recipient.phone,
+        error: error.message
+      });
+    }
+  }
+
+  if (notificationErrors.length > 0) {
+    event.notificationErrors = notificationErrors;
+    await event.save();
+  }
+
+  return event;
+};
+
+/**
+ * Scan overdue unresolved complaints and move each one up a single
+ * escalation level when it has been overdue long enough. Safe to run
+ * repeatedly: each level is only ever escalated once per complaint and
+ * deadline (a reopened complaint starts over).
+ */
+const runEscalationCycle = async ({ now = new Date() } = {}) => {
+  const levels = getEscalationLevels();
+  const maxLevel = levels[levels.length - 1].level;
+
+  const overdue = await complaints.list({
+    status: OPEN_STATUSES,
+    deadlineTo: now,
+    escalationLevelBelow: maxLevel
+  });
+
+  const escalated = [];
+  for (const complaint of overdue) {
+    const overdueHours = (now - complaint.resolutionDeadline) / HOUR;
+    const step = levels.find(l => l.level > complaint.escalationLevel);
+    if (!step || overdueHours < step.afterHours) continue;
+
+    const event = await escalateComplaint(complaint, step, now);
+    if (event) {
+      escalated.push({ complaintId: complaint._id, level: step.level, target: step.target });
+    }
+  }
+
+  return { scanned: overdue.length, escalated };
+};
+
+let timer = null;
+let running = false;
+let indexesSynced = false;
+
+// Run the escalation cycle every ESCALATION_INTERVAL_MINUTES (default 15)
+const startEscalationScheduler = () => {
+  if (timer) return;
+
+  const minutes = Number(process.env.ESCALATION_INTERVAL_MINUTES) || 15;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      // Replaces the unique index from before events were keyed by reopen
+      if (!indexesSynced) {
+        await EscalationEvent.syncIndexes();
+        indexesSynced = true;
+      }
+
+      const { escalated } = await runEscalationCycle();
+      if (escalated.length > 0) {
+        console.log(`⏫ Escalated ${escalated.length} overdue complaint(s)`);
+      }
+    } catch (error) {
+      console.error('Escalation cycle failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, minutes * 60 * 1000);
+  tick();
+};
+
+const stopEscalationScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  getEscalationLevels,
+  runEscalationCycle,
+  startEscalationScheduler,
+  stopEscalationScheduler
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage adapters share one interface:
+//   put(key, buffer, { contentType }) → Promise<void>
+//   getStream(key)                    → Promise<Readable>
+//   remove(key)                       → Promise<void>
+
+// Local disk, rooted at STORAGE_LOCAL_DIR (default ./uploads)
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'local',
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    getStream: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+// S3 or any S3-compatible service (MinIO, LocalStack…) via S3_ENDPOINT
+const createS3Storage = () => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not configured');
+  }
+
+  const bucket = process.env.S3_BUCKET;
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      : undefined
+  });
+
+  return {
+    driver: 's3',
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+    getStream: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return object.Body;
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const factories = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+const instances = {};
+
+// Get an adapter by driver name; defaults to STORAGE_DRIVER (local | s3)
+const getStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  if (!factories[driver]) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  if (!instances[driver]) {
+    instances[driver] = factories[driver]();
+  }
+  return instances[driver];
+};
+
+module.exports = { getStorage };
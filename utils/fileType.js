@@ -0,0 +1,37 @@
+// Detect a file's type from its leading bytes instead of trusting the
+// client-supplied MIME type or extension.
+
+const SIGNATURES = [
+  {
+    mime: 'image/jpeg',
+    ext: '.jpg',
+    matches: (buf) => buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff
+  },
+  {
+    mime: 'image/png',
+    ext: '.png',
+    matches: (buf) => buf.length >= 8 &&
+      buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mime: 'image/webp',
+    ext: '.webp',
+    matches: (buf) => buf.length >= 12 &&
+      buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP'
+  },
+  {
+    mime: 'application/pdf',
+    ext: '.pdf',
+    matches: (buf) => buf.length >= 5 && buf.toString('ascii', 0, 5) === '%PDF-'
+  }
+];
+
+// Returns { mime, ext } or null when the content is not an accepted type
+const detectFileType = (buffer) => {
+  const signature = SIGNATURES.find(s => s.matches(buffer));
+  return signature ? { mime: signature.mime, ext: signature.ext } : null;
+};
+
+const ACCEPTED_TYPES = SIGNATURES.map(s => s.mime);
+
+module.exports = { detectFileType, ACCEPTED_TYPES };
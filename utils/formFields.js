@@ -0,0 +1,239 @@
+// Extra complaint form fields defined per category and subcategory. A field is
+// { key, label, type, required, options, pattern, helpText }:
+//   TEXT     string, optionally matching `pattern` (a regular expression)
+//   NUMBER   number (numeric strings are accepted)
+//   BOOLEAN  true or false
+//   DATE     ISO 8601 date, stored as an ISO string
+//   ENUM     one of `options`
+// A complaint's form is its category's fields followed by its subcategory's;
+// a subcategory field with the same key replaces the category's.
+
+const FIELD_TYPES = ['TEXT', 'NUMBER', 'BOOLEAN', 'DATE', 'ENUM'];
+
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9_]*$/;
+const MAX_FIELDS = 30;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TEXT_LENGTH = 1000;
+
+// Patterns run on the request thread against citizen input, so backtracking
+// blow-ups are rejected up front: a repeated group containing a variable-length
+// quantifier or an alternation, e.g. (a+)+ or (x|xy)*, backreferences, and
+// more than MAX_UNBOUNDED unbounded quantifiers (polynomial backtracking).
+const MAX_UNBOUNDED = 2;
+
+// The quantifier starting at `i`: its length, whether it has no upper bound
+// and whether it can match a varying number of times
+const quantifierAt = (pattern, i) => {
+  let match;
+  if (pattern[i] === '*' || pattern[i] === '+') {
+    match = { length: 1, min: pattern[i] === '+' ? 1 : 0, max: Infinity };
+  } else if (pattern[i] === '?') {
+    match = { length: 1, min: 0, max: 1 };
+  } else {
+    const count = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (!count) return null;
+    const min = Number(count[1]);
+    const max = count[2] === undefined ? min : count[3] === '' ? Infinity : Number(count[3]);
+    match = { length: count[0].length, min, max };
+  }
+  // A lazy suffix doesn't change the analysis
+  if (pattern[i + match.length] === '?') match.length += 1;
+  return { ...match, unbounded: match.max === Infinity, variable: match.max > match.min };
+};
+
+const isSafePattern = (pattern) => {
+  const groups = [{ variable: false, unbounded: false }];
+  let closedGroup = null;
+  let unboundedCount = 0;
+
+  for (let i = 0; i < pattern.length;) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) return false;
+      i += 2;
+      closedGroup = null;
+    } else if (char === '[') {
+      // Skip the character class, which is a single atom
+      i += pattern[i + 1] === ']' ? 2 : 1;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+      i += 1;
+      closedGroup = null;
+    } else if (char === '(') {
+      groups.push({ variable: false, unbounded: false });
+      i += 1;
+      // Skip (?:, (?=, (?!, (?<=, (?<! and (?<name>
+      const prefix = /^\?(?::|=|!|<=|<!|<[A-Za-z_]\w*>)/.exec(pattern.slice(i));
+      if (prefix) i += prefix[0].length;
+      closedGroup = null;
+    } else if (char === ')') {
+      closedGroup = groups.length > 1 ? groups.pop() : null;
+      const parent = groups[groups.length - 1];
+      if (closedGroup) {
+        parent.variable = parent.variable || closedGroup.variable;
+        parent.unbounded = parent.unbounded || closedGroup.unbounded;
+      }
+      i += 1;
+    } else if (char === '|') {
+      current.variable = true;
+      i += 1;
+      closedGroup = null;
+    } else {
+      const quantifier = quantifierAt(pattern, i);
+      if (quantifier) {
+        if (closedGroup && quantifier.max > 1 &&
+            ((quantifier.unbounded && closedGroup.variable) || closedGroup.unbounded)) {
+          return false;
+        }
+        if (quantifier.unbounded) unboundedCount += 1;
+        current.variable = current.variable || quantifier.variable;
+        current.unbounded = current.unbounded || quantifier.unbounded;
+        i += quantifier.length;
+      } else {
+        i += 1;
+      }
+      closedGroup = null;
+    }
+  }
+
+  return unboundedCount <= MAX_UNBOUNDED;
+};
+
+/**
+ * Check field definitions sent by an admin. Returns an error message, or null
+ * when they are valid.
+ */
+const checkFieldDefinitions = (fields) => {
+  if (fields.length > MAX_FIELDS) {
+    return `At most ${MAX_FIELDS} fields are allowed`;
+  }
+
+  const keys = new Set();
+  for (const field of fields) {
+    if (!field || typeof field !== 'object') return 'Each field must be an object';
+
+    const { key, label, type, options, pattern } = field;
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      return `Invalid field key: ${key}; use letters, digits and underscores, starting with a lowercase letter`;
+    }
+    if (keys.has(key)) return `Duplicate field key: ${key}`;
+    keys.add(key);
+
+    if (typeof label !== 'string' || !label.trim()) return `Field ${key} needs a label`;
+    if (!FIELD_TYPES.includes(type)) return `Field ${key} must have a type of ${FIELD_TYPES.join(', ')}`;
+
+    if (type === 'ENUM' &&
+        (!Array.isArray(options) || options.length === 0 || options.some(o => typeof o !== 'string'))) {
+      return `Field ${key} needs a non-empty list of string options`;
+    }
+    if (pattern !== undefined && pattern !== null) {
+      if (type !== 'TEXT') return `Only TEXT fields can have a pattern (field ${key})`;
+      if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+        return `The pattern of field ${key} must be a string of at most ${MAX_PATTERN_LENGTH} characters`;
+      }
+      try {
+        new RegExp(pattern);
+      } catch {
+        return `The pattern of field ${key} is not a valid regular expression`;
+      }
+      if (!isSafePattern(pattern)) {
+        return `The pattern of field ${key} could take too long to match; avoid repeated groups ` +
+          `containing quantifiers or alternatives, backreferences and more than ${MAX_UNBOUNDED} of *, + or {n,}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Only the known properties are stored
+const normalizeFieldDefinitions = (fields) =>
+  fields.map(({ key, label, type, required, options, pattern, helpText }) => ({
+    key,
+    label: label.trim(),
+    type,
+    required: required === true,
+    ...(type === 'ENUM' ? { options } : {}),
+    ...(pattern ? { pattern } : {}),
+    ...(helpText ? { helpText: String(helpText) } : {})
+  }));
+
+// The fields of a complaint's form, from its catalogue category and subcategory
+const formFieldsFor = (category, subcategory) => {
+  const fields = new Map((category.fields || []).map(field => [field.key, field]));
+  (subcategory?.fields || []).forEach(field => fields.set(field.key, field));
+  return [...fields.values()];
+};
+
+const parseValue = (field, value) => {
+  switch (field.type) {
+    case 'TEXT': {
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be text' };
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_LENGTH) return { error: `must be at most ${MAX_TEXT_LENGTH} characters` };
+      if (field.pattern && !new RegExp(field.pattern).test(text)) return { error: 'has an invalid format' };
+      return { value: text };
+    }
+    case 'NUMBER': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+      return { value: number };
+    }
+    case 'BOOLEAN':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'DATE': {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) return { error: 'must be a valid date' };
+      return { value: date.toISOString() };
+    }
+    case 'ENUM':
+      if (!field.options.includes(value)) return { error: `must be one of ${field.options.join(', ')}` };
+      return { value };
+    default:
+      return { error: 'has an unsupported type' };
+  }
+};
+
+/**
+ * Validate a complaint's answers against its form. Returns { values } with the
+ * parsed answers (unanswered optional fields left out) or { errors } shaped
+ * like express-validator's, with paths under `details`.
+ */
+const validateAnswers = (fields, answers = {}) => {
+  const errors = [];
+  const values = {};
+  const fieldError = (key, msg) =>
+    errors.push({ type: 'field', location: 'body', path: `details.${key}`, msg });
+
+  Object.keys(answers)
+    .filter(key => !fields.some(field => field.key === key))
+    .forEach(key => fieldError(key, `Unknown field ${key}`));
+
+  fields.forEach(field => {
+    const answer = answers[field.key];
+    if (answer === undefined || answer === null || answer === '') {
+      if (field.required) fieldError(field.key, `${field.label} is required`);
+      return;
+    }
+
+    const { value, error } = parseValue(field, answer);
+    if (error) {
+      fieldError(field.key, `${field.label} ${error}`);
+    } else {
+      values[field.key] = value;
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { values };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  checkFieldDefinitions,
+  normalizeFieldDefinitions,
+  formFieldsFor,
+  validateAnswers
+};
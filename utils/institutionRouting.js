@@ -0,0 +1,82 @@
+const { users, complaints } = require('../repositories');
+
+// Jurisdiction levels, tried in order from most to least local
+const LEVELS = [
+  {
+    level: 'DISTRICT',
+    scope: ({ province, district }) => ({ province, district }),
+    describe: ({ district }) => `district-level institution in ${district}`
+  },
+  {
+    level: 'PROVINCE',
+    scope: ({ province }) => ({ province, district: null }),
+    describe: ({ province }) => `province-level institution in ${province}`
+  },
+  {
+    level: 'NATIONAL',
+    scope: () => ({ province: null }),
+    describe: () => 'national institution'
+  }
+];
+
+// Pick the candidate with the fewest open cases (ties go to the oldest account)
+const pickLeastLoaded = async (candidates) => {
+  const openCases = await complaints.countOpenByInstitution(candidates.map(c => c._id));
+
+  return candidates
+    .map(institution => ({
+      institution,
+      openCases: openCases.get(institution._id.toString()) || 0
+    }))
+    .sort((a, b) => a.openCases - b.openCases || a.institution.createdAt - b.institution.createdAt)[0];
+};
+
+/**
+ * Find the institution responsible for a complaint.
+ *
+ * Walks district → province → national jurisdiction and, at each level,
+ * prefers institutions registered for the subcategory over those registered
+ * for the whole category. Multiple eligible institutions are load-balanced by
+ * open-case count. Returns { institution, routing } or null.
+ */
+const findAppropriateInstitution = async ({ category, subcategory, province, district }) => {
+  const matchers = [];
+  if (subcategory) {
+    matchers.push({ matchedOn: 'subcategory', filter: { subcategory }, label: `subcategory "${subcategory}"` });
+  }
+  matchers.push({ matchedOn: 'category', filter: { category }, label: `category "${category}"` });
+
+  for (const { level, scope, describe } of LEVELS) {
+    for (const { matchedOn, filter, label } of matchers) {
+      const candidates = await users.list({
+        role: 'INSTITUTION',
+        ...scope({ province, district }),
+        ...filter
+      });
+
+      if (candidates.length === 0) continue;
+
+      const { institution, openCases } = await pickLeastLoaded(candidates);
+
+      let reason = `Assigned to ${describe({ province, district })} responsible for ${label}`;
+      if (candidates.length > 1) {
+        reason += `; least loaded of ${candidates.length} eligible institutions (${openCases} open cases)`;
+      }
+
+      return {
+        institution,
+        routing: {
+          level,
+          matchedOn,
+          candidateCount: candidates.length,
+          openCases,
+          reason
+        }
+      };
+    }
+  }
+
+  return null;
+};
+
+module.exports = { findAppropriateInstitution };
@@ -0,0 +1,76 @@
+const { geography } = require('../repositories');
+const { sameId } = require('./complaintAccess');
+
+// Look up the records behind the ids, from the most specific one given: a
+// sector implies its district and province, a district its province. Less
+// specific ids, when also given, must agree. Returns { province, district,
+// sector } (null below the most specific level) or { error }.
+const lookUp = async ({ provinceId, districtId, sectorId }) => {
+  let sector = null;
+  if (sectorId) {
+    sector = await geography.findSectorById(sectorId);
+    if (!sector) return { error: 'Sector not found' };
+    if (districtId && !sameId(districtId, sector.districtId)) {
+      return { error: 'Sector is not in the given district' };
+    }
+    districtId = sector.districtId;
+  }
+
+  let district = null;
+  if (districtId) {
+    district = await geography.findDistrictById(districtId);
+    if (!district) return { error: 'District not found' };
+    if (provinceId && !sameId(provinceId, district.provinceId)) {
+      return { error: 'District is not in the given province' };
+    }
+    provinceId = district.provinceId;
+  }
+
+  const province = await geography.findProvinceById(provinceId);
+  if (!province) return { error: 'Province not found' };
+
+  return { province, district, sector };
+};
+
+const districtFields = ({ province, district }) => ({
+  provinceId: province._id,
+  province: province.name,
+  districtId: district ? district._id : null,
+  district: district ? district.name : null
+});
+
+/**
+ * Resolve a complaint's location. Returns { location } with the ids and the
+ * names to copy onto the record ({ provinceId, province, districtId, district,
+ * sectorId }, null below the most specific level), or { error }.
+ */
+const resolveLocation = async (ids) => {
+  const found = await lookUp(ids);
+  if (found.error) return { error: found.error };
+  return {
+    location: {
+      ...districtFields(found),
+      sectorId: found.sector ? found.sector._id : null
+    }
+  };
+};
+
+/**
+ * Resolve the location of a user or district department, which stops at the
+ * district. Returns { location } ({ provinceId, province, districtId,
+ * district }) or { error }.
+ */
+const resolveDistrict = async ({ provinceId, districtId }) => {
+  const found = await lookUp({ provinceId, districtId });
+  if (found.error) return { error: found.error };
+  return { location: districtFields(found) };
+};
+
+// Whether two records (complaint, department…) are in the same district.
+// Records from before locations had ids only carry the names
+const sameDistrict = (a, b) =>
+  a.districtId && b.districtId
+    ? sameId(a.districtId, b.districtId)
+    : a.province === b.province && a.district === b.district;
+
+module.exports = { resolveLocation, resolveDistrict, sameDistrict };
@@ -0,0 +1,113 @@
+const templates = require('./notificationTemplates');
+const { getTransport } = require('./notificationTransports');
+const { users, notifications } = require('../repositories');
+
+// Events carrying one-time codes: sent only to the contact they were requested
+// for, never stored in the inbox and not subject to channel preferences
+const DIRECT_EVENTS = ['VERIFICATION_CODE', 'PASSWORD_RESET_CODE'];
+
+const DEFAULT_PREFERENCES = Object.freeze({ inApp: true, email: true, sms: true });
+
+// Recipient for a user account, so the notification also lands in their inbox
+const recipientOf = (user) => ({
+  userId: user._id,
+  email: user.email,
+  phone: user.phone,
+  preferences: user.notificationPreferences
+});
+
+const preferencesFor = async (recipient) => {
+  let preferences = recipient.preferences;
+  if (!preferences && recipient.userId) {
+    const user = await users.findById(recipient.userId);
+    preferences = user && user.notificationPreferences;
+  }
+  return { ...DEFAULT_PREFERENCES, ...preferences };
+};
+
+/**
+ * Send a templated notification to a recipient over every channel they have
+ * contact details for (email and/or phone), and store it in their in-app
+ * inbox when the recipient is a user ({ userId, email, phone }, see
+ * recipientOf). A user's channel preferences decide which channels are used.
+ *
+ * Resolves with the per-channel deliveries when every channel succeeds.
+ * Otherwise rejects with an Error whose message names each failed channel and
+ * whose `failures` property lists them as { channel, error }.
+ */
+const sendNotification = async (event, recipient, data = {}) => {
+  const template = templates[event];
+  if (!template) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+
+  const direct = DIRECT_EVENTS.includes(event);
+  const message = template(data);
+  const transport = getTransport();
+  const preferences = direct ? DEFAULT_PREFERENCES : await preferencesFor(recipient);
+
+  if (!recipient.email && !recipient.phone && !(recipient.userId && !direct)) {
+    throw new Error('Recipient has no email or phone to notify');
+  }
+
+  const channels = [];
+  if (recipient.userId && !direct && preferences.inApp) {
+    channels.push({
+      channel: 'inApp',
+      send: async () => {
+        const stored = await notifications.create({
+          userId: recipient.userId,
+          event,
+          subject: message.subject,
+          message: message.text,
+          complaintId: data.complaintId,
+          sentAt: new Date()
+        });
+        return { id: stored._id };
+      }
+    });
+  }
+  if (recipient.email && preferences.email) {
+    channels.push({
+      channel: 'email',
+      send: () => transport.email({ to: recipient.email, subject: message.subject, text: message.text })
+    });
+  }
+  if (recipient.phone && preferences.sms) {
+    channels.push({
+      channel: 'sms',
+      send: () => transport.sms({ to: recipient.phone, text: message.sms })
+    });
+  }
+
+  // The recipient switched off every channel they could be reached on
+  if (channels.length === 0) {
+    return { event, deliveries: [] };
+  }
+
+  const results = await Promise.allSettled(channels.map(({ send }) => send()));
+
+  const deliveries = [];
+  const failures = [];
+  results.forEach((result, i) => {
+    const { channel } = channels[i];
+    if (result.status === 'fulfilled') {
+      deliveries.push({ channel, id: result.value && result.value.id });
+    } else {
+      failures.push({ channel, error: result.reason.message });
+    }
+  });
+
+  if (failures.length > 0) {
+    const error = new Error(
+      failures.map(f => `${f.channel}: ${f.error}`).join('; ')
+    );
+    error.failures = failures;
+    error.deliveries = deliveries;
+    throw error;
+  }
+
+  return { event, deliveries };
+};
+
+module.exports = { sendNotification, recipientOf, DEFAULT_PREFERENCES };
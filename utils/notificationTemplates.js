@@ -0,0 +1,81 @@
+// Message templates per notification event.
+// Each template returns the email subject/body and a short SMS body.
+
+const complaintRef = (data) => data.trackingNumber || data.complaintId;
+
+const formatDate = (value) => new Date(value).toDateString();
+
+const templates = {
+  SUBMITTED: (data) => ({
+    subject: `Complaint received (${complaintRef(data)})`,
+    text: `Your complaint has been submitted successfully.\n\nTracking number: ${complaintRef(data)}\n\nYou will be notified as it progresses.`,
+    sms: `Your complaint was received. Tracking number: ${complaintRef(data)}`
+  }),
+
+  RESOLVED: (data) => ({
+    subject: `Complaint resolved (${complaintRef(data)})`,
+    text: `Your complaint ${complaintRef(data)} has been marked as resolved by the responsible institution.`,
+    sms: `Complaint ${complaintRef(data)} has been resolved.`
+  }),
+
+  COMPLAINT_REOPENED: (data) => ({
+    subject: `Complaint reopened (${complaintRef(data)})`,
+    text: `Complaint ${complaintRef(data)} "${data.title}" was reopened after its resolution.\n\nReason:\n${data.reason}` +
+      `\n\nThe new resolution deadline is ${formatDate(data.deadline)}.`,
+    sms: `Complaint ${complaintRef(data)} was reopened. New deadline: ${formatDate(data.deadline)}`
+  }),
+
+  DEADLINE_SET: (data) => ({
+    subject: `Resolution deadline set (${complaintRef(data)})`,
+    text: `A resolution deadline of ${formatDate(data.deadline)} has been set for your complaint ${complaintRef(data)}.`,
+    sms: `Complaint ${complaintRef(data)} deadline: ${formatDate(data.deadline)}`
+  }),
+
+  COMPLAINT_FORWARDED: (data) => ({
+    subject: `Complaint forwarded to ${data.departmentName} (${complaintRef(data)})`,
+    text: `Hello ${data.departmentName},\n\nComplaint ${complaintRef(data)} "${data.title}" has been forwarded to your department.` +
+      (data.note ? `\n\nNote from the institution:\n${data.note}` : ''),
+    sms: `Complaint ${complaintRef(data)} "${data.title}" was forwarded to ${data.departmentName}.`
+  }),
+
+  ESCALATED: (data) => ({
+    subject: `Overdue complaint escalated to level ${data.level} (${complaintRef(data)})`,
+    text: `Complaint ${complaintRef(data)} "${data.title}" passed its resolution deadline of ${formatDate(data.deadline)} ` +
+      `and is now ${data.overdueHours} hours overdue.\n\nIt has been escalated to level ${data.level} (${data.target}). Please take action.`,
+    sms: `Complaint ${complaintRef(data)} is ${data.overdueHours}h overdue and was escalated to level ${data.level}.`
+  }),
+
+  THREAD_MESSAGE: (data) => ({
+    subject: `New message from ${data.senderName} about complaint ${complaintRef(data)}`,
+    text: `${data.senderName} wrote about complaint ${complaintRef(data)} "${data.title}":\n\n${data.body}` +
+      (data.attachmentCount ? `\n\n${data.attachmentCount} attachment(s) included.` : ''),
+    sms: `New message from ${data.senderName} about complaint ${complaintRef(data)}.`
+  }),
+
+  DISTRICT_TASK_ASSIGNED: (data) => ({
+    subject: `Complaint assigned to you (${complaintRef(data)})`,
+    text: `Hello ${data.staffName},\n\nComplaint ${complaintRef(data)} "${data.title}" has been assigned to you by ${data.departmentName}.` +
+      (data.internalDeadline ? `\n\nInternal deadline: ${formatDate(data.internalDeadline)}` : ''),
+    sms: `Complaint ${complaintRef(data)} "${data.title}" was assigned to you.`
+  }),
+
+  DISTRICT_WORK_COMPLETED: (data) => ({
+    subject: `${data.departmentName} completed its work on complaint ${complaintRef(data)}`,
+    text: `${data.departmentName} has reported its work on complaint ${complaintRef(data)} "${data.title}" as complete.\n\nReport:\n${data.report}`,
+    sms: `${data.departmentName} completed its work on complaint ${complaintRef(data)}.`
+  }),
+
+  VERIFICATION_CODE: (data) => ({
+    subject: 'Your verification code',
+    text: `Your verification code is ${data.code}. It expires in ${data.expiresInMinutes} minutes.\n\nIf you did not request this code, you can ignore this message.`,
+    sms: `Your verification code is ${data.code}. It expires in ${data.expiresInMinutes} minutes.`
+  }),
+
+  PASSWORD_RESET_CODE: (data) => ({
+    subject: 'Reset your password',
+    text: `Use the code ${data.code} to reset your password. It expires in ${data.expiresInMinutes} minutes.\n\nIf you did not ask to reset your password, you can ignore this message.`,
+    sms: `Your password reset code is ${data.code}. It expires in ${data.expiresInMinutes} minutes.`
+  })
+};
+
+module.exports = templates;
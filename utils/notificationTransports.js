@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// Live providers are created lazily so missing credentials only fail the
+// channel that needs them, not the whole process at startup.
+let mailer = null;
+let smsClient = null;
+
+const getMailer = () => {
+  if (!mailer) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    const nodemailer = require('nodemailer');
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return mailer;
+};
+
+const getSmsClient = () => {
+  if (!smsClient) {
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+      throw new Error('Twilio credentials are not configured');
+    }
+    const twilio = require('twilio');
+    smsClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return smsClient;
+};
+
+// Live transport: email through nodemailer, SMS through twilio
+const liveTransport = {
+  email: async ({ to, subject, text }) => {
+    const info = await getMailer().sendMail({
+      from: process.env.MAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text
+    });
+    return { id: info.messageId };
+  },
+  sms: async ({ to, text }) => {
+    const message = await getSmsClient().messages.create({
+      from: process.env.TWILIO_FROM_NUMBER,
+      to,
+      body: text
+    });
+    return { id: message.sid };
+  }
+};
+
+// File transport: appends one JSON line per message, for local runs and tests
+const writeToFile = async (channel, message) => {
+  const file = path.resolve(process.env.NOTIFICATION_LOG_FILE || 'notifications.log');
+  const entry = { channel, ...message, sentAt: new Date().toISOString() };
+  await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+  return { id: `${channel}-${Date.now()}` };
+};
+
+const fileTransport = {
+  email: (message) => writeToFile('email', message),
+  sms: (message) => writeToFile('sms', message)
+};
+
+// Console transport: prints messages instead of delivering them
+const writeToConsole = async (channel, { to, subject, text }) => {
+  console.log(`📨 [${channel}] to ${to}${subject ? ` — ${subject}` : ''}\n${text}`);
+  return { id: `${channel}-${Date.now()}` };
+};
+
+const consoleTransport = {
+  email: (message) => writeToConsole('email', message),
+  sms: (message) => writeToConsole('sms', message)
+};
+
+const transports = {
+  live: liveTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+// The file and console transports write messages, one-time codes included,
+// in plain text, so they are for development only
+const DEV_TRANSPORTS = ['file', 'console'];
+
+// Select the transport from NOTIFICATION_TRANSPORT (live | file | console),
+// live by default
+const getTransport = () => {
+  const name = process.env.NOTIFICATION_TRANSPORT || 'live';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+  if (DEV_TRANSPORTS.includes(name) && process.env.NODE_ENV === 'production') {
+    throw new Error(`The ${name} notification transport cannot be used in production`);
+  }
+  return transport;
+};
+
+module.exports = { getTransport };
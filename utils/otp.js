@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const VerificationCode = require('../models/VerificationCode');
+
+const CODE_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10;
+const MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const RESEND_INTERVAL_SECONDS = Number(process.env.OTP_RESEND_SECONDS) || 60;
+const MAX_CODES_PER_HOUR = Number(process.env.OTP_MAX_PER_HOUR) || 5;
+
+const hashCode = (code) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(code)
+    .digest('hex');
+
+/**
+ * Issue a new six-digit code, replacing any earlier unused one.
+ * Returns { code, expiresAt } or, when resending too soon,
+ * { throttled: true, retryAfter } with retryAfter in seconds.
+ */
+const issueCode = async ({ userId, channel, purpose }) => {
+  const now = Date.now();
+
+  const recent = await VerificationCode.find({
+    userId,
+    channel,
+    purpose,
+    createdAt: { $gte: new Date(now - 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+
+  if (recent.length > 0) {
+    const sinceLast = (now - recent[0].createdAt) / 1000;
+    if (sinceLast < RESEND_INTERVAL_SECONDS) {
+      return { throttled: true, retryAfter: Math.ceil(RESEND_INTERVAL_SECONDS - sinceLast) };
+    }
+  }
+  if (recent.length >= MAX_CODES_PER_HOUR) {
+    const oldest = recent[recent.length - 1];
+    return { throttled: true, retryAfter: Math.ceil((oldest.createdAt.getTime() + 60 * 60 * 1000 - now) / 1000) };
+  }
+
+  // Only the newest code is ever valid
+  await VerificationCode.updateMany(
+    { userId, channel, purpose, consumedAt: null },
+    { consumedAt: new Date(now) }
+  );
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresAt = new Date(now + CODE_TTL_MINUTES * 60 * 1000);
+
+  await VerificationCode.create({
+    userId,
+    channel,
+    purpose,
+    codeHash: hashCode(code),
+    expiresAt
+  });
+
+  return { code, expiresAt };
+};
+
+/**
+ * Check a submitted code against the newest outstanding one and consume it
+ * on success. Returns { valid: true } or { valid: false, reason }.
+ */
+const verifyCode = async ({ userId, channel, purpose, code }) => {
+  const record = await VerificationCode.findOne({
+    userId,
+    channel,
+    purpose,
+    consumedAt: null
+  }).sort({ createdAt: -1 });
+
+  if (!record) {
+    return { valid: false, reason: 'No active code. Please request a new one.' };
+  }
+  if (record.expiresAt < new Date()) {
+    return { valid: false, reason: 'Code has expired. Please request a new one.' };
+  }
+
+  // Count the attempt before comparing, atomically, so parallel guesses can't
+  // all read the same count and exceed the limit
+  const attempt = await VerificationCode.findOneAndUpdate(
+    { _id: record._id, consumedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!attempt) {
+    return { valid: false, reason: 'Too many attempts. Please request a new code.' };
+  }
+
+  const expected = Buffer.from(attempt.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'Invalid code' };
+  }
+
+  // A code is only good once, even when two correct submissions race
+  const { modifiedCount } = await VerificationCode.updateOne(
+    { _id: attempt._id, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+  if (modifiedCount === 0) {
+    return { valid: false, reason: 'No active code. Please request a new one.' };
+  }
+  return { valid: true };
+};
+
+module.exports = { issueCode, verifyCode, CODE_TTL_MINUTES };
@@ -0,0 +1,346 @@
+const { users, complaints, performance } = require('../repositories');
+const {
+  SNAPSHOT_PERIODS,
+  periodStart,
+  nextPeriodStart,
+  periodStarts
+} = require('./performancePeriods');
+
+const MINUTE = 1000 * 60;
+const MINUTES_PER_DAY = 60 * 24;
+
+const TIMEFRAMES = ['week', 'month', 'year'];
+
+// Snapshot dimension → complaint / performance record field it groups by
+const DIMENSION_FIELDS = {
+  INSTITUTION: 'institutionId',
+  DISTRICT: 'district',
+  CATEGORY: 'category'
+};
+
+// Start of a trailing timeframe, or undefined for all time
+const timeframeStart = (timeframe, now = new Date()) => {
+  const start = new Date(now);
+  switch (timeframe) {
+    case 'week':
+      start.setDate(start.getDate() - 7);
+      return start;
+    case 'month':
+      start.setMonth(start.getMonth() - 1);
+      return start;
+    case 'year':
+      start.setFullYear(start.getFullYear() - 1);
+      return start;
+    default:
+      return undefined;
+  }
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const percentage = (part, whole) => (whole ? (part / whole) * 100 : null);
+
+// To two decimal places, for ratings
+const averageOf = (sum, count) => Math.round((sum / count) * 100) / 100;
+
+// Minutes → hours or days, to one decimal place
+const inUnits = (minutes, unitMinutes) =>
+  (typeof minutes === 'number' ? Math.round((minutes / unitMinutes) * 10) / 10 : null);
+
+// The performance record of a complaint's latest resolution
+const resolutionRecord = (complaint) => {
+  const resolvedAt = complaint.resolutionDate || new Date();
+  return {
+    complaintId: complaint._id,
+    institutionId: complaint.institutionId._id || complaint.institutionId,
+    province: complaint.province,
+    district: complaint.district,
+    category: complaint.category,
+    submissionDate: complaint.submissionDate,
+    resolutionDeadline: complaint.resolutionDeadline,
+    resolvedAt,
+    resolvedBeforeDeadline: Boolean(complaint.resolutionDeadline) && resolvedAt <= complaint.resolutionDeadline,
+    resolutionTime: Math.round((resolvedAt - complaint.submissionDate) / MINUTE),
+    reopenCount: complaint.reopenCount || 0
+  };
+};
+
+// Never throws: a failed write is logged rather than failing the action
+const writeRecord = async (complaint, record) => {
+  try {
+    await performance.recordResolution(record);
+  } catch (error) {
+    console.error(`Error recording performance of complaint ${complaint._id}:`, error);
+  }
+};
+
+// Record how a just-resolved complaint did against its deadline
+const recordResolution = (complaint) => writeRecord(complaint, resolutionRecord(complaint));
+
+// Record the citizen's rating of a resolved complaint
+const recordRating = (complaint) =>
+  writeRecord(complaint, {
+    ...resolutionRecord(complaint),
+    ratingScore: complaint.ratingScore,
+    ratedAt: complaint.ratedAt
+  });
+
+// Record that a resolution didn't hold; `complaint` is as it was before
+// reopening. Any rating of the rejected resolution is dropped with it.
+const recordReopen = (complaint, reopenedAt = new Date()) =>
+  writeRecord(complaint, {
+    ...resolutionRecord(complaint),
+    reopenCount: (complaint.reopenCount || 0) + 1,
+    reopenedAt,
+    ratingScore: null,
+    ratedAt: null
+  });
+
+const inRange = (date, start, end) => Boolean(date) && date >= start && date < end;
+
+// Snapshots for every institution, district and category active in one period
+const computeSnapshots = async (period, start) => {
+  const end = nextPeriodStart(period, start);
+  const resolutions = await performance.listResolutions({ resolvedFrom: start, resolvedTo: end });
+  const feedback = await performance.listFeedback({ from: start, to: end });
+
+  const snapshots = [];
+  for (const [dimension, field] of Object.entries(DIMENSION_FIELDS)) {
+    const submitted = await complaints.countByGroup(
+      { submittedFrom: start, submittedTo: new Date(end - 1) },
+      field
+    );
+
+    const newGroup = () => ({ resolutions: [], reopened: 0, ratings: [] });
+    const groups = new Map([...submitted.keys()].map(key => [key, newGroup()]));
+    const groupOf = (record) => {
+      const key = record[field].toString();
+      if (!groups.has(key)) groups.set(key, newGroup());
+      return groups.get(key);
+    };
+
+    resolutions.filter(record => record[field]).forEach(record => groupOf(record).resolutions.push(record));
+    feedback.filter(record => record[field]).forEach(record => {
+      if (inRange(record.reopenedAt, start, end)) groupOf(record).reopened += 1;
+      if (inRange(record.ratedAt, start, end) && record.ratingScore) groupOf(record).ratings.push(record.ratingScore);
+    });
+
+    groups.forEach(({ resolutions: records, reopened, ratings }, key) => {
+      snapshots.push({
+        dimension,
+        key,
+        submitted: submitted.get(key) || 0,
+        resolved: records.length,
+        resolvedOnTime: records.filter(r => r.resolvedBeforeDeadline).length,
+        totalResolutionTime: records.reduce((sum, r) => sum + r.resolutionTime, 0),
+        medianResolutionTime: median(records.map(r => r.resolutionTime)),
+        reopened,
+        rated: ratings.length,
+        totalRating: ratings.reduce((sum, score) => sum + score, 0),
+        computedAt: new Date()
+      });
+    });
+  }
+
+  // Institutions are labelled by name, districts and categories by themselves
+  const institutionIds = snapshots.filter(s => s.dimension === 'INSTITUTION').map(s => s.key);
+  const names = new Map((await users.findByIds(institutionIds))
+    .map(institution => [institution._id.toString(), institution.name]));
+  snapshots.forEach(snapshot => {
+    snapshot.label = snapshot.dimension === 'INSTITUTION' ? names.get(snapshot.key) || null : snapshot.key;
+  });
+
+  return snapshots;
+};
+
+/**
+ * Recompute daily, weekly and monthly snapshots from `from` up to `now`.
+ * Without `from`, each period type resumes at its latest snapshot (so the
+ * period that was still running last time is finished off), or at the first
+ * complaint ever submitted when there are none yet.
+ */
+const runPerformanceRollup = async ({ now = new Date(), from } = {}) => {
+  let earliest;
+  if (!from) {
+    const { entries } = await complaints.page({}, {
+      sort: [{ field: 'submissionDate', direction: 'asc' }],
+      limit: 1,
+      countTotal: false
+    });
+    earliest = entries.length > 0 ? entries[0].submissionDate : now;
+  }
+
+  const computed = {};
+  for (const period of SNAPSHOT_PERIODS) {
+    const start = from || await performance.latestSnapshotStart(period) || earliest;
+    const starts = periodStarts(period, start, now);
+    for (const periodStartDate of starts) {
+      await performance.replaceSnapshots(period, periodStartDate, await computeSnapshots(period, periodStartDate));
+    }
+    computed[period] = starts.length;
+  }
+
+  return { computed };
+};
+
+/**
+ * Institution rankings (best on-time rate first) and system-wide totals over
+ * a trailing `timeframe`, read from the snapshots: daily ones for a timeframe,
+ * monthly ones for all time. Complaints count towards the period they were
+ * submitted in and resolutions towards the period they happened in.
+ * `institutionId` limits the report to one institution.
+ */
+const performanceReport = async ({ timeframe, institutionId, now = new Date() } = {}) => {
+  const from = timeframeStart(timeframe, now);
+  const snapshots = await performance.listSnapshots({
+    period: from ? 'DAY' : 'MONTH',
+    dimension: 'INSTITUTION',
+    keys: institutionId ? [institutionId.toString()] : undefined,
+    from: from ? periodStart('DAY', from) : undefined
+  });
+
+  const totals = new Map();
+  snapshots.forEach(snapshot => {
+    const total = totals.get(snapshot.key) || {
+      submitted: 0, resolved: 0, resolvedOnTime: 0, totalResolutionTime: 0, reopened: 0, rated: 0, totalRating: 0
+    };
+    total.submitted += snapshot.submitted;
+    total.resolved += snapshot.resolved;
+    total.resolvedOnTime += snapshot.resolvedOnTime;
+    total.totalResolutionTime += snapshot.totalResolutionTime;
+    total.reopened += snapshot.reopened || 0;
+    total.rated += snapshot.rated || 0;
+    total.totalRating += snapshot.totalRating || 0;
+    totals.set(snapshot.key, total);
+  });
+
+  const institutions = new Map((await users.findByIds([...totals.keys()]))
+    .map(institution => [institution._id.toString(), institution]));
+
+  const rankings = [...totals.entries()]
+    .filter(([key]) => institutions.has(key))
+    .map(([key, total]) => {
+      const institution = institutions.get(key);
+      return {
+        _id: institution._id,
+        institutionName: institution.name,
+        district: institution.district,
+        province: institution.province,
+        totalComplaints: total.submitted,
+        resolvedComplaints: total.resolved,
+        resolvedOnTime: total.resolvedOnTime,
+        averageResolutionTime: total.resolved
+          ? inUnits(total.totalResolutionTime / total.resolved, MINUTES_PER_DAY)
+          : null,
+        resolutionRate: percentage(total.resolved, total.submitted),
+        onTimeResolutionRate: percentage(total.resolvedOnTime, total.resolved) || 0,
+        reopenedComplaints: total.reopened,
+        reopenRate: percentage(total.reopened, total.resolved),
+        ratedComplaints: total.rated,
+        averageRating: total.rated ? averageOf(total.totalRating, total.rated) : null
+      };
+    })
+    .sort((a, b) => b.onTimeResolutionRate - a.onTimeResolutionRate);
+
+  // Calculate system-wide statistics
+  const totalComplaints = rankings.reduce((sum, p) => sum + p.totalComplaints, 0);
+  const totalResolved = rankings.reduce((sum, p) => sum + p.resolvedComplaints, 0);
+  const totalResolvedOnTime = rankings.reduce((sum, p) => sum + p.resolvedOnTime, 0);
+  const totalReopened = rankings.reduce((sum, p) => sum + p.reopenedComplaints, 0);
+  const ranked = [...totals.entries()].filter(([key]) => institutions.has(key)).map(([, total]) => total);
+  const totalRated = ranked.reduce((sum, t) => sum + t.rated, 0);
+  const totalRating = ranked.reduce((sum, t) => sum + t.totalRating, 0);
+
+  return {
+    timeframe: timeframe || 'all-time',
+    systemStats: {
+      totalComplaints,
+      totalResolved,
+      totalResolvedOnTime,
+      totalReopened,
+      systemResolutionRate: percentage(totalResolved, totalComplaints) || 0,
+      systemOnTimeRate: percentage(totalResolvedOnTime, totalResolved) || 0,
+      systemReopenRate: percentage(totalReopened, totalResolved) || 0,
+      systemAverageRating: totalRated ? averageOf(totalRating, totalRated) : null
+    },
+    institutionPerformance: rankings
+  };
+};
+
+/**
+ * Time series per institution, district or category: for each period,
+ * resolution rate (resolved / submitted, %), on-time rate (% of resolutions
+ * before the deadline), median resolution time in hours, resolutions reopened
+ * and the average citizen rating given.
+ */
+const performanceTrends = async ({ period, dimension, keys, from, to }) => {
+  const snapshots = await performance.listSnapshots({ period, dimension, keys, from, to });
+
+  const series = new Map();
+  snapshots.forEach(snapshot => {
+    if (!series.has(snapshot.key)) {
+      series.set(snapshot.key, { key: snapshot.key, label: snapshot.label, points: [] });
+    }
+    series.get(snapshot.key).points.push({
+      periodStart: snapshot.periodStart,
+      submitted: snapshot.submitted,
+      resolved: snapshot.resolved,
+      resolvedOnTime: snapshot.resolvedOnTime,
+      resolutionRate: percentage(snapshot.resolved, snapshot.submitted),
+      onTimeRate: percentage(snapshot.resolvedOnTime, snapshot.resolved),
+      medianResolutionHours: inUnits(snapshot.medianResolutionTime, 60),
+      reopened: snapshot.reopened || 0,
+      averageRating: snapshot.rated ? averageOf(snapshot.totalRating, snapshot.rated) : null
+    });
+  });
+
+  return { period, dimension, series: [...series.values()] };
+};
+
+let timer = null;
+let running = false;
+
+// Roll up performance every PERFORMANCE_ROLLUP_INTERVAL_MINUTES (default 60)
+const startPerformanceScheduler = () => {
+  if (timer) return;
+
+  const minutes = Number(process.env.PERFORMANCE_ROLLUP_INTERVAL_MINUTES) || 60;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runPerformanceRollup();
+    } catch (error) {
+      console.error('Performance rollup failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, minutes * 60 * 1000);
+  tick();
+};
+
+const stopPerformanceScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  TIMEFRAMES,
+  timeframeStart,
+  recordResolution,
+  recordRating,
+  recordReopen,
+  runPerformanceRollup,
+  performanceReport,
+  performanceTrends,
+  startPerformanceScheduler,
+  stopPerformanceScheduler
+};
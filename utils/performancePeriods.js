@@ -0,0 +1,40 @@
+// Rollup periods and the dimensions performance snapshots are kept for.
+// Periods are calendar days, ISO weeks (from Monday) and months, in UTC.
+
+const SNAPSHOT_PERIODS = ['DAY', 'WEEK', 'MONTH'];
+const SNAPSHOT_DIMENSIONS = ['INSTITUTION', 'DISTRICT', 'CATEGORY'];
+
+const periodStart = (period, date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === 'WEEK') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === 'MONTH') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextPeriodStart = (period, start) => {
+  const next = new Date(start);
+  if (period === 'DAY') next.setUTCDate(next.getUTCDate() + 1);
+  if (period === 'WEEK') next.setUTCDate(next.getUTCDate() + 7);
+  if (period === 'MONTH') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+// Starts of every period overlapping [from, to], oldest first
+const periodStarts = (period, from, to) => {
+  const starts = [];
+  for (let start = periodStart(period, from); start <= to; start = nextPeriodStart(period, start)) {
+    starts.push(start);
+  }
+  return starts;
+};
+
+module.exports = {
+  SNAPSHOT_PERIODS,
+  SNAPSHOT_DIMENSIONS,
+  periodStart,
+  nextPeriodStart,
+  periodStarts
+};
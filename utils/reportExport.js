@@ -0,0 +1,195 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Report writers share one interface, streaming straight into the response:
+//   addRow(record) → Promise<void>   (record keyed by column key)
+//   end(summary)   → Promise<void>   (summary: [{ label, value }])
+// Columns are [{ key, header, width }], width in characters.
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 16).replace('T', ' ');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(1);
+  return String(value);
+};
+
+// Spreadsheet apps treat cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = formatValue(value);
+  if (FORMULA_START.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Wait for `event` on the response. Rejects if the client disconnects
+// first, which ends the export loop instead of leaving it waiting forever.
+const waitFor = (res, event) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    reject(new Error('Client disconnected'));
+    return;
+  }
+  const onEvent = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off(event, onEvent);
+    reject(new Error('Client disconnected'));
+  };
+  res.once(event, onEvent);
+  res.once('close', onClose);
+});
+
+// For writers that stream into the response through a pipe: pause the export
+// while the response is backed up, and stop it once the client is gone
+const keepPace = async (res) => {
+  if (res.destroyed || res.writableNeedDrain) await waitFor(res, 'drain');
+};
+
+const createCsvWriter = (res, { columns }) => {
+  const write = async (line) => {
+    if (!res.write(`${line}\r\n`)) await waitFor(res, 'drain');
+  };
+
+  // The byte order mark makes Excel read the file as UTF-8
+  res.write(`\ufeff${columns.map(column => csvCell(column.header)).join(',')}\r\n`);
+
+  return {
+    addRow: (record) => write(columns.map(column => csvCell(record[column.key])).join(',')),
+    end: async () => {
+      res.end();
+    }
+  };
+};
+
+const createXlsxWriter = (res, { title, columns }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(title.slice(0, 31));
+  sheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+  sheet.getRow(1).font = { bold: true };
+
+  return {
+    addRow: async (record) => {
+      sheet.addRow(Object.fromEntries(columns.map(({ key }) => [key, record[key] ?? null]))).commit();
+      await keepPace(res);
+    },
+    end: async (summary = []) => {
+      sheet.commit();
+      if (summary.length > 0) {
+        const summarySheet = workbook.addWorksheet('Summary');
+        summarySheet.columns = [{ key: 'label', width: 30 }, { key: 'value', width: 20 }];
+        summary.forEach(row => summarySheet.addRow(row).commit());
+        summarySheet.commit();
+      }
+      await workbook.commit();
+    }
+  };
+};
+
+// A4 landscape table with the header repeated and numbered on every page
+const createPdfWriter = (res, { title, subtitle, columns }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => (column.width / totalWidth) * tableWidth);
+  const ROW_HEIGHT = 14;
+  let pageNumber = 0;
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x + 2, y, { width: widths[i] - 4, height: ROW_HEIGHT, lineBreak: false, ellipsis: true });
+      x += widths[i];
+    });
+    doc.x = left;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  const drawFooter = () => {
+    // Inside the bottom margin, which pdfkit would otherwise treat as overflow
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8)
+      .text(`Page ${pageNumber}`, left, doc.page.height - bottom / 2 - 4, { width: tableWidth, align: 'right' });
+    doc.page.margins.bottom = bottom;
+  };
+
+  const startPage = () => {
+    pageNumber += 1;
+    drawFooter();
+    doc.x = left;
+    doc.y = doc.page.margins.top;
+    if (pageNumber === 1) {
+      doc.font('Helvetica-Bold').fontSize(14).text(title);
+      if (subtitle) doc.font('Helvetica').fontSize(9).text(subtitle);
+      doc.moveDown();
+    }
+    drawRow(columns.map(column => column.header), { bold: true });
+  };
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      startPage();
+    }
+  };
+
+  startPage();
+
+  return {
+    addRow: async (record) => {
+      ensureSpace(ROW_HEIGHT);
+      drawRow(columns.map(column => formatValue(record[column.key])));
+      await keepPace(res);
+    },
+    end: async (summary = []) => {
+      if (summary.length > 0) {
+        ensureSpace(ROW_HEIGHT * (summary.length + 2));
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(10).text('Summary', left);
+        doc.font('Helvetica').fontSize(9);
+        summary.forEach(({ label, value }) => doc.text(`${label}: ${formatValue(value)}`, left));
+      }
+      const finished = waitFor(res, 'finish');
+      doc.end();
+      await finished;
+    }
+  };
+};
+
+const WRITERS = {
+  csv: createCsvWriter,
+  xlsx: createXlsxWriter,
+  pdf: createPdfWriter
+};
+
+/**
+ * Start a download of `filename` (without extension) in `format` and return
+ * a writer for its rows.
+ */
+const createReportWriter = (format, res, { filename, ...options }) => {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`
+  });
+  return WRITERS[format](res, options);
+};
+
+module.exports = { EXPORT_FORMATS, createReportWriter };
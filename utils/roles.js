@@ -0,0 +1,12 @@
+// The single role vocabulary shared by the User model, JWT claims,
+// roleGuard and every controller.
+const ROLES = Object.freeze({
+  CITIZEN: 'CITIZEN',
+  INSTITUTION: 'INSTITUTION',
+  DISTRICT: 'DISTRICT',
+  ADMIN: 'ADMIN'
+});
+
+const ROLE_LIST = Object.values(ROLES);
+
+module.exports = { ROLES, ROLE_LIST };
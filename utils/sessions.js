@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const clientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+/**
+ * Start a new session for a user.
+ * Returns { accessToken, refreshToken, session }.
+ */
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...clientInfo(req)
+  });
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+};
+
+const revokeSession = (sessionId, reason) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+const revokeAllSessions = (userId, reason, { except } = {}) =>
+  Session.updateMany(
+    { userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Returns { session, refreshToken, userId } on success, or { error } when the
+ * token is unknown, expired, revoked or replayed. Replaying an already
+ * rotated token revokes the whole session.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const hash = hashToken(secret);
+
+  if (session.previousTokenHashes.includes(hash)) {
+    await revokeSession(session._id, 'Refresh token reuse detected');
+    return { error: 'Refresh token reuse detected; session revoked' };
+  }
+  if (hash !== session.refreshTokenHash) {
+    return { error: 'Invalid refresh token' };
+  }
+  if (session.revokedAt) {
+    return { error: 'Session has been revoked' };
+  }
+  if (session.expiresAt < new Date()) {
+    return { error: 'Session has expired' };
+  }
+
+  const nextSecret = newRefreshSecret();
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      $push: { previousTokenHashes: hash },
+      lastUsedAt: new Date(),
+      ...clientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'Refresh token reuse detected');
+    return { error: 'Refresh token reuse detected; session revoked' };
+  }
+
+  return {
+    session: rotated,
+    userId: rotated.userId,
+    refreshToken: `${rotated._id}.${nextSecret}`
+  };
+};
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,44 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const Holiday = require('../models/Holiday');
+const { addBusinessDays } = require('./businessDays');
+
+// Used when no policy matches a complaint
+const DEFAULT_BUSINESS_DAYS = Number(process.env.DEFAULT_SLA_BUSINESS_DAYS) || 10;
+
+// The most specific active policy wins: subcategory outranks priority,
+// which outranks a category-wide policy.
+const findPolicy = async ({ category, subcategory, priority }) => {
+  const policies = await SlaPolicy.find({
+    active: true,
+    category,
+    subcategory: { $in: [subcategory || null, null] },
+    priority: { $in: [priority || null, null] }
+  });
+
+  const specificity = (p) => (p.subcategory ? 2 : 0) + (p.priority ? 1 : 0);
+  return policies.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+/**
+ * Work out a complaint's resolution deadline from its SLA policy.
+ * Returns the deadline and the `sla` record to store on the complaint.
+ */
+const calculateResolutionDeadline = async ({ category, subcategory, priority }, from = new Date()) => {
+  const policy = await findPolicy({ category, subcategory, priority });
+  const businessDays = policy ? policy.businessDays : DEFAULT_BUSINESS_DAYS;
+
+  const holidays = await Holiday.find({
+    $or: [{ recurring: true }, { date: { $gte: from } }]
+  });
+
+  return {
+    deadline: addBusinessDays(from, businessDays, holidays),
+    sla: {
+      policyId: policy ? policy._id : null,
+      version: policy ? policy.version : null,
+      businessDays
+    }
+  };
+};
+
+module.exports = { findPolicy, calculateResolutionDeadline, DEFAULT_BUSINESS_DAYS };
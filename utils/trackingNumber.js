@@ -0,0 +1,48 @@
+const { counters } = require('../repositories');
+
+// Tracking numbers look like CMP-2026-000042-5: prefix, year of submission,
+// that year's sequence number and a Luhn check digit over year + sequence,
+// which catches any single mistyped digit and most swapped pairs.
+const PREFIX = (process.env.TRACKING_PREFIX || 'CMP').toUpperCase();
+const SEQUENCE_DIGITS = 6;
+
+const TRACKING_NUMBER_PATTERN = /^([A-Z]+)-(\d{4})-(\d{6,})-(\d)$/;
+
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  [...digits].reverse().forEach((char, i) => {
+    let digit = Number(char);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return (10 - (sum % 10)) % 10;
+};
+
+const formatTrackingNumber = (year, sequence) => {
+  const padded = String(sequence).padStart(SEQUENCE_DIGITS, '0');
+  return `${PREFIX}-${year}-${padded}-${luhnCheckDigit(`${year}${padded}`)}`;
+};
+
+// Well-formed, with our prefix and a matching check digit
+const isValidTrackingNumber = (value) => {
+  const match = TRACKING_NUMBER_PATTERN.exec(String(value).toUpperCase());
+  if (!match) return false;
+  const [, prefix, year, sequence, check] = match;
+  return prefix === PREFIX && luhnCheckDigit(`${year}${sequence}`) === Number(check);
+};
+
+/**
+ * Allocate the next tracking number for the year of `date`. Sequences restart
+ * every year; a number is never handed out twice, though a failed submission
+ * leaves a gap.
+ */
+const generateTrackingNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const sequence = await counters.next(`trackingNumber:${year}`);
+  return formatTrackingNumber(year, sequence);
+};
+
+module.exports = { generateTrackingNumber, formatTrackingNumber, isValidTrackingNumber };